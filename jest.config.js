@@ -25,10 +25,8 @@ module.exports = {
     '<rootDir>/livestream-link-monitor/',
     '<rootDir>/livesheet-updater/'
   ],
-  // Fix circular structure issues
-  maxWorkers: 1,
+  // Every service binds port 0 (see tests/helpers/fixtures.js), so test
+  // files run in parallel workers
   forceExit: true,
-  detectOpenHandles: true,
-  // Disable worker serialization that causes circular JSON issues
-  runner: 'jest-serial-runner'
+  detectOpenHandles: true
 };
\ No newline at end of file
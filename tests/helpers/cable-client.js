@@ -0,0 +1,109 @@
+// Small ActionCable client for asserting on real-time broadcasts in tests
+const WebSocket = require('ws');
+
+class CableClient {
+  /**
+   * @param {string} url
+   * @param {{ token?: string }} [options]
+   */
+  constructor(url, { token } = {}) {
+    this.url = token ? `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}` : url;
+    this.socket = null;
+    this.messages = [];
+    this.waiters = [];
+  }
+
+  /**
+   * Open the socket and resolve once the server says welcome; a socket error
+   * (refused, reset) rejects whatever is still waiting instead of timing out
+   */
+  async connect(timeout = 5000) {
+    this.socket = new WebSocket(this.url);
+    this.socket.on('message', raw => this.handleFrame(JSON.parse(raw)));
+    this.socket.on('error', error => this.handleError(error));
+
+    await this.waitForFrame(frame => {
+      if (frame.type === 'disconnect') {
+        throw new Error(`Cable connection refused: ${frame.reason}`);
+      }
+      return frame.type === 'welcome';
+    }, timeout);
+    return this;
+  }
+
+  /**
+   * Subscribe to a channel and resolve with its identifier once confirmed
+   */
+  async subscribe(channel, params = {}, timeout = 5000) {
+    const identifier = JSON.stringify({ channel, ...params });
+    this.socket.send(JSON.stringify({ command: 'subscribe', identifier }));
+
+    await this.waitForFrame(frame => {
+      if (frame.identifier !== identifier) return false;
+      if (frame.type === 'reject_subscription') {
+        throw new Error(`Subscription to ${channel} rejected`);
+      }
+      return frame.type === 'confirm_subscription';
+    }, timeout);
+    return identifier;
+  }
+
+  handleFrame(frame) {
+    if (frame.message !== undefined && frame.identifier) {
+      this.messages.push(frame.message);
+    }
+    for (const waiter of [...this.waiters]) {
+      waiter.onFrame(frame);
+    }
+  }
+
+  handleError(error) {
+    for (const waiter of [...this.waiters]) {
+      waiter.onError(new Error(`Cable socket error: ${error.message || error.code}`));
+    }
+  }
+
+  /**
+   * Resolve with the first frame the predicate accepts; a throwing predicate rejects
+   */
+  waitForFrame(predicate, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const done = (fn, value) => {
+        clearTimeout(timer);
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        fn(value);
+      };
+      const waiter = {
+        onFrame: frame => {
+          try {
+            if (predicate(frame)) done(resolve, frame);
+          } catch (error) {
+            done(reject, error);
+          }
+        },
+        onError: error => done(reject, error)
+      };
+      const timer = setTimeout(() => done(reject, new Error('Timeout waiting for cable frame')), timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Resolve with the first broadcast message (already received or future) matching the predicate
+   * @param {(message: any) => boolean} [predicate]
+   * @param {number} [timeout]
+   */
+  async waitForMessage(predicate = () => true, timeout = 5000) {
+    const seen = this.messages.find(predicate);
+    if (seen) return seen;
+
+    const frame = await this.waitForFrame(f => f.message !== undefined && f.identifier && predicate(f.message), timeout);
+    return frame.message;
+  }
+
+  close() {
+    this.socket?.close();
+  }
+}
+
+module.exports = CableClient;
@@ -0,0 +1,130 @@
+// Clocks and id generators for the monitor and the test-data generators
+//
+// A clock is { now, setTimeout, clearTimeout, setInterval, clearInterval }.
+// systemClock is the real one. FakeClock starts at a fixed instant and only
+// moves when a test advances it, firing the timers that fall due on the way,
+// so dedup windows, rate limits, retries and staleness are tested without
+// sleeping. Id generators are plain () => string functions.
+
+// Where a FakeClock starts unless told otherwise
+const FAKE_EPOCH = Date.parse('2024-01-01T00:00:00.000Z');
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: timer => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: timer => clearInterval(timer)
+};
+
+class FakeClock {
+  /**
+   * @param {number|string|Date} [start] - initial time (FAKE_EPOCH by default)
+   */
+  constructor(start = FAKE_EPOCH) {
+    this.time = new Date(start).getTime();
+    this.timers = [];
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  toISOString() {
+    return new Date(this.time).toISOString();
+  }
+
+  setTimeout(fn, ms = 0) {
+    return this.addTimer(fn, ms, null);
+  }
+
+  setInterval(fn, ms) {
+    return this.addTimer(fn, ms, Math.max(1, ms));
+  }
+
+  clearTimeout(timer) {
+    this.timers = this.timers.filter(t => t !== timer);
+  }
+
+  clearInterval(timer) {
+    this.clearTimeout(timer);
+  }
+
+  addTimer(fn, ms, interval) {
+    const timer = {
+      id: this.nextId++,
+      at: this.time + Math.max(0, ms || 0),
+      fn,
+      interval,
+      // Timers never hold a process open, so unref is a no-op kept for callers
+      unref() { return this; },
+      ref() { return this; }
+    };
+    this.timers.push(timer);
+    return timer;
+  }
+
+  /**
+   * Move time forward, running every timer that falls due in order (at its own
+   * due time) and waiting for any promise a callback returns
+   * @param {number} ms
+   */
+  async advance(ms) {
+    if (ms < 0) throw new RangeError('A clock only moves forward');
+    const target = this.time + ms;
+
+    for (let timer = this.nextDue(target); timer; timer = this.nextDue(target)) {
+      this.time = timer.at;
+      if (timer.interval) {
+        timer.at += timer.interval;
+      } else {
+        this.clearTimeout(timer);
+      }
+      await timer.fn();
+    }
+
+    this.time = target;
+  }
+
+  /**
+   * Jump to an absolute time without running timers (e.g. a wall-clock change)
+   */
+  set(time) {
+    this.time = new Date(time).getTime();
+  }
+
+  nextDue(target) {
+    return this.timers
+      .filter(timer => timer.at <= target)
+      .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+  }
+
+  get pendingTimers() {
+    return this.timers.length;
+  }
+}
+
+/**
+ * The monitor's default ids: clock time plus random base-36 characters
+ * @param {{ now: () => number }} [clock]
+ */
+function randomIds(clock = systemClock) {
+  return () => clock.now().toString() + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Predictable ids for tests: prefix1, prefix2, ...
+ */
+function sequentialIds(prefix = '') {
+  let next = 1;
+  return () => `${prefix}${next++}`;
+}
+
+module.exports = {
+  systemClock,
+  FakeClock,
+  FAKE_EPOCH,
+  randomIds,
+  sequentialIds
+};
@@ -0,0 +1,108 @@
+// Discord interaction and reaction formats for the monitor's control surface
+//
+// Moderators drive the wall from Discord with the /stream slash command
+//   /stream add <url> [location]   post a stream as if it were pasted in chat
+//   /stream remove <stream>        reject a pending stream or archive a listed one
+//   /stream pin <stream>           pin it on the wall
+//   /stream status <stream>        show where it stands (only to the caller)
+// where <stream> is a URL or a monitor stream id, or by reacting to the
+// message that posted a stream (❌ removes it, 📌 pins it).
+
+// https://discord.com/developers/docs/interactions/receiving-and-responding
+const INTERACTION_TYPES = {
+  PING: 1,
+  APPLICATION_COMMAND: 2
+};
+
+const RESPONSE_TYPES = {
+  PONG: 1,
+  CHANNEL_MESSAGE_WITH_SOURCE: 4
+};
+
+const OPTION_TYPES = {
+  SUB_COMMAND: 1,
+  STRING: 3
+};
+
+// Message flag making a response visible only to the caller
+const EPHEMERAL = 1 << 6;
+
+const streamOption = description => ({ type: OPTION_TYPES.STRING, name: 'stream', description, required: true });
+
+// Registration body for PUT /applications/:id/commands
+const STREAM_COMMAND = {
+  name: 'stream',
+  description: 'Curate the stream wall',
+  options: [
+    {
+      type: OPTION_TYPES.SUB_COMMAND,
+      name: 'add',
+      description: 'Add a stream',
+      options: [
+        { type: OPTION_TYPES.STRING, name: 'url', description: 'Stream URL', required: true },
+        { type: OPTION_TYPES.STRING, name: 'location', description: 'City, ST', required: false }
+      ]
+    },
+    { type: OPTION_TYPES.SUB_COMMAND, name: 'remove', description: 'Remove a stream', options: [streamOption('URL or stream id')] },
+    { type: OPTION_TYPES.SUB_COMMAND, name: 'pin', description: 'Pin a stream', options: [streamOption('URL or stream id')] },
+    { type: OPTION_TYPES.SUB_COMMAND, name: 'status', description: 'Show a stream\'s status', options: [streamOption('URL or stream id')] }
+  ]
+};
+
+// Reaction emoji → action on the streams a message posted
+const DEFAULT_REACTIONS = {
+  '❌': 'remove',
+  '📌': 'pin'
+};
+
+/**
+ * Flatten an APPLICATION_COMMAND interaction into { name, subcommand, options }
+ */
+function parseCommand(interaction) {
+  const data = interaction?.data || {};
+  let options = data.options || [];
+  let subcommand = null;
+
+  const sub = options.find(option => option.type === OPTION_TYPES.SUB_COMMAND);
+  if (sub) {
+    subcommand = sub.name;
+    options = sub.options || [];
+  }
+
+  return {
+    name: data.name || null,
+    subcommand,
+    options: Object.fromEntries(options.map(option => [option.name, option.value]))
+  };
+}
+
+/**
+ * The invoking user: member.user in a guild, user in a DM
+ */
+function interactionUser(interaction) {
+  const user = interaction?.member?.user || interaction?.user || {};
+  return { id: user.id ?? null, username: user.username ?? null, roles: interaction?.member?.roles || [] };
+}
+
+/**
+ * CHANNEL_MESSAGE_WITH_SOURCE response; ephemeral ones only reach the caller
+ */
+function messageResponse(content, { ephemeral = false } = {}) {
+  const data = { content, allowed_mentions: { parse: [] } };
+  if (ephemeral) {
+    data.flags = EPHEMERAL;
+  }
+  return { type: RESPONSE_TYPES.CHANNEL_MESSAGE_WITH_SOURCE, data };
+}
+
+module.exports = {
+  INTERACTION_TYPES,
+  RESPONSE_TYPES,
+  OPTION_TYPES,
+  EPHEMERAL,
+  STREAM_COMMAND,
+  DEFAULT_REACTIONS,
+  parseCommand,
+  interactionUser,
+  messageResponse
+};
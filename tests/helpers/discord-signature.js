@@ -0,0 +1,104 @@
+// Discord interaction request signatures (Ed25519) on node:crypto
+//
+// Discord signs timestamp + raw body with the application's key and sends
+//   X-Signature-Ed25519    hex signature
+//   X-Signature-Timestamp  unix seconds
+// The app's public key is the hex string from the developer portal.
+const crypto = require('crypto');
+
+// Requests older (or further in the future) than this are replays
+const DEFAULT_MAX_AGE_SECONDS = 5 * 60;
+
+// DER prefix turning a raw 32-byte Ed25519 key into SubjectPublicKeyInfo
+const SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+class SignatureError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SignatureError';
+    this.code = code;
+  }
+}
+
+/**
+ * Load a hex-encoded raw Ed25519 public key
+ */
+function publicKeyFromHex(hex) {
+  const raw = Buffer.from(String(hex), 'hex');
+  if (raw.length !== 32) {
+    throw new SignatureError('Public key must be 32 bytes of hex', 'invalid_key');
+  }
+  return crypto.createPublicKey({ key: Buffer.concat([SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+/**
+ * Check a request's signature and timestamp, throwing SignatureError if either is bad
+ * @param {string|crypto.KeyObject} publicKey - hex from the developer portal, or a key object
+ * @param {{ signature?: string, timestamp?: string, body: Buffer|string }} request
+ * @param {{ now?: number, maxAgeSeconds?: number }} [options]
+ */
+function verifyDiscordRequest(publicKey, { signature, timestamp, body }, { now = Date.now(), maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS } = {}) {
+  if (!signature || !timestamp) {
+    throw new SignatureError('Missing signature headers', 'missing_headers');
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(Math.floor(now / 1000) - sentAt) > maxAgeSeconds) {
+    throw new SignatureError('Stale request timestamp', 'stale_timestamp');
+  }
+
+  const key = typeof publicKey === 'string' ? publicKeyFromHex(publicKey) : publicKey;
+  const signed = Buffer.concat([Buffer.from(String(timestamp)), Buffer.from(body)]);
+  const bytes = Buffer.from(signature, 'hex');
+  if (bytes.length !== 64 || !crypto.verify(null, signed, key, bytes)) {
+    throw new SignatureError('Invalid request signature', 'invalid_signature');
+  }
+}
+
+/**
+ * Sign a body the way Discord does, returning the two headers
+ * @param {crypto.KeyObject} privateKey
+ * @param {Buffer|string} body
+ * @param {{ timestamp?: number }} [options] - unix seconds, defaults to now
+ */
+function signDiscordRequest(privateKey, body, { timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const signed = Buffer.concat([Buffer.from(String(timestamp)), Buffer.from(body)]);
+  return {
+    'X-Signature-Ed25519': crypto.sign(null, signed, privateKey).toString('hex'),
+    'X-Signature-Timestamp': String(timestamp)
+  };
+}
+
+/**
+ * Fresh keypair standing in for a Discord application: give publicKey to the
+ * monitor and send sign(payload) through the verified webhook path
+ */
+function createDiscordSigner() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const rawPublicKey = publicKey.export({ format: 'der', type: 'spki' }).subarray(SPKI_PREFIX.length);
+
+  return {
+    publicKey: rawPublicKey.toString('hex'),
+    /**
+     * JSON-encode a payload and sign it; post body as-is with headers
+     * @param {object} payload
+     * @param {{ timestamp?: number }} [options]
+     */
+    sign(payload, options = {}) {
+      const body = JSON.stringify(payload);
+      return {
+        body,
+        headers: { 'Content-Type': 'application/json', ...signDiscordRequest(privateKey, body, options) }
+      };
+    }
+  };
+}
+
+module.exports = {
+  verifyDiscordRequest,
+  signDiscordRequest,
+  createDiscordSigner,
+  publicKeyFromHex,
+  SignatureError,
+  DEFAULT_MAX_AGE_SECONDS
+};
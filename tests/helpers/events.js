@@ -0,0 +1,224 @@
+// Pipeline events: an in-process log with a Server-Sent Events view
+//
+// EventLog numbers every event, keeps the most recent ones and emits each to
+// listeners. serveEvents() streams a log as text/event-stream, replaying
+// anything after Last-Event-ID so a reconnecting client misses nothing, and
+// subscribeEvents() is the matching client. waitForEvent() resolves on the
+// first matching event from either, so tests observe the pipeline instead of
+// sleeping. Run directly to tail a monitor:
+//   node tests/helpers/events.js http://localhost:3001/events
+const http = require('http');
+const { EventEmitter } = require('events');
+
+// What the monitor publishes, in pipeline order
+const MONITOR_EVENT_TYPES = ['url.extracted', 'stream.stored', 'sync.succeeded', 'sync.failed'];
+
+const DEFAULT_BUFFER_SIZE = 1000;
+const HEARTBEAT_MS = 15000;
+const DEFAULT_WAIT_MS = 5000;
+
+class EventLog extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.bufferSize] - events kept for replay
+   * @param {() => number} [options.now]
+   */
+  constructor(options = {}) {
+    super();
+    this.bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+    this.now = options.now || (() => Date.now());
+    this.recent = [];
+    this.lastId = 0;
+  }
+
+  /**
+   * Record an event with a snapshot of its data and hand it to listeners
+   */
+  publish(type, data = {}) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      at: new Date(this.now()).toISOString(),
+      data: JSON.parse(JSON.stringify(data))
+    };
+    this.recent.push(event);
+    if (this.recent.length > this.bufferSize) this.recent.shift();
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Buffered events after an id
+   */
+  since(id) {
+    return this.recent.filter(event => event.id > id);
+  }
+
+  /**
+   * Forget buffered events; ids keep counting so a client's Last-Event-ID stays valid
+   */
+  clear() {
+    this.recent = [];
+  }
+}
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Stream a log to an HTTP response until the client goes away; returns a
+ * function that ends the stream from the server side
+ * @param {EventLog} log
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {{ types?: string[]|null, since?: number|null, heartbeatMs?: number }} [options]
+ */
+function serveEvents(log, req, res, { types = null, since = null, heartbeatMs = HEARTBEAT_MS } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = event => {
+    if (!types || types.includes(event.type)) res.write(formatEvent(event));
+  };
+  const lastEventId = Number(req.headers['last-event-id'] ?? since);
+  if (req.headers['last-event-id'] !== undefined || since !== null) {
+    log.since(Number.isFinite(lastEventId) ? lastEventId : 0).forEach(send);
+  }
+  log.on('event', send);
+
+  // Comments keep proxies from timing out an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+  heartbeat.unref();
+
+  const detach = () => {
+    clearInterval(heartbeat);
+    log.off('event', send);
+  };
+  res.on('close', detach);
+
+  return () => {
+    detach();
+    res.end();
+  };
+}
+
+/**
+ * Follow an /events URL, calling onEvent with each parsed event; resolves once
+ * connected with { close }
+ * @param {string} url
+ * @param {(event: { id: number, type: string, at: string, data: any }) => void} onEvent
+ * @param {{ since?: number }} [options] - replay events after this id
+ * @returns {Promise<{ close: () => void }>}
+ */
+function subscribeEvents(url, onEvent, { since } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = { Accept: 'text/event-stream' };
+    if (since !== undefined) headers['Last-Event-ID'] = String(since);
+
+    const req = http.get(url, { headers }, res => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`GET ${url} returned ${res.statusCode}`));
+        return;
+      }
+
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const data = block.split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+          if (data) onEvent(JSON.parse(data));
+        }
+      });
+      res.on('error', () => {});
+      resolve({ close: () => req.destroy() });
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Whether data contains everything in pattern (nested objects compared the same way)
+ */
+function matches(data, pattern) {
+  if (typeof pattern === 'function') return Boolean(pattern(data));
+  if (pattern === null || typeof pattern !== 'object') return data === pattern;
+  if (data === null || typeof data !== 'object') return false;
+  return Object.entries(pattern).every(([key, value]) => matches(data[key], value));
+}
+
+/**
+ * Resolve with the first event of a type whose data matches, from an EventLog
+ * or an /events URL; rejects after timeout. Start waiting before acting, or
+ * pass since (e.g. log.lastId taken earlier) to also accept buffered events.
+ * @param {EventLog|string} source
+ * @param {string} type
+ * @param {{ match?: object|((data: any) => boolean), since?: number, timeout?: number }} [options]
+ */
+async function waitForEvent(source, type, { match = {}, since, timeout = DEFAULT_WAIT_MS } = {}) {
+  const wanted = event => event.type === type && matches(event.data, match);
+
+  if (source instanceof EventLog && since !== undefined) {
+    const seen = source.since(since).find(wanted);
+    if (seen) return seen;
+  }
+
+  let stop = () => {};
+  const found = new Promise((resolve, reject) => {
+    const onEvent = event => {
+      if (wanted(event)) resolve(event);
+    };
+
+    if (source instanceof EventLog) {
+      source.on('event', onEvent);
+      stop = () => source.off('event', onEvent);
+    } else {
+      const subscription = subscribeEvents(source, onEvent, { since });
+      subscription.catch(reject);
+      stop = () => subscription.then(({ close }) => close(), () => {});
+    }
+  });
+
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms waiting for ${type}`)), timeout);
+  });
+
+  try {
+    return await Promise.race([found, timedOut]);
+  } finally {
+    clearTimeout(timer);
+    stop();
+  }
+}
+
+module.exports = {
+  EventLog,
+  MONITOR_EVENT_TYPES,
+  serveEvents,
+  subscribeEvents,
+  waitForEvent,
+  matches
+};
+
+if (require.main === module) {
+  const url = process.argv[2] || `${process.env.MONITOR_URL || 'http://localhost:3001'}/events`;
+  subscribeEvents(url, event => console.log(`${event.at} #${event.id} ${event.type} ${JSON.stringify(event.data)}`))
+    .then(() => console.log(`Following ${url}`))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,86 @@
+// Per-worker service fixtures on ephemeral ports
+//
+// createFixtures() starts mocks on port 0 and hands them back with their
+// url, so test files can run in parallel jest workers without reserving
+// port numbers. Call it once per test file and stopAll() in afterAll:
+// everything it started is stopped newest first and its temp directories
+// removed. Temp directory names carry the jest worker id, so two workers
+// (or two checkouts on one CI host) never share files. Pass a port only to
+// bring a stopped service back where its clients expect it.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const MockStreamSource = require('./mock-streamsource');
+const MockLivestreamMonitor = require('./mock-livestream-monitor');
+const MockPlatformServer = require('./mock-platform-server');
+const MockMetadataServer = require('./mock-metadata-server');
+const { LocalStack } = require('./local-stack');
+
+function createFixtures() {
+  const workerId = process.env.JEST_WORKER_ID || '1';
+  const running = [];
+  const dirs = [];
+
+  const track = async service => {
+    await service.start();
+    running.push(service);
+    return service;
+  };
+
+  return {
+    workerId,
+
+    /** @returns {Promise<MockStreamSource>} */
+    streamSource: (options, port = 0) => track(new MockStreamSource(port, options)),
+
+    /** @returns {Promise<MockLivestreamMonitor>} */
+    monitor: (options, port = 0) => track(new MockLivestreamMonitor(port, options)),
+
+    /** @returns {Promise<MockPlatformServer>} */
+    platforms: (options, port = 0) => track(new MockPlatformServer(port, options)),
+
+    /** @returns {Promise<MockMetadataServer>} */
+    metadata: (options, port = 0) => track(new MockMetadataServer(port, options)),
+
+    /** @returns {Promise<LocalStack>} */
+    stack: options => track(new LocalStack(options)),
+
+    /**
+     * axios instance for a started service that resolves on every status
+     * @param {{ url: string }} service
+     */
+    client: (service, config = {}) => axios.create({ baseURL: service.url, validateStatus: () => true, ...config }),
+
+    /**
+     * Stop one service early (e.g. to restart it), leaving the rest running
+     */
+    async stop(service) {
+      const index = running.indexOf(service);
+      if (index !== -1) running.splice(index, 1);
+      await service.stop();
+    },
+
+    /**
+     * A fresh temp directory, removed by stopAll()
+     */
+    tmpDir(prefix = 'streamwall') {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-w${workerId}-`));
+      dirs.push(dir);
+      return dir;
+    },
+
+    async stopAll() {
+      while (running.length) {
+        await running.pop().stop();
+      }
+      for (const dir of dirs.splice(0)) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+module.exports = {
+  createFixtures
+};
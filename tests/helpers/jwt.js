@@ -0,0 +1,85 @@
+// Minimal HS256 JSON Web Tokens on node:crypto
+const crypto = require('crypto');
+
+class JwtError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'JwtError';
+    this.code = code;
+  }
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Sign a payload, adding iat and (if expiresIn seconds is given) exp
+ * @param {object} payload
+ * @param {string} secret
+ * @param {{ expiresIn?: number, now?: number }} [options]
+ */
+function signJwt(payload, secret, { expiresIn, now = Date.now() } = {}) {
+  const iat = Math.floor(now / 1000);
+  const claims = { ...payload, iat };
+  if (expiresIn !== undefined) {
+    claims.exp = iat + expiresIn;
+  }
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(claims));
+  return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Read a token's claims without checking the signature
+ */
+function decodeJwt(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new JwtError('Malformed token', 'malformed');
+  }
+
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString()),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString())
+    };
+  } catch (error) {
+    throw new JwtError('Malformed token', 'malformed');
+  }
+}
+
+/**
+ * Verify signature and expiry, returning the claims
+ */
+function verifyJwt(token, secret, { now = Date.now() } = {}) {
+  const { header, payload } = decodeJwt(token);
+  if (header.alg !== 'HS256') {
+    throw new JwtError(`Unsupported algorithm ${header.alg}`, 'malformed');
+  }
+
+  const [headerPart, bodyPart, signature] = String(token).split('.');
+  const expected = Buffer.from(hmac(`${headerPart}.${bodyPart}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new JwtError('Invalid signature', 'invalid_signature');
+  }
+
+  if (payload.exp !== undefined && Math.floor(now / 1000) >= payload.exp) {
+    throw new JwtError('Token expired', 'expired');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  signJwt,
+  verifyJwt,
+  decodeJwt,
+  JwtError
+};
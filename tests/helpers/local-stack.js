@@ -0,0 +1,134 @@
+// Docker-free stack of every service the integration suite talks to
+//
+// LocalStack boots the StreamSource stand-in, the livestream monitor, the
+// livesheet updater's status checker and a fake platform API server in this
+// process, each on port 0 so the OS picks a free one, and wires them together: the monitor syncs
+// to StreamSource with the monitor key, the updater reads and PATCHes it
+// with the updater key and probes the platform server. stack.urls and
+// stack.tokens say where everything is, and env() gives the same as the
+// environment variables the services read. The updater only checks when
+// asked (stack.updater.runOnce()) unless pollUpdater is set.
+const axios = require('axios');
+const MockStreamSource = require('./mock-streamsource');
+const MockLivestreamMonitor = require('./mock-livestream-monitor');
+const MockPlatformServer = require('./mock-platform-server');
+const { StatusChecker } = require('./status-checker');
+
+// Scoped keys the stand-in ships with (see DEFAULT_API_KEYS in mock-streamsource.js)
+const STACK_TOKENS = {
+  monitor: 'dev_monitor_key',
+  updater: 'dev_updater_key',
+  streamwall: 'dev_streamwall_key'
+};
+
+class LocalStack {
+  /**
+   * @param {object} [options]
+   * @param {{ streamSource?: number, monitor?: number, platforms?: number }} [options.ports] - fixed ports; free ones otherwise
+   * @param {object} [options.streamSource] - extra MockStreamSource options
+   * @param {object} [options.monitor] - extra MockLivestreamMonitor options
+   * @param {object} [options.updater] - extra StatusChecker options
+   * @param {boolean} [options.pollUpdater] - run the updater on its interval instead of on demand
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.ports = { ...options.ports };
+    this.tokens = { ...STACK_TOKENS };
+    this.urls = null;
+
+    this.platforms = null;
+    this.streamSource = null;
+    this.monitor = null;
+    this.updater = null;
+    this.started = [];
+  }
+
+  /**
+   * Boot every service, stopping the ones already up if any fails
+   */
+  async start() {
+    if (this.urls) return this;
+
+    try {
+      this.platforms = new MockPlatformServer(this.ports.platforms || 0);
+      await this.track(this.platforms);
+
+      this.streamSource = new MockStreamSource(this.ports.streamSource || 0, this.options.streamSource);
+      await this.track(this.streamSource);
+
+      this.monitor = new MockLivestreamMonitor(this.ports.monitor || 0, {
+        streamSourceUrl: this.streamSource.apiUrl,
+        streamSourceApiKey: this.tokens.monitor,
+        ...this.options.monitor
+      });
+      await this.track(this.monitor);
+
+      this.updater = new StatusChecker({
+        streamSourceUrl: this.streamSource.apiUrl,
+        apiKey: this.tokens.updater,
+        platformApiUrl: this.platforms.url,
+        ...this.options.updater
+      });
+      if (this.options.pollUpdater) {
+        await this.track(this.updater);
+      }
+
+      this.ports = { platforms: this.platforms.port, streamSource: this.streamSource.port, monitor: this.monitor.port };
+      this.urls = {
+        streamSource: this.streamSource.url,
+        api: this.streamSource.apiUrl,
+        monitor: this.monitor.url,
+        platforms: this.platforms.url
+      };
+      return this;
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+  }
+
+  async track(service) {
+    await service.start();
+    this.started.push(service);
+  }
+
+  /**
+   * Stop whatever is running, newest first
+   */
+  async stop() {
+    while (this.started.length) {
+      await this.started.pop().stop();
+    }
+    this.urls = null;
+  }
+
+  /**
+   * Clear every service's data between tests
+   */
+  async reset() {
+    this.platforms?.reset();
+    this.streamSource?.reset();
+    this.updater?.reset();
+    if (this.urls) {
+      await axios.post(`${this.urls.monitor}/reset`);
+    }
+  }
+
+  /**
+   * Where the stack lives, as the environment variables the services and CLI read
+   */
+  env() {
+    if (!this.urls) return {};
+    return {
+      STREAMSOURCE_URL: this.urls.api,
+      STREAMSOURCE_API_URL: this.urls.api,
+      MONITOR_URL: this.urls.monitor,
+      PLATFORM_API_URL: this.urls.platforms
+    };
+  }
+}
+
+module.exports = {
+  LocalStack,
+  STACK_TOKENS
+};
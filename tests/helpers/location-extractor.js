@@ -0,0 +1,255 @@
+// Location extraction backed by a bundled offline gazetteer
+//
+// Looks for "City, ST", "City, Country", known city names on their own and
+// bare state/country names, and returns the most trusted match as
+//   { city, state, country, lat, lng, confidence }
+// or null. state is a US state or Canadian province code. Coordinates are
+// the city's, or the region/country centroid when only that is known.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_GAZETTEER_PATH = path.join(__dirname, 'gazetteer.json');
+
+// How far each kind of match is trusted
+const CONFIDENCE = {
+  cityWithRegion: 0.95,
+  cityWithCountry: 0.9,
+  unknownCityWithRegion: 0.6,
+  unknownCityWithCountry: 0.5,
+  city: 0.6,
+  ambiguousCity: 0.4,
+  region: 0.35,
+  country: 0.3
+};
+
+// Capitalised chat words that precede a place rather than belong to it
+const LEADING_WORDS = new Set([
+  'live', 'from', 'in', 'at', 'near', 'the', 'check', 'out', 'now', 'watch',
+  'watching', 'stream', 'streaming', 'breaking', 'happening', 'here', 'downtown'
+]);
+
+// Chat words that never make up an unknown city name ("This Stream, NY", "Come On, IN")
+const STOPWORDS = new Set([
+  ...LEADING_WORDS,
+  'a', 'an', 'and', 'or', 'but', 'so', 'if', 'on', 'off', 'up', 'down', 'to', 'for', 'of',
+  'this', 'that', 'these', 'those', 'it', 'its', 'is', 'are', 'was', 'be', 'i', 'we',
+  'you', 'he', 'she', 'they', 'my', 'our', 'your', 'his', 'her', 'their', 'me', 'us',
+  'come', 'go', 'get', 'got', 'join', 'see', 'look', 'stay', 'tune', 'follow', 'just',
+  'there', 'what', 'who', 'where', 'when', 'why', 'how', 'all', 'any', 'anyone',
+  'everyone', 'someone', 'yes', 'no', 'hey', 'hi', 'omg', 'lol', 'please', 'pls', 'rt', 'via'
+]);
+
+const URL_PATTERN = /(?:https?:\/\/|www\.)\S+|\b[\w-]+(?:\.[\w-]+)+\/\S*/gi;
+const WORD = "[\\p{Lu}][\\p{L}.'-]*";
+// At most three capitalised words before the qualifier
+const UNKNOWN_CITY_PATTERN = new RegExp(
+  `((?:${WORD}\\s+){0,2}${WORD}),?\\s+([A-Z]{2}\\b|${WORD}(?:\\s+${WORD}){0,3})`,
+  'gu'
+);
+
+function loadGazetteer(filePath = DEFAULT_GAZETTEER_PATH) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function namePattern(names, flags) {
+  const alternatives = [...new Set(names)]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  if (!alternatives) return new RegExp('(?!)', flags);
+  return new RegExp(`(?<![\\p{L}])(${alternatives})(?![\\p{L}])`, flags);
+}
+
+function addTo(map, key, value) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
+
+/**
+ * Index a gazetteer ({ countries, regions, cities }) for lookups by code and name
+ */
+function indexGazetteer(data) {
+  const index = {
+    countriesByCode: new Map(),
+    countriesByName: new Map(),
+    regionsByCode: new Map(),
+    regionsByName: new Map(),
+    citiesByName: new Map()
+  };
+
+  for (const country of data.countries) {
+    index.countriesByCode.set(country.code, country);
+    for (const name of [country.name, ...(country.aliases || [])]) {
+      index.countriesByName.set(name.toLowerCase(), country);
+    }
+  }
+  for (const region of data.regions) {
+    addTo(index.regionsByCode, region.code, region);
+    addTo(index.regionsByName, region.name.toLowerCase(), region);
+  }
+  for (const city of data.cities) {
+    for (const name of [city.name, ...(city.aliases || [])]) {
+      addTo(index.citiesByName, name.toLowerCase(), city);
+    }
+  }
+
+  index.cityPattern = namePattern(data.cities.flatMap(c => [c.name, ...(c.aliases || [])]), 'giu');
+  index.regionPattern = namePattern(data.regions.map(r => r.name), 'gu');
+  index.countryPattern = namePattern(data.countries.flatMap(c => [c.name, ...(c.aliases || [])]), 'gu');
+  return index;
+}
+
+/**
+ * Read the place qualifier after a city ("WA", "Ontario", "United Kingdom"),
+ * trying the longest run of words first
+ */
+function resolveQualifier(index, text) {
+  const match = text.match(/^\s*,?\s*([\p{L}.'-]+(?:\s+[\p{L}.'-]+){0,3})/u);
+  if (!match) return null;
+
+  const words = match[1].split(/\s+/);
+  for (let n = words.length; n > 0; n--) {
+    const phrase = words.slice(0, n).join(' ');
+    const isCode = n === 1 && /^[A-Z]{2}$/.test(phrase);
+    const regions = isCode ? index.regionsByCode.get(phrase) : index.regionsByName.get(phrase.toLowerCase());
+    const country = isCode ? index.countriesByCode.get(phrase) : index.countriesByName.get(phrase.toLowerCase());
+    if (regions || country) {
+      return { regions: regions || [], countries: country ? [country] : [] };
+    }
+  }
+  return null;
+}
+
+function fromCity(city, confidence) {
+  return {
+    city: city.name,
+    state: city.region || null,
+    country: city.country,
+    lat: city.lat,
+    lng: city.lng,
+    confidence
+  };
+}
+
+function fromPlace(cityName, place, confidence) {
+  const isRegion = place.country !== undefined;
+  return {
+    city: cityName,
+    state: isRegion ? place.code : null,
+    country: isRegion ? place.country : place.code,
+    lat: place.lat,
+    lng: place.lng,
+    confidence
+  };
+}
+
+/**
+ * Every location reading of the text, each with its offset and confidence
+ */
+function findCandidates(index, text) {
+  const candidates = [];
+  const add = (offset, location) => candidates.push({ offset, location });
+
+  // Known cities, qualified by a region or country where one follows
+  for (const match of text.matchAll(index.cityPattern)) {
+    const entries = index.citiesByName.get(match[1].toLowerCase());
+    const qualifier = resolveQualifier(index, text.slice(match.index + match[1].length));
+
+    if (qualifier) {
+      const inRegion = entries.find(c => qualifier.regions.some(r => r.code === c.region && r.country === c.country));
+      const inCountry = entries.find(c => qualifier.countries.some(country => country.code === c.country));
+      if (inRegion) {
+        add(match.index, fromCity(inRegion, CONFIDENCE.cityWithRegion));
+        continue;
+      }
+      if (inCountry) {
+        add(match.index, fromCity(inCountry, CONFIDENCE.cityWithCountry));
+        continue;
+      }
+      // "Paris, TX" is not the gazetteer's Paris; the unknown-city reading below takes it
+      continue;
+    }
+
+    // Bare lowercase words ("phoenix rising") are too likely to be prose
+    if (!qualifier && match[1][0] === match[1][0].toLowerCase()) continue;
+    const confidence = entries.length > 1 ? CONFIDENCE.ambiguousCity : CONFIDENCE.city;
+    add(match.index, fromCity(entries[0], confidence));
+  }
+
+  // Unknown cities in front of a known region or country
+  for (const match of text.matchAll(UNKNOWN_CITY_PATTERN)) {
+    const words = match[1].split(/\s+/);
+    while (words.length && LEADING_WORDS.has(words[0].toLowerCase())) words.shift();
+    if (!words.length || words.some(word => STOPWORDS.has(word.toLowerCase()))) continue;
+
+    // Without a comma only a two-letter code reads as a qualifier ("Salem OR")
+    const rest = match[0].slice(match[1].length);
+    if (!rest.includes(',') && !/^[A-Z]{2}$/.test(match[2])) continue;
+    const qualifier = resolveQualifier(index, rest);
+    if (!qualifier) continue;
+
+    const offset = match.index + match[1].length - words.join(' ').length;
+    if (qualifier.regions.length) {
+      add(offset, fromPlace(words.join(' '), qualifier.regions[0], CONFIDENCE.unknownCityWithRegion));
+    } else {
+      add(offset, fromPlace(words.join(' '), qualifier.countries[0], CONFIDENCE.unknownCityWithCountry));
+    }
+  }
+
+  // A state, province or country on its own
+  for (const match of text.matchAll(index.regionPattern)) {
+    const [region] = index.regionsByName.get(match[1].toLowerCase());
+    add(match.index, fromPlace(null, region, CONFIDENCE.region));
+  }
+  for (const match of text.matchAll(index.countryPattern)) {
+    const country = index.countriesByName.get(match[1].toLowerCase());
+    add(match.index, fromPlace(null, country, CONFIDENCE.country));
+  }
+
+  return candidates;
+}
+
+/**
+ * Build an extractor over a gazetteer object or file path
+ * @param {string|object} [gazetteer]
+ */
+function createLocationExtractor(gazetteer = DEFAULT_GAZETTEER_PATH) {
+  const index = indexGazetteer(typeof gazetteer === 'string' ? loadGazetteer(gazetteer) : gazetteer);
+
+  return text => {
+    if (typeof text !== 'string' || !text) return null;
+
+    const candidates = findCandidates(index, text.replace(URL_PATTERN, ' '));
+    let best = null;
+    for (const candidate of candidates) {
+      if (!best ||
+          candidate.location.confidence > best.location.confidence ||
+          (candidate.location.confidence === best.location.confidence && candidate.offset < best.offset)) {
+        best = candidate;
+      }
+    }
+    return best ? best.location : null;
+  };
+}
+
+let defaultExtractor = null;
+
+/**
+ * Extract the most likely location from a chat message using the bundled gazetteer
+ */
+function extractLocation(text) {
+  if (!defaultExtractor) defaultExtractor = createLocationExtractor();
+  return defaultExtractor(text);
+}
+
+module.exports = {
+  extractLocation,
+  createLocationExtractor,
+  loadGazetteer,
+  CONFIDENCE,
+  DEFAULT_GAZETTEER_PATH
+};
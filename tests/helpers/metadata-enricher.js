@@ -0,0 +1,158 @@
+// Stream metadata enrichment between URL extraction and StreamSource sync
+//
+// Looks up title, streamer display name, thumbnail and live flag for a
+// stream URL through the platform's fetcher (metadata-fetchers.js) and
+// caches the answer per canonical URL for ttlMs, keeping at most maxEntries
+// (expired entries go first, then the least recently used). Failed lookups
+// are cached for errorTtlMs so a dead page isn't refetched for every repost.
+// enrich() never throws and never waits longer than timeoutMs: a stream
+// simply goes out without metadata, and a slow lookup still fills the cache
+// for the next repost.
+const axios = require('axios');
+const { parseStreamUrl } = require('./platform-parser');
+const { getFetcher } = require('./metadata-fetchers');
+const { systemClock } = require('./clock');
+
+const DEFAULT_ENRICHER_OPTIONS = {
+  ttlMs: 15 * 60 * 1000,
+  errorTtlMs: 60 * 1000,
+  timeoutMs: 5000,
+  maxEntries: 1000
+};
+
+class MetadataEnricher {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.fixtureUrl] - fetch every platform from `${fixtureUrl}/${platform}` instead
+   * @param {Record<string, string>} [options.baseUrls] - per-platform base URLs (default: the stream's origin)
+   * @param {Record<string, object>} [options.fetchers] - per-platform fetcher overrides
+   * @param {number} [options.ttlMs]
+   * @param {number} [options.errorTtlMs]
+   * @param {number} [options.timeoutMs] - per request, and for enrich() as a whole
+   * @param {number} [options.maxEntries] - cached URLs kept at most
+   * @param {object} [options.clock] - time and the enrich() deadline (systemClock by default)
+   * @param {() => number} [options.now]
+   */
+  constructor(options = {}) {
+    const settings = { ...DEFAULT_ENRICHER_OPTIONS, ...options };
+    this.fixtureUrl = options.fixtureUrl || process.env.METADATA_FIXTURE_URL || null;
+    this.baseUrls = options.baseUrls || {};
+    this.fetchers = options.fetchers || {};
+    this.ttlMs = settings.ttlMs;
+    this.errorTtlMs = settings.errorTtlMs;
+    this.timeoutMs = settings.timeoutMs;
+    this.maxEntries = settings.maxEntries;
+    this.clock = options.clock || systemClock;
+    this.now = options.now || (() => this.clock.now());
+
+    // Insertion order doubles as recency: hits and stores move a key to the end
+    this.cache = new Map();
+    this.pending = new Map();
+    this.stats = { hits: 0, misses: 0, errors: 0, timeouts: 0 };
+  }
+
+  /**
+   * Metadata for a stream URL ({ title, streamerName, thumbnailUrl, live }), or null
+   */
+  async enrich(url) {
+    const identity = parseStreamUrl(url);
+    if (!identity) return null;
+
+    const key = identity.canonicalUrl;
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > this.now()) {
+      this.stats.hits++;
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached.metadata;
+    }
+    if (cached) this.cache.delete(key);
+
+    // Reposts arriving together share one lookup
+    if (this.pending.has(key)) return this.withDeadline(this.pending.get(key));
+
+    this.stats.misses++;
+    const lookup = this.lookup(identity).finally(() => this.pending.delete(key));
+    this.pending.set(key, lookup);
+    return this.withDeadline(lookup);
+  }
+
+  /**
+   * Wait at most timeoutMs for a lookup, then answer null and let it finish in the background
+   */
+  withDeadline(lookup) {
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = this.clock.setTimeout(() => {
+        this.stats.timeouts++;
+        resolve(null);
+      }, this.timeoutMs);
+      timer?.unref?.();
+    });
+    return Promise.race([lookup, deadline]).finally(() => this.clock.clearTimeout(timer));
+  }
+
+  async lookup(identity) {
+    const fetcher = this.fetchers[identity.platform] || getFetcher(identity.platform);
+    const get = (path, config = {}) => axios.get(`${this.baseUrl(identity)}${path}`, { timeout: this.timeoutMs, ...config });
+    const getPage = async path => (await get(path, { responseType: 'text', headers: { Accept: 'text/html' } })).data;
+
+    try {
+      const result = await fetcher.fetch(identity, { get, getPage });
+      const metadata = {
+        title: result?.title ?? null,
+        streamerName: result?.streamerName ?? null,
+        thumbnailUrl: result?.thumbnailUrl ?? null,
+        live: typeof result?.live === 'boolean' ? result.live : null
+      };
+      this.remember(identity.canonicalUrl, metadata, this.ttlMs);
+      return metadata;
+    } catch (error) {
+      this.stats.errors++;
+      this.remember(identity.canonicalUrl, null, this.errorTtlMs);
+      return null;
+    }
+  }
+
+  /**
+   * Cache an answer, pruning expired entries and then the least recently used once full
+   */
+  remember(key, metadata, ttlMs) {
+    const now = this.now();
+    this.cache.delete(key);
+    this.cache.set(key, { metadata, expiresAt: now + ttlMs });
+    if (this.cache.size <= this.maxEntries) return;
+
+    for (const [cachedKey, entry] of this.cache) {
+      if (entry.expiresAt <= now) this.cache.delete(cachedKey);
+    }
+    while (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  baseUrl({ platform, canonicalUrl }) {
+    if (this.fixtureUrl) return `${this.fixtureUrl}/${platform}`;
+    return this.baseUrls[platform] || new URL(canonicalUrl).origin;
+  }
+
+  status() {
+    return {
+      ...this.stats,
+      cached: this.cache.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      fixtureUrl: this.fixtureUrl
+    };
+  }
+
+  clear() {
+    this.cache.clear();
+    this.stats = { hits: 0, misses: 0, errors: 0, timeouts: 0 };
+  }
+}
+
+module.exports = {
+  MetadataEnricher,
+  DEFAULT_ENRICHER_OPTIONS
+};
@@ -0,0 +1,129 @@
+// Per-platform page metadata fetchers for the enrichment stage
+//
+// A fetcher is { name, fetch(identity, context) } where identity comes from
+// parseStreamUrl and context is { get, getPage }: get(path, config) performs
+// an HTTP GET against the platform's base URL (the stream's own origin, or a
+// fixture server in tests) and getPage(path) resolves with the HTML. fetch
+// resolves with { title, streamerName, thumbnailUrl, live }, using null for
+// anything the page doesn't say, and rejects when the page can't be read.
+// Platforms without their own fetcher fall back to plain OpenGraph.
+
+const fetchers = [];
+
+/**
+ * Add or replace the fetcher for a platform
+ * @param {{ name: string, fetch: (identity: object, context: object) => Promise<object> }} fetcher
+ */
+function registerFetcher(fetcher) {
+  if (!fetcher || typeof fetcher.name !== 'string' || typeof fetcher.fetch !== 'function') {
+    throw new TypeError('Fetcher needs a name and a fetch function');
+  }
+
+  const index = fetchers.findIndex(f => f.name === fetcher.name);
+  if (index !== -1) fetchers.splice(index, 1);
+  fetchers.unshift(fetcher);
+  return fetcher;
+}
+
+function getFetcher(platform) {
+  return fetchers.find(f => f.name === platform) || openGraphFetcher;
+}
+
+function listFetchers() {
+  return fetchers.map(f => f.name);
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos|#39);/g, (match, name) => ENTITIES[name]);
+}
+
+/**
+ * Read OpenGraph/meta tags and the JSON-LD live flag out of an HTML page:
+ * { meta: { 'og:title': ..., author: ... }, live: true | false | null }
+ */
+function parsePage(html) {
+  const meta = {};
+  for (const [tag] of String(html).matchAll(/<meta\s[^>]*>/gi)) {
+    const attrs = Object.fromEntries(
+      Array.from(tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g), ([, name, value]) => [name.toLowerCase(), decodeEntities(value)])
+    );
+    const key = attrs.property || attrs.name || attrs.itemprop;
+    if (key && attrs.content !== undefined && meta[key] === undefined) {
+      meta[key] = attrs.content;
+    }
+  }
+
+  // YouTube and Twitch mark broadcasts with schema.org BroadcastEvent.isLiveBroadcast
+  let live = null;
+  for (const [, json] of String(html).matchAll(/<script[^>]*type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      const found = JSON.stringify(JSON.parse(json)).match(/"isLiveBroadcast":\s*"?(true|false)"?/i);
+      if (found) live = found[1].toLowerCase() === 'true';
+    } catch (error) {
+      // Broken JSON-LD just means no live flag
+    }
+  }
+
+  return { meta, live };
+}
+
+function pagePath(canonicalUrl) {
+  const url = new URL(canonicalUrl);
+  return `${url.pathname}${url.search}`;
+}
+
+const openGraphFetcher = {
+  name: 'opengraph',
+  async fetch({ canonicalUrl, channel }, { getPage }) {
+    const { meta, live } = parsePage(await getPage(pagePath(canonicalUrl)));
+    return {
+      title: meta['og:title'] || meta.title || null,
+      streamerName: meta.author || channel || null,
+      thumbnailUrl: meta['og:image'] || null,
+      live
+    };
+  }
+};
+
+// Twitch channel pages: og:title is "<display name> - Twitch", og:description the stream title
+registerFetcher({
+  name: 'twitch',
+  async fetch(identity, context) {
+    if (!identity.channel) return openGraphFetcher.fetch(identity, context);
+
+    const { meta, live } = parsePage(await context.getPage(`/${identity.channel}`));
+    return {
+      title: meta['og:description'] || null,
+      streamerName: (meta['og:title'] || '').replace(/\s+-\s+Twitch$/, '') || identity.channel,
+      thumbnailUrl: meta['og:image'] || null,
+      live
+    };
+  }
+});
+
+// YouTube: oEmbed for title, channel and thumbnail; the watch page for the live flag
+registerFetcher({
+  name: 'youtube',
+  async fetch(identity, context) {
+    if (!identity.videoId) return openGraphFetcher.fetch(identity, context);
+
+    const { data } = await context.get('/oembed', { params: { url: identity.canonicalUrl, format: 'json' } });
+    const { live } = parsePage(await context.getPage(`/watch?v=${encodeURIComponent(identity.videoId)}`));
+    return {
+      title: data.title || null,
+      streamerName: data.author_name || null,
+      thumbnailUrl: data.thumbnail_url || null,
+      live
+    };
+  }
+});
+
+module.exports = {
+  registerFetcher,
+  getFetcher,
+  listFetchers,
+  parsePage,
+  openGraphFetcher
+};
@@ -0,0 +1,235 @@
+// Prometheus metrics in the text exposition format (version 0.0.4)
+//
+// A Registry holds counters, gauges and histograms, each with an optional
+// fixed set of label names, and renders them for GET /metrics. Gauges may
+// take a collect() callback that reads the current value at scrape time
+// (queue depth, say) instead of being set as things change.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suits HTTP calls between services on the same network
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new TypeError(`Invalid metric name ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * Series key for a label set; every declared label must be given, and no others
+   */
+  key(labels = {}) {
+    const names = Object.keys(labels);
+    if (names.length !== this.labelNames.length || !names.every(n => this.labelNames.includes(n))) {
+      throw new TypeError(`${this.name} takes labels ${this.labelNames.join(', ') || '(none)'}`);
+    }
+    return JSON.stringify(this.labelNames.map(n => String(labels[n])));
+  }
+
+  labelsOf(key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${formatLabels(this.labelsOf(key))} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw new RangeError('Counters only go up');
+    }
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  get(labels = {}) {
+    return this.values.get(this.key(labels)) || 0;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {object} options
+   * @param {string} options.name
+   * @param {string} options.help
+   * @param {string[]} [options.labelNames]
+   * @param {(gauge: Gauge) => void} [options.collect] - sets current values just before rendering
+   */
+  constructor(options) {
+    super('gauge', options);
+    this.collect = options.collect || null;
+  }
+
+  set(labels, value) {
+    this.values.set(this.key(labels), value);
+  }
+
+  get(labels = {}) {
+    return this.values.get(this.key(labels)) ?? 0;
+  }
+
+  render() {
+    if (this.collect) {
+      this.values.clear();
+      this.collect(this);
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {object} options
+   * @param {string} options.name
+   * @param {string} options.help
+   * @param {string[]} [options.labelNames]
+   * @param {number[]} [options.buckets] - upper bounds, ascending; +Inf is implied
+   */
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Time a promise-returning function, observing its duration in seconds even when it throws
+   */
+  async time(labels, fn) {
+    const started = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, series] of this.values) {
+      const labels = this.labelsOf(key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new TypeError(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * Zero every counter and histogram (collected gauges refresh themselves)
+   */
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset();
+  }
+
+  render() {
+    return Array.from(this.metrics.values()).flatMap(m => m.render()).join('\n') + '\n';
+  }
+}
+
+/**
+ * Read exposition text back into { 'name{label="x"}': value } for assertions
+ */
+function parseMetrics(text) {
+  const samples = {};
+  for (const line of String(text).split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+    const split = line.lastIndexOf(' ');
+    const value = line.slice(split + 1);
+    samples[line.slice(0, split)] = value === '+Inf' ? Infinity : value === '-Inf' ? -Infinity : Number(value);
+  }
+  return samples;
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  parseMetrics,
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS
+};
@@ -0,0 +1,124 @@
+// Mock ActionCable server speaking the Rails cable protocol over ws
+//
+// Frames follow ActionCable: the server sends {type: 'welcome'} and periodic
+// {type: 'ping'}, clients send {command: 'subscribe', identifier} where
+// identifier is a JSON string like '{"channel":"StreamChannel"}', and
+// broadcasts arrive as {identifier, message}.
+const { WebSocketServer } = require('ws');
+
+const PING_INTERVAL_MS = 3000;
+
+// Names clients may subscribe with, mapped to the channel broadcasts use
+const DEFAULT_CHANNELS = {
+  StreamChannel: 'StreamChannel',
+  StreamsChannel: 'StreamChannel'
+};
+
+class MockActionCableServer {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.path]
+   * @param {(token: string|null) => boolean} [options.authenticate] - decides whether a connection may stay open
+   * @param {Record<string, string>} [options.channels]
+   * @param {number} [options.pingIntervalMs]
+   */
+  constructor(options = {}) {
+    this.path = options.path || '/cable';
+    this.authenticate = options.authenticate || (() => true);
+    this.channels = options.channels || DEFAULT_CHANNELS;
+    this.pingIntervalMs = options.pingIntervalMs || PING_INTERVAL_MS;
+    this.wss = null;
+    this.pingTimer = null;
+  }
+
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: this.path });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    this.pingTimer = setInterval(() => {
+      this.sendAll({ type: 'ping', message: Math.floor(Date.now() / 1000) });
+    }, this.pingIntervalMs);
+    this.pingTimer.unref();
+  }
+
+  handleConnection(socket, req) {
+    const url = new URL(req.url, 'http://localhost');
+    const token = url.searchParams.get('token') ||
+      (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || null;
+
+    if (!this.authenticate(token)) {
+      send(socket, { type: 'disconnect', reason: 'unauthorized', reconnect: false });
+      socket.close();
+      return;
+    }
+
+    socket.subscriptions = new Map();
+    socket.on('error', () => {});
+    socket.on('message', raw => this.handleCommand(socket, raw));
+    send(socket, { type: 'welcome' });
+  }
+
+  handleCommand(socket, raw) {
+    let frame;
+    let params;
+    try {
+      frame = JSON.parse(raw);
+      params = JSON.parse(frame.identifier);
+    } catch (error) {
+      return;
+    }
+
+    if (frame.command === 'subscribe') {
+      const channel = this.channels[params.channel];
+      if (!channel) {
+        send(socket, { identifier: frame.identifier, type: 'reject_subscription' });
+        return;
+      }
+      socket.subscriptions.set(frame.identifier, channel);
+      send(socket, { identifier: frame.identifier, type: 'confirm_subscription' });
+    } else if (frame.command === 'unsubscribe') {
+      socket.subscriptions.delete(frame.identifier);
+    }
+  }
+
+  /**
+   * Send a message to every subscription on a channel
+   */
+  broadcast(channel, message) {
+    if (!this.wss) return;
+
+    for (const socket of this.wss.clients) {
+      for (const [identifier, subscribed] of socket.subscriptions || []) {
+        if (subscribed === channel) {
+          send(socket, { identifier, message });
+        }
+      }
+    }
+  }
+
+  sendAll(frame) {
+    if (!this.wss) return;
+    for (const socket of this.wss.clients) {
+      send(socket, frame);
+    }
+  }
+
+  async close() {
+    clearInterval(this.pingTimer);
+    if (!this.wss) return;
+
+    for (const socket of this.wss.clients) {
+      socket.terminate();
+    }
+    await new Promise(resolve => this.wss.close(() => resolve()));
+    this.wss = null;
+  }
+}
+
+function send(socket, frame) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(frame));
+  }
+}
+
+module.exports = MockActionCableServer;
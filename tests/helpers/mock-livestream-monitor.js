@@ -1,111 +1,258 @@
 // Mock livestream-link-monitor service for testing
+const http = require('http');
 const express = require('express');
 const axios = require('axios');
+const { TmiListener } = require('./tmi-listener');
+const { listen, localUrl } = require('./ports');
+const { extractStreamUrls, detectPlatform } = require('./platform-parser');
+const { RateLimiter } = require('./rate-limiter');
+const { SyncOutbox } = require('./sync-outbox');
+const { decodeJwt } = require('./jwt');
+const { StreamLifecycle, InvalidTransitionError, TRANSITIONS } = require('./stream-lifecycle');
+const { extractLocation } = require('./location-extractor');
+const { RulesEngine } = require('./rules-engine');
+const { MetadataEnricher } = require('./metadata-enricher');
+const { createStore, DedupWindow, STATE_VERSION, DEFAULT_DEDUP_WINDOW_MS } = require('./monitor-store');
+const { verifyDiscordRequest, publicKeyFromHex, DEFAULT_MAX_AGE_SECONDS } = require('./discord-signature');
+const { INTERACTION_TYPES, RESPONSE_TYPES, DEFAULT_REACTIONS, parseCommand, interactionUser, messageResponse } = require('./discord-interactions');
+const { Registry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { systemClock, randomIds } = require('./clock');
+const { EventLog, MONITOR_EVENT_TYPES, serveEvents } = require('./events');
+const { CONTENT_TYPES, IMPORT_BODY_LIMIT, resolveFormat, formatRows, parseRows, importRows } = require('./stream-sheet');
+
+// Log in again this long before a JWT's exp
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// What a Discord edit or delete does to the streams its message posted:
+//   onEdit    update   re-run extraction, adding URLs and updating the location
+//             ignore   leave the streams as first posted
+//   onDelete  retract  archive the stream (the URL may be posted again)
+//             flag     keep it but flag it for review
+//             ignore   leave it up
+// A URL edited out of a message is handled like a deletion.
+const MESSAGE_POLICY_ACTIONS = {
+  onEdit: ['update', 'ignore'],
+  onDelete: ['retract', 'flag', 'ignore']
+};
+const DEFAULT_MESSAGE_POLICY = { onEdit: 'update', onDelete: 'flag' };
+
+const LOCATION_FIELDS = ['city', 'state', 'country', 'lat', 'lng'];
+
+// Sightings kept per stream; sighting_count keeps counting past this
+const MAX_SIGHTINGS = 50;
 
 class MockLivestreamMonitor {
-  constructor(port = 3001, options = {}) {
+  constructor(port = 0, options = {}) {
     this.port = port;
+    this.url = null;
     this.app = express();
     this.server = null;
     this.streams = [];
-    this.processedUrls = new Set();
+    
+    // Everything time-based (dedup window, rate limits, retries, lifecycle, sightings)
+    // reads this clock, and stream ids come from generateId; tests inject a FakeClock
+    this.clock = options.clock || systemClock;
+    this.generateId = options.idGenerator || randomIds(this.clock);
+    const now = () => this.clock.now();
+    
+    // Streams and dedup state survive restarts through a pluggable store (memory,
+    // or a JSON file); URLs are forgotten dedupWindowMs after last seen, null keeps them
+    this.store = options.store || createStore({
+      backend: options.storage?.backend,
+      filePath: options.storage?.filePath || process.env.MONITOR_STATE_FILE
+    });
+    const dedupWindowHours = process.env.DEDUP_WINDOW_HOURS;
+    this.processedUrls = new DedupWindow(options.dedupWindowMs !== undefined
+      ? options.dedupWindowMs
+      : (dedupWindowHours ? Number(dedupWindowHours) * 60 * 60 * 1000 : DEFAULT_DEDUP_WINDOW_MS), now);
     
     // StreamSource integration options
     this.dualWriteMode = options.dualWriteMode !== false;
     this.streamSourceUrl = options.streamSourceUrl || 'http://localhost:3000/api/v1';
-    this.streamSourceToken = null;
     this.syncedStreams = new Set();
     
+    // StreamSource auth: a scoped API key, or credentials the monitor logs in with.
+    // A token pushed through POST /auth/streamsource overrides both.
+    this.streamSourceApiKey = options.streamSourceApiKey || process.env.STREAMSOURCE_API_KEY || null;
+    this.streamSourceCredentials = options.streamSourceCredentials || null;
+    this.tokenRefreshMarginMs = options.tokenRefreshMarginMs ?? TOKEN_REFRESH_MARGIN_MS;
+    this.streamSourceToken = null;
+    this.sessionToken = null;
+    this.sessionExpiresAt = 0;
+    
+    // Per-author/channel/guild limits on webhook traffic
+    this.rateLimiter = new RateLimiter(options.rateLimit, now);
+    this.rateLimitedCount = 0;
+    
+    // Streams start pending and move through the shared lifecycle
+    this.lifecycle = new StreamLifecycle({ now, ...options.lifecycle });
+    this.sweepTimer = null;
+    
+    // Optional review queue; trusted posters (by id or username) skip it,
+    // and rejected canonical URLs are never queued again
+    this.moderationEnabled = options.moderation?.enabled || process.env.MODERATION_MODE === 'true';
+    this.trustedPosters = new Set((options.moderation?.trustedPosters || []).map(String));
+    this.rejectedUrls = new Set();
+    
+    // Block/allow rules, optionally loaded from a JSON or YAML file
+    this.rules = new RulesEngine(options.rules);
+    const rulesFile = options.rulesFile || process.env.RULES_FILE;
+    if (rulesFile) this.rules.load(rulesFile);
+    this.blockedCount = 0;
+    
+    // With the application's public key set, Discord webhooks must carry a fresh Ed25519 signature
+    const discordPublicKey = options.discord?.publicKey || process.env.DISCORD_PUBLIC_KEY;
+    this.discordPublicKey = discordPublicKey ? publicKeyFromHex(discordPublicKey) : null;
+    this.discordMaxAgeSeconds = options.discord?.maxAgeSeconds ?? DEFAULT_MAX_AGE_SECONDS;
+    
+    // Who may remove or pin streams from Discord (user or role ids; nobody when empty),
+    // and which reactions do what
+    this.discordModerators = new Set((options.discord?.moderators || []).map(String));
+    this.reactionActions = { ...DEFAULT_REACTIONS, ...options.discord?.reactions };
+    
+    // Edit/delete handling, with per-channel overrides keyed by channel id
+    this.messagePolicy = {
+      default: { ...DEFAULT_MESSAGE_POLICY, ...options.discord?.messagePolicy?.default },
+      channels: { ...options.discord?.messagePolicy?.channels }
+    };
+    
+    // Optional page metadata lookup (title, streamer, thumbnail, live) before syncing;
+    // off unless configured so nothing reaches out to real platform pages
+    this.enricher = options.enrichment || process.env.ENRICHMENT_ENABLED === 'true'
+      ? new MetadataEnricher({ clock: this.clock, now, ...options.enrichment })
+      : null;
+    
+    // Failed StreamSource syncs wait here and are retried with backoff
+    this.syncOutbox = new SyncOutbox(entry => this.postToStreamSource(entry.payload), {
+      filePath: process.env.SYNC_QUEUE_FILE,
+      clock: this.clock,
+      ...options.syncQueue,
+      onDelivered: (entry, response) => {
+        this.syncedStreams.add(entry.id);
+        const stream = this.streams.find(s => s.canonical_url === entry.id);
+        if (stream) stream.streamsource_id = streamSourceId(response);
+        this.saveState();
+      }
+    });
+    
+    // Optional local TMI listener for Twitch chat (disabled unless a port is given; 0 picks a free one)
+    this.twitchIrcPort = options.twitchIrcPort ?? null;
+    this.tmiListener = null;
+    
+    // What /health reports about StreamSource, and the counters behind /metrics
+    this.startedAt = null;
+    this.lastSyncAt = null;
+    this.lastSyncFailure = null;
+    this.metrics = monitorMetrics(this);
+    
+    // url.extracted, stream.stored, sync.succeeded and sync.failed, in process
+    // (monitor.events) and as Server-Sent Events on GET /events
+    this.events = new EventLog({ now });
+    this.eventStreams = new Set();
+    
+    // Optional SessionRecorder capturing webhook bodies for session fixtures; it
+    // learns where StreamSource and the metadata pages live for its outbound side
+    this.recorder = options.recorder || null;
+    this.recorder?.target('streamsource', this.streamSourceUrl).target('metadata', this.enricher?.fixtureUrl);
+    
     this.setupRoutes();
   }
   
   setupRoutes() {
+    // Save state once anything that may have changed it has been answered
+    this.app.use((req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.on('finish', () => this.saveState());
+      }
+      next();
+    });
+    
+    // Discord bodies stay raw until their signature is checked
+    this.app.use('/webhook/discord', express.raw({ type: () => true }), (req, res, next) => this.parseDiscordWebhook(req, res, next));
+    // Imports may be CSV or NDJSON, so they're parsed per format rather than as JSON
+    this.app.use('/streams/import', express.text({ type: () => true, limit: IMPORT_BODY_LIMIT }));
     this.app.use(express.json());
     
-    // Health check endpoint
-    this.app.get('/health', (req, res) => {
-      res.json({
-        status: 'healthy',
-        services: {
-          discord: true,
-          twitch: true
-        }
+    if (this.recorder) {
+      this.app.post(['/webhook/discord', '/webhook/twitch'], (req, res, next) => {
+        this.recorder.inbound(req.path, req.body);
+        next();
       });
+    }
+    
+    // Degraded (still 200) when dual-write can't reach StreamSource: no credentials or a sync backlog
+    this.app.get('/health', (req, res) => {
+      res.json(this.health());
+    });
+    
+    // Prometheus scrape endpoint
+    this.app.get('/metrics', (req, res) => {
+      res.type(METRICS_CONTENT_TYPE).send(this.metrics.registry.render());
+    });
+    
+    // Pipeline events as Server-Sent Events, optionally filtered with ?types=a,b;
+    // Last-Event-ID (or ?since=) replays what the client missed
+    this.app.get('/events', (req, res) => {
+      const types = typeof req.query.types === 'string' ? req.query.types.split(',').filter(Boolean) : null;
+      const unknown = (types || []).filter(type => !MONITOR_EVENT_TYPES.includes(type));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown event type ${unknown[0]}`, types: MONITOR_EVENT_TYPES });
+      }
+      
+      const since = req.query.since !== undefined ? Number(req.query.since) : null;
+      const end = serveEvents(this.events, req, res, { types, since });
+      this.eventStreams.add(end);
+      res.on('close', () => this.eventStreams.delete(end));
     });
     
     // Discord webhook endpoint for testing
     this.app.post('/webhook/discord', async (req, res) => {
       const { type, data } = req.body;
       
-      if (type === 'MESSAGE_CREATE' && data) {
-        // Extract URLs from message content - more comprehensive regex
-        const urlRegex = /https?:\/\/(www\.)?(twitch\.tv|youtube\.com|tiktok\.com|kick\.com|facebook\.com)(\/[^\s]*)?/gi;
-        const urls = data.content.match(urlRegex) || [];
+      if (type === INTERACTION_TYPES.PING) {
+        res.json({ type: RESPONSE_TYPES.PONG });
+      } else if (type === INTERACTION_TYPES.APPLICATION_COMMAND) {
+        // Interactions endpoint: Discord posts the interaction itself
+        res.json(await this.handleInteraction(req.body));
+      } else if (type === 'MESSAGE_CREATE' && data) {
+        const limits = {
+          author: data.author?.id || data.author?.username,
+          channel: data.channel?.id || data.channel_id,
+          guild: data.guild?.id || data.guild_id
+        };
+        if (!this.allowRequest(limits.author, res)) return;
         
-        const results = [];
-        for (let url of urls) {
-          // Ensure URL ends properly (remove trailing punctuation)
-          url = url.replace(/[.,!?;:]$/, '');
-          
-          if (!this.processedUrls.has(url)) {
-            this.processedUrls.add(url);
-            
-            // Extract location from message - improved regex
-            const locationMatch = data.content.match(/\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),?\s*([A-Z]{2})\b/);
-            const city = locationMatch ? locationMatch[1] : null;
-            const state = locationMatch ? locationMatch[2] : null;
-            
-            const stream = {
-              id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
-              url,
-              platform: this.detectPlatform(url),
-              source: 'Discord',
-              posted_by: data.author?.username || 'test_user',
-              added_date: new Date().toISOString(),
-              city,
-              state,
-              status: 'Live'
-            };
-            
-            this.streams.push(stream);
-            
-            // Sync to StreamSource if enabled
-            let syncedToApi = false;
-            if (this.dualWriteMode && this.streamSourceToken) {
-              try {
-                const response = await axios.post(`${this.streamSourceUrl}/streams`, {
-                  source: stream.posted_by,
-                  link: stream.url,
-                  platform: stream.platform,
-                  city: stream.city,
-                  state: stream.state,
-                  status: 'offline'
-                }, {
-                  headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.streamSourceToken}`
-                  }
-                });
-                
-                if (response.status === 200 || response.status === 201) {
-                  syncedToApi = true;
-                  this.syncedStreams.add(url);
-                }
-              } catch (error) {
-                // Sync failed, continue with local storage
-              }
-            }
-            
-            const result = { url, success: true };
-            if (this.dualWriteMode) {
-              result.syncedToApi = syncedToApi;
-            }
-            results.push(result);
-          } else {
-            results.push({ url, success: false, reason: 'duplicate' });
-          }
-        }
+        this.metrics.messages.inc({ source: 'discord' });
+        const results = await this.processMessage(data.content, {
+          source: 'Discord',
+          channel: data.channel?.name,
+          posted_by: data.author?.username || 'test_user',
+          messageId: data.id,
+          limits
+        });
+        
+        res.json({ success: true, results });
+      } else if (type === 'MESSAGE_UPDATE' && data?.id) {
+        res.json(await this.handleMessageUpdate(data));
+      } else if (type === 'MESSAGE_DELETE' && data?.id) {
+        res.json(await this.handleMessageDelete(data));
+      } else if (type === 'INTERACTION_CREATE' && data) {
+        res.json(await this.handleInteraction(data));
+      } else if (type === 'MESSAGE_REACTION_ADD' && data) {
+        res.json(await this.handleReaction(data));
+      } else {
+        res.status(400).json({ error: 'Invalid webhook data' });
+      }
+    });
+    
+    // Twitch chat endpoint for testing (same shape as a TMI PRIVMSG)
+    this.app.post('/webhook/twitch', async (req, res) => {
+      const { channel, data } = req.body;
+      
+      if (channel && data && typeof data.content === 'string') {
+        if (!this.allowRequest(data['user-id'] || data.username, res)) return;
         
+        const results = await this.handleTwitchMessage(channel, data);
         res.json({ success: true, results });
       } else {
         res.status(400).json({ error: 'Invalid webhook data' });
@@ -117,15 +264,181 @@ class MockLivestreamMonitor {
       res.json(this.streams);
     });
     
+    // Streams as livesheet rows (?format=csv|json|ndjson)
+    this.app.get('/streams/export', (req, res) => {
+      try {
+        const format = resolveFormat(req.query.format || 'csv');
+        const rows = this.streams.map(s => ({ ...s, link: s.url }));
+        res.type(CONTENT_TYPES[format]).send(formatRows(rows, format));
+      } catch (error) {
+        res.status(400).json(error);
+      }
+    });
+    
+    // Bulk-add livesheet rows, reporting errors per row
+    this.app.post('/streams/import', async (req, res) => {
+      let entries;
+      try {
+        entries = parseRows(req.body, resolveFormat(req.query.format, req.headers['content-type']));
+      } catch (error) {
+        return res.status(400).json(error);
+      }
+      res.json(await importRows(entries, (values, identity) => this.importStream(values, identity)));
+    });
+    
+    // Move a stream through the lifecycle (e.g. reject it or mark it live)
+    this.app.patch('/streams/:id', (req, res) => {
+      const stream = this.streams.find(s => s.id === req.params.id);
+      if (!stream) {
+        return res.status(404).json({ error: 'Stream not found' });
+      }
+      
+      try {
+        this.lifecycle.transition(stream, req.body.status, req.body.reason || 'manual');
+        res.json(stream);
+      } catch (error) {
+        res.status(422).json(error);
+      }
+    });
+    
+    // Lifecycle history for one stream
+    this.app.get('/streams/:id/history', (req, res) => {
+      const stream = this.streams.find(s => s.id === req.params.id);
+      if (!stream) {
+        return res.status(404).json({ error: 'Stream not found' });
+      }
+      res.json({ stream_id: stream.id, status: stream.status, history: this.lifecycle.history(stream.id) });
+    });
+    
+    // Streams waiting for a moderator, oldest first
+    this.app.get('/moderation/queue', (req, res) => {
+      const streams = this.streams.filter(s => s.moderation?.status === 'pending');
+      res.json({ depth: streams.length, streams });
+    });
+    
+    // Approve a queued stream and sync it to StreamSource
+    this.app.post('/moderation/:id/approve', async (req, res) => {
+      const stream = this.findQueuedStream(req, res);
+      if (!stream) return;
+      
+      this.recordReview(stream, 'approved', req.body);
+      const sync = await this.syncStream(stream);
+      res.json({ success: true, stream, ...sync });
+    });
+    
+    // Reject a queued stream; its URL is remembered so reposts are dropped
+    this.app.post('/moderation/:id/reject', (req, res) => {
+      const stream = this.findQueuedStream(req, res);
+      if (!stream) return;
+      
+      try {
+        this.lifecycle.transition(stream, 'rejected', req.body.reason || 'moderator');
+      } catch (error) {
+        if (!(error instanceof InvalidTransitionError)) throw error;
+        return res.status(409).json(error.toJSON());
+      }
+      this.recordReview(stream, 'rejected', req.body);
+      this.rejectedUrls.add(stream.canonical_url);
+      res.json({ success: true, stream });
+    });
+    
+    // Get or change how Discord edits and deletes are handled
+    this.app.get('/config/message-policy', (req, res) => {
+      res.json(this.messagePolicy);
+    });
+    
+    this.app.post('/config/message-policy', (req, res) => {
+      const { default: defaults, channels = {} } = req.body || {};
+      const invalid = [defaults, ...Object.values(channels)].map(invalidMessagePolicy).find(Boolean);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      
+      Object.assign(this.messagePolicy.default, defaults);
+      for (const [channelId, policy] of Object.entries(channels)) {
+        if (policy === null) {
+          delete this.messagePolicy.channels[channelId];
+        } else {
+          this.messagePolicy.channels[channelId] = { ...this.messagePolicy.channels[channelId], ...policy };
+        }
+      }
+      res.json({ success: true, messagePolicy: this.messagePolicy });
+    });
+    
+    // Get or change moderation mode and trusted posters
+    this.app.get('/config/moderation', (req, res) => {
+      res.json(this.moderationStatus());
+    });
+    
+    this.app.post('/config/moderation', (req, res) => {
+      const { enabled, trustedPosters } = req.body || {};
+      if (enabled !== undefined) this.moderationEnabled = Boolean(enabled);
+      if (Array.isArray(trustedPosters)) this.trustedPosters = new Set(trustedPosters.map(String));
+      res.json({ success: true, moderation: this.moderationStatus() });
+    });
+    
+    // Get, replace or extend block/allow rules
+    this.app.get('/config/rules', (req, res) => {
+      res.json(this.rules.toJSON());
+    });
+    
+    this.app.put('/config/rules', (req, res) => {
+      try {
+        res.json({ success: true, rules: this.rules.configure(req.body) });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    
+    this.app.post('/config/rules', (req, res) => {
+      try {
+        res.status(201).json({ success: true, rule: this.rules.addRule(req.body) });
+      } catch (error) {
+        res.status(error.code === 'duplicate' ? 409 : 400).json({ error: error.message });
+      }
+    });
+    
+    this.app.delete('/config/rules/:id', (req, res) => {
+      if (!this.rules.removeRule(req.params.id)) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      res.json({ success: true });
+    });
+    
+    // Re-read the rules file after editing it
+    this.app.post('/config/rules/reload', (req, res) => {
+      try {
+        res.json({ success: true, rules: this.rules.reload() });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    
+    // Age long-offline streams now
+    this.app.post('/lifecycle/sweep', (req, res) => {
+      res.json(this.sweepLifecycle());
+    });
+    
     // Reset for testing
     this.app.post('/reset', (req, res) => {
       this.streams = [];
       this.processedUrls.clear();
       this.syncedStreams.clear();
+      this.rateLimiter.reset();
+      this.rateLimitedCount = 0;
+      this.blockedCount = 0;
+      this.lifecycle.clear();
+      this.rejectedUrls.clear();
+      this.syncOutbox.clear();
+      this.enricher?.clear();
+      this.events.clear();
+      this.metrics.registry.reset();
+      this.lastSyncAt = null;
+      this.lastSyncFailure = null;
       res.json({ success: true });
     });
     
-    // Set StreamSource token
+    // Manually override the StreamSource token
     this.app.post('/auth/streamsource', (req, res) => {
       this.streamSourceToken = req.body.token;
       res.json({ success: true });
@@ -142,34 +455,864 @@ class MockLivestreamMonitor {
       res.json({
         dualWriteMode: this.dualWriteMode,
         streamSourceUrl: this.streamSourceUrl,
-        hasToken: !!this.streamSourceToken,
+        hasToken: this.hasStreamSourceAuth(),
+        authMode: this.streamSourceAuthMode(),
         processedCount: this.processedUrls.size,
         syncedCount: this.syncedStreams.size,
-        processedUrls: Array.from(this.processedUrls),
-        syncedUrls: Array.from(this.syncedStreams)
+        queueDepth: this.syncOutbox.size,
+        processedUrls: this.processedUrls.keys(),
+        dedupWindowMs: this.processedUrls.windowMs,
+        syncedUrls: Array.from(this.syncedStreams),
+        rateLimit: this.rateLimiter.status(),
+        rateLimitedCount: this.rateLimitedCount,
+        blockedCount: this.blockedCount,
+        moderation: this.moderationStatus(),
+        enrichment: this.enricher ? this.enricher.status() : null
       });
     });
+    
+    // Inspect streams waiting to be retried
+    this.app.get('/sync-queue', (req, res) => {
+      res.json({
+        depth: this.syncOutbox.size,
+        entries: this.syncOutbox.list(),
+        deadLetters: this.syncOutbox.listDeadLetters()
+      });
+    });
+    
+    // Retry every queued stream now, ignoring backoff
+    this.app.post('/sync-queue/flush', async (req, res) => {
+      const summary = await this.syncOutbox.flush({ force: true });
+      res.json({ success: true, ...summary });
+    });
+    
+    // Get or adjust rate limits
+    this.app.get('/config/rate-limit', (req, res) => {
+      res.json(this.rateLimiter.status());
+    });
+    
+    this.app.post('/config/rate-limit', (req, res) => {
+      try {
+        const rateLimit = this.rateLimiter.configure(req.body || {});
+        res.json({ success: true, rateLimit });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+  }
+  
+  /**
+   * Apply the whole-request limit for an author, replying 429 when exhausted
+   */
+  allowRequest(author, res) {
+    if (author === undefined || author === null) return true;
+    
+    const limit = this.rateLimiter.consumeMessage(author);
+    if (limit.allowed) return true;
+    
+    // A bucket that never refills has no meaningful retry time
+    const retryAfter = Number.isFinite(limit.retryAfterMs) ? Math.ceil(limit.retryAfterMs / 1000) : null;
+    if (retryAfter !== null) {
+      res.set('Retry-After', String(retryAfter));
+    }
+    res.status(429).json({ error: 'Rate limited', scope: limit.scope, retryAfter });
+    return false;
+  }
+  
+  /**
+   * Handle a Twitch chat message from the webhook route or the TMI listener
+   */
+  handleTwitchMessage(channel, message) {
+    this.metrics.messages.inc({ source: 'twitch' });
+    return this.processMessage(message.content, {
+      source: 'Twitch',
+      channel: channel.replace(/^#/, ''),
+      posted_by: message['display-name'] || message.username || 'test_user',
+      limits: {
+        author: message['user-id'] || message.username,
+        channel: channel.replace(/^#/, '')
+      }
+    });
+  }
+  
+  /**
+   * Extract stream URLs from a chat message, store new ones and sync them;
+   * only (a set of canonical URLs) limits which of the message's URLs count
+   */
+  async processMessage(content, context, only = null) {
+    const results = [];
+    for (const { url, canonicalUrl, platform, channel, videoId, kind } of extractStreamUrls(content)) {
+      if (only && !only.has(canonicalUrl)) continue;
+      this.metrics.urls.inc({ platform });
+      this.events.publish('url.extracted', {
+        url,
+        canonical_url: canonicalUrl,
+        platform,
+        source: context.source,
+        channel: context.channel || null,
+        message_id: context.messageId ? String(context.messageId) : null
+      });
+      if (this.rejectedUrls.has(canonicalUrl)) {
+        results.push({ url, success: false, reason: 'rejected' });
+        continue;
+      }
+      
+      // Blocked URLs are not remembered, so relaxing a rule lets a repost through
+      const decision = this.rules.evaluate({
+        url,
+        canonicalUrl,
+        platform,
+        channel,
+        content,
+        authorId: context.limits?.author,
+        channelId: context.limits?.channel,
+        guildId: context.limits?.guild
+      });
+      if (!decision.allowed) {
+        this.blockedCount++;
+        this.metrics.ruleBlocks.inc({ rule: decision.rule ?? 'default' });
+        results.push({ url, success: false, reason: 'blocked_by_rule', rule: decision.rule ?? 'default' });
+        continue;
+      }
+      
+      // Rate-limited URLs are not remembered, so they can be posted again later
+      const limit = this.rateLimiter.consume(context.limits || {});
+      if (!limit.allowed) {
+        this.rateLimitedCount++;
+        this.metrics.rateLimited.inc({ scope: limit.scope });
+        results.push({ url, success: false, reason: 'rate_limited', scope: limit.scope });
+        continue;
+      }
+      
+      // Dedup on canonical identity so tracking params and host aliases match;
+      // a repost that passed the rules and limits counts as another sighting
+      if (this.processedUrls.has(canonicalUrl)) {
+        this.metrics.duplicates.inc({ platform });
+        results.push({ url, success: false, reason: 'duplicate', ...(await this.mergeSighting(canonicalUrl, content, context)) });
+        continue;
+      }
+      
+      this.processedUrls.add(canonicalUrl);
+      
+      // Best-guess place from the gazetteer, with coordinates for the map
+      const location = extractLocation(content);
+      
+      const stream = newStream(url, { canonicalUrl, platform, kind, channel, videoId }, context, location, this.stamp());
+      this.lifecycle.begin(stream);
+      this.streams.push(stream);
+      await this.enrichStream(stream);
+      this.events.publish('stream.stored', { stream });
+      
+      const result = { url, success: true };
+      if (decision.rule) {
+        result.rule = decision.rule;
+      }
+      
+      // Untrusted posts wait for a moderator before reaching StreamSource
+      if (this.moderationEnabled) {
+        const trusted = this.isTrustedPoster(context);
+        stream.moderation = { status: trusted ? 'trusted' : 'pending', moderator: null, reason: null, reviewed_at: null };
+        if (!trusted) {
+          result.moderation = 'pending';
+          results.push(result);
+          continue;
+        }
+      }
+      
+      const { syncedToApi, queued } = await this.syncStream(stream);
+      if (this.dualWriteMode) {
+        result.syncedToApi = syncedToApi;
+      }
+      if (queued) {
+        result.queued = true;
+      }
+      results.push(result);
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Add one validated livesheet row as a stream; imports skip rules, rate limits
+   * and moderation but still honour rejections and dedup
+   */
+  async importStream(values, identity) {
+    const { canonicalUrl } = identity;
+    if (this.rejectedUrls.has(canonicalUrl)) {
+      return { errors: [{ column: 'Link', message: `Link ${values.link} was rejected by a moderator` }] };
+    }
+    if (this.processedUrls.has(canonicalUrl)) {
+      const existing = this.streams.find(s => s.canonical_url === canonicalUrl);
+      return { errors: [{ column: 'Link', message: `Link ${values.link} is already tracked${existing ? ` as ${existing.id}` : ''}` }] };
+    }
+    
+    // Take coordinates from the gazetteer when it agrees with the sheet's place
+    const place = [values.city, values.state].filter(Boolean).join(', ');
+    const found = place ? extractLocation(place) : null;
+    const agrees = found && (!values.city || found.city?.toLowerCase() === values.city.toLowerCase());
+    const location = agrees ? found : place
+      ? { city: values.city, state: values.state, country: null, lat: null, lng: null, confidence: null }
+      : null;
+    
+    const context = { source: values.source || 'Import', channel: null, posted_by: values.posted_by };
+    const stream = newStream(values.link, identity, context, location, this.stamp());
+    if (values.added_date) {
+      stream.added_date = values.added_date;
+    }
+    
+    this.processedUrls.add(canonicalUrl);
+    this.lifecycle.beginAs(stream, values.status || 'pending', 'import');
+    if (stream.status === 'rejected') this.rejectedUrls.add(canonicalUrl);
+    this.streams.push(stream);
+    this.events.publish('stream.stored', { stream });
+    
+    const { syncedToApi, queued } = await this.syncStream(stream);
+    return { stream_id: stream.id, ...(this.dualWriteMode ? { syncedToApi } : {}), ...(queued ? { queued } : {}) };
+  }
+  
+  /**
+   * Create the stream in StreamSource when dual-write is on, queueing it on failure
+   */
+  async syncStream(stream) {
+    if (!this.dualWriteMode || !this.hasStreamSourceAuth()) {
+      return { syncedToApi: false, queued: false };
+    }
+    
+    const payload = {
+      source: stream.posted_by,
+      link: stream.url,
+      platform: stream.platform,
+      city: stream.city,
+      state: stream.state,
+      country: stream.country,
+      lat: stream.lat,
+      lng: stream.lng,
+      status: stream.status,
+      posted_by: stream.posted_by,
+      sightings: stream.sightings,
+      sighting_count: stream.sighting_count,
+      last_seen_at: stream.last_seen_at,
+      title: stream.title,
+      streamer_name: stream.streamer_name,
+      thumbnail_url: stream.thumbnail_url
+    };
+    
+    try {
+      const response = await this.postToStreamSource(payload);
+      stream.streamsource_id = streamSourceId(response);
+      this.syncedStreams.add(stream.canonical_url);
+      return { syncedToApi: true, queued: false };
+    } catch (error) {
+      // Keep it in the outbox so it lands once StreamSource recovers, unless it was refused outright
+      const entry = this.syncOutbox.enqueue(stream.canonical_url, payload, error);
+      return { syncedToApi: false, queued: !entry.deadLetteredAt };
+    }
+  }
+  
+  /**
+   * Verify a raw Discord webhook body when a public key is configured, then parse it;
+   * replies 401 for a missing, bad or stale signature and 400 for bad JSON
+   */
+  parseDiscordWebhook(req, res, next) {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    
+    if (this.discordPublicKey) {
+      try {
+        verifyDiscordRequest(this.discordPublicKey, {
+          signature: req.get('X-Signature-Ed25519'),
+          timestamp: req.get('X-Signature-Timestamp'),
+          body
+        }, { now: this.clock.now(), maxAgeSeconds: this.discordMaxAgeSeconds });
+      } catch (error) {
+        return res.status(401).json({ error: error.message, code: error.code });
+      }
+    }
+    
+    try {
+      req.body = JSON.parse(body.toString() || '{}');
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    next();
+  }
+  
+  /**
+   * Answer a /stream slash command with an interaction response
+   */
+  async handleInteraction(interaction) {
+    if (interaction.type === INTERACTION_TYPES.PING) {
+      return { type: RESPONSE_TYPES.PONG };
+    }
+    
+    const { name, subcommand, options } = parseCommand(interaction);
+    if (interaction.type !== INTERACTION_TYPES.APPLICATION_COMMAND || name !== 'stream') {
+      return messageResponse('Unknown command', { ephemeral: true });
+    }
+    
+    const user = interactionUser(interaction);
+    if (subcommand === 'add') {
+      return this.addFromCommand(interaction, user, options);
+    }
+    if (!['remove', 'pin', 'status'].includes(subcommand)) {
+      return messageResponse(`Unknown subcommand ${subcommand}`, { ephemeral: true });
+    }
+    
+    const stream = this.findStreamByRef(options.stream);
+    if (!stream) {
+      return messageResponse(`No stream matches ${options.stream}`, { ephemeral: true });
+    }
+    if (subcommand === 'status') {
+      return messageResponse(describeStream(stream), { ephemeral: true });
+    }
+    if (!this.isDiscordModerator(user)) {
+      return messageResponse('Only moderators can do that', { ephemeral: true });
+    }
+    
+    const outcome = await this.applyDiscordAction(subcommand, stream, user.username || user.id);
+    if (!outcome.success) {
+      return messageResponse(`Could not ${subcommand} ${stream.url}: ${outcome.error}`, { ephemeral: true });
+    }
+    return messageResponse(subcommand === 'pin' ? `Pinned ${stream.url}` : `Removed ${stream.url} (${stream.status})`);
+  }
+  
+  /**
+   * /stream add: run the URL and location through the same path as a chat post
+   */
+  async addFromCommand(interaction, user, options) {
+    const { url, location } = options;
+    const [result] = await this.processMessage(`${url || ''} ${location || ''}`, {
+      source: 'Discord',
+      channel: interaction.channel?.name,
+      posted_by: user.username || 'discord_user',
+      limits: { author: user.id, channel: interaction.channel_id, guild: interaction.guild_id }
+    });
+    
+    if (!result) {
+      return messageResponse(`No stream URL in ${url}`, { ephemeral: true });
+    }
+    if (!result.success) {
+      return messageResponse(`Not added: ${result.reason.replace(/_/g, ' ')}`, { ephemeral: true });
+    }
+    
+    const stream = this.findStreamByRef(result.url);
+    const review = result.moderation === 'pending' ? ', waiting for review' : '';
+    return messageResponse(`Added ${describeStream(stream)}${review}`);
+  }
+  
+  /**
+   * Apply a reaction to every stream the reacted-to message posted
+   */
+  async handleReaction(reaction) {
+    const action = this.reactionActions[reaction.emoji?.name];
+    if (!action) {
+      return { success: true, action: null, results: [] };
+    }
+    
+    const user = { id: reaction.user_id, roles: reaction.member?.roles || [] };
+    if (!this.isDiscordModerator(user)) {
+      return { success: false, action, reason: 'not_moderator', results: [] };
+    }
+    
+    const moderator = reaction.member?.user?.username || reaction.user_id;
+    const results = [];
+    for (const stream of this.streams.filter(s => s.message_id && s.message_id === String(reaction.message_id))) {
+      results.push({ id: stream.id, ...(await this.applyDiscordAction(action, stream, moderator)) });
+    }
+    return { success: true, action, results };
+  }
+  
+  /**
+   * Remove (reject if pending, archive otherwise) or pin a stream, mirroring it to StreamSource
+   */
+  async applyDiscordAction(action, stream, moderator) {
+    const reason = `discord:${moderator}`;
+    try {
+      if (action === 'pin') {
+        stream.pinned = true;
+      } else if (stream.status === 'pending') {
+        if (stream.moderation) this.recordReview(stream, 'rejected', { moderator, reason: 'discord' });
+        this.lifecycle.transition(stream, 'rejected', reason);
+        this.rejectedUrls.add(stream.canonical_url);
+      } else {
+        this.lifecycle.transition(stream, 'archived', reason);
+      }
+    } catch (error) {
+      if (!(error instanceof InvalidTransitionError)) throw error;
+      return { success: false, status: stream.status, error: `already ${stream.status}` };
+    }
+    
+    const syncedToApi = action === 'pin'
+      ? await this.mirrorToStreamSource(stream, 'put', '/pin')
+      : await this.mirrorToStreamSource(stream, 'patch', '', { status: stream.status });
+    return { success: true, status: stream.status, pinned: stream.pinned, syncedToApi };
+  }
+  
+  /**
+   * Repeat a moderator action on the stream's StreamSource record; not queued on failure
+   */
+  async mirrorToStreamSource(stream, method, path, data) {
+    if (!stream.streamsource_id || !this.dualWriteMode || !this.hasStreamSourceAuth()) {
+      return false;
+    }
+    
+    try {
+      await this.streamSourceRequest(method, `/streams/${stream.streamsource_id}${path}`, data);
+      this.recordSync('update', { link: stream.url, streamsource_id: stream.streamsource_id });
+      return true;
+    } catch (error) {
+      this.recordSync('update', { link: stream.url, streamsource_id: stream.streamsource_id }, error);
+      return false;
+    }
+  }
+  
+  /**
+   * Re-read an edited message: add URLs it gained, apply the delete policy to URLs
+   * it lost, and move the rest to the new location
+   */
+  async handleMessageUpdate(message) {
+    const messageId = String(message.id);
+    const channelId = message.channel?.id || message.channel_id;
+    const policy = this.messagePolicyFor(channelId);
+    const summary = { success: true, policy: policy.onEdit, updated: [], removed: [], results: [] };
+    if (policy.onEdit === 'ignore' || typeof message.content !== 'string') {
+      return summary;
+    }
+    
+    const streams = this.streams.filter(s => s.message_id === messageId && !['archived', 'rejected'].includes(s.status));
+    const found = extractStreamUrls(message.content);
+    const current = new Set(found.map(u => u.canonicalUrl));
+    const location = extractLocation(message.content);
+    
+    for (const stream of streams) {
+      if (!current.has(stream.canonical_url)) {
+        summary.removed.push(await this.applyMessageAction(policy.onDelete, stream, 'message_edited'));
+      } else if (location && LOCATION_FIELDS.some(field => stream[field] !== location[field])) {
+        Object.assign(stream, locationFields(location));
+        const changes = Object.fromEntries(LOCATION_FIELDS.map(field => [field, stream[field]]));
+        summary.updated.push({ id: stream.id, ...changes, syncedToApi: await this.mirrorToStreamSource(stream, 'patch', '', changes) });
+      }
+    }
+    
+    // Only URLs the message didn't already post go through the normal path, so
+    // the ones it kept aren't counted again as sightings of themselves
+    const known = new Set(streams.map(s => s.canonical_url));
+    const added = new Set(found.map(u => u.canonicalUrl).filter(canonicalUrl => !known.has(canonicalUrl)));
+    if (added.size) {
+      const author = message.author;
+      const results = await this.processMessage(message.content, {
+        source: 'Discord',
+        channel: message.channel?.name,
+        posted_by: author?.username || streams[0]?.posted_by || 'test_user',
+        messageId,
+        limits: {
+          author: author?.id || author?.username,
+          channel: channelId,
+          guild: message.guild?.id || message.guild_id
+        }
+      }, added);
+      summary.results = results;
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Apply the channel's delete policy to every stream a deleted message posted
+   */
+  async handleMessageDelete(message) {
+    const policy = this.messagePolicyFor(message.channel_id);
+    const results = [];
+    for (const stream of this.streams.filter(s => s.message_id === String(message.id))) {
+      results.push(await this.applyMessageAction(policy.onDelete, stream, 'message_deleted'));
+    }
+    return { success: true, policy: policy.onDelete, results };
+  }
+  
+  /**
+   * Retract or flag one stream after its message changed, mirroring StreamSource
+   */
+  async applyMessageAction(action, stream, reason) {
+    const result = { id: stream.id, url: stream.url, action, syncedToApi: false };
+    
+    if (action === 'retract' && !['archived', 'rejected'].includes(stream.status)) {
+      this.lifecycle.transition(stream, 'archived', reason);
+      if (stream.moderation?.status === 'pending') stream.moderation.status = 'retracted';
+      this.processedUrls.delete(stream.canonical_url);
+      result.syncedToApi = await this.mirrorToStreamSource(stream, 'patch', '', { status: 'archived' });
+    } else if (action === 'flag') {
+      Object.assign(stream, { flagged: true, flag_reason: reason });
+      result.syncedToApi = await this.mirrorToStreamSource(stream, 'patch', '', { is_flagged: true, flag_reason: reason });
+    }
+    
+    return { ...result, status: stream.status, flagged: stream.flagged };
+  }
+  
+  messagePolicyFor(channelId) {
+    return { ...this.messagePolicy.default, ...this.messagePolicy.channels[channelId] };
+  }
+  
+  /**
+   * Find a stream by monitor id or by any URL with the same canonical identity
+   */
+  findStreamByRef(ref) {
+    if (!ref) return null;
+    const [parsed] = extractStreamUrls(String(ref));
+    return this.streams.find(s => s.id === String(ref) || (parsed && s.canonical_url === parsed.canonicalUrl)) || null;
+  }
+  
+  isDiscordModerator({ id, roles = [] }) {
+    return [id, ...roles].some(value => value !== undefined && value !== null && this.discordModerators.has(String(value)));
+  }
+  
+  /**
+   * Record a repost against the stream it duplicates: bump last seen, adopt a
+   * more confident location, revive it if stale, and PATCH StreamSource
+   */
+  async mergeSighting(canonicalUrl, content, context) {
+    const stream = this.streams.filter(s => s.canonical_url === canonicalUrl).pop();
+    if (!stream) return {};
+    
+    const location = extractLocation(content);
+    addSighting(stream, context, location, this.timestamp());
+    this.processedUrls.add(canonicalUrl);
+    /** @type {Record<string, any>} */
+    const changes = {
+      sighting_count: stream.sighting_count,
+      last_seen_at: stream.last_seen_at,
+      sightings: stream.sightings
+    };
+    
+    if (location && (stream.location_confidence === null || location.confidence > stream.location_confidence)) {
+      Object.assign(stream, locationFields(location));
+      for (const field of LOCATION_FIELDS) changes[field] = stream[field];
+    }
+    
+    const revived = stream.status === 'stale';
+    if (revived) {
+      this.lifecycle.transition(stream, 'live', 'sighting');
+      changes.status = stream.status;
+    }
+    
+    const merged = { stream_id: stream.id, sighting_count: stream.sighting_count, revived };
+    if (this.dualWriteMode) {
+      merged.syncedToApi = await this.mirrorToStreamSource(stream, 'patch', '', changes);
+    }
+    return merged;
+  }
+  
+  /**
+   * Fill in page metadata when enrichment is on; a failed lookup leaves the fields null
+   */
+  async enrichStream(stream) {
+    if (!this.enricher) return stream;
+    
+    const metadata = await this.enricher.enrich(stream.url);
+    if (metadata) {
+      stream.title = metadata.title;
+      stream.streamer_name = metadata.streamerName;
+      stream.thumbnail_url = metadata.thumbnailUrl;
+      stream.is_live = metadata.live;
+    }
+    return stream;
+  }
+  
+  isTrustedPoster(context) {
+    return [context.limits?.author, context.posted_by]
+      .some(id => id !== undefined && id !== null && this.trustedPosters.has(String(id)));
+  }
+  
+  moderationStatus() {
+    return {
+      enabled: this.moderationEnabled,
+      trustedPosters: Array.from(this.trustedPosters),
+      queueDepth: this.streams.filter(s => s.moderation?.status === 'pending').length,
+      rejectedCount: this.rejectedUrls.size
+    };
+  }
+  
+  /**
+   * Look up a stream awaiting review; replies 404/409/400 and returns null otherwise
+   */
+  findQueuedStream(req, res) {
+    const stream = this.streams.find(s => s.id === req.params.id);
+    if (!stream || !stream.moderation) {
+      res.status(404).json({ error: 'Stream not in moderation queue' });
+      return null;
+    }
+    if (stream.moderation.status !== 'pending') {
+      res.status(409).json({ error: `Stream already ${stream.moderation.status}`, moderation: stream.moderation });
+      return null;
+    }
+    if (!req.body?.moderator) {
+      res.status(400).json({ error: 'moderator is required' });
+      return null;
+    }
+    return stream;
+  }
+  
+  recordReview(stream, status, { moderator, reason = null }) {
+    stream.moderation = { status, moderator: String(moderator), reason, reviewed_at: this.timestamp() };
+  }
+  
+  /**
+   * The clock's current time as an ISO string
+   */
+  timestamp() {
+    return new Date(this.clock.now()).toISOString();
+  }
+  
+  /**
+   * A fresh stream id and creation time
+   */
+  stamp() {
+    return { id: this.generateId(), at: this.timestamp() };
+  }
+  
+  streamSourceAuthMode() {
+    if (this.streamSourceToken) return 'token';
+    if (this.streamSourceApiKey) return 'api_key';
+    if (this.streamSourceCredentials) return 'credentials';
+    return null;
+  }
+  
+  hasStreamSourceAuth() {
+    return this.streamSourceAuthMode() !== null;
+  }
+  
+  /**
+   * Bearer token for StreamSource, logging in when the session is missing or near expiry
+   */
+  async getStreamSourceToken({ refresh = false } = {}) {
+    const mode = this.streamSourceAuthMode();
+    if (mode === 'token') return this.streamSourceToken;
+    if (mode === 'api_key') return this.streamSourceApiKey;
+    if (mode === null) return null;
+    
+    if (refresh || !this.sessionToken || this.clock.now() >= this.sessionExpiresAt - this.tokenRefreshMarginMs) {
+      const { email, password } = this.streamSourceCredentials;
+      const response = await axios.post(`${this.streamSourceUrl}/users/login`, { email, password });
+      const { payload } = decodeJwt(response.data.token);
+      
+      this.sessionToken = response.data.token;
+      this.sessionExpiresAt = payload.exp ? payload.exp * 1000 : Infinity;
+    }
+    
+    return this.sessionToken;
+  }
+  
+  /**
+   * Send an authenticated request to StreamSource, logging in again once on a 401
+   */
+  async streamSourceRequest(method, path, data) {
+    const send = async (token) => this.metrics.latency.time({ method: method.toUpperCase() }, () => axios.request({
+      method,
+      url: `${this.streamSourceUrl}${path}`,
+      data,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    }));
+    
+    const token = await this.getStreamSourceToken();
+    if (!token) {
+      throw new Error('No StreamSource credentials');
+    }
+    
+    try {
+      return await send(token);
+    } catch (error) {
+      if (error.response?.status === 401 && this.streamSourceAuthMode() === 'credentials') {
+        return send(await this.getStreamSourceToken({ refresh: true }));
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Create a stream in StreamSource; a 409 means it is already there
+   */
+  async postToStreamSource(payload) {
+    try {
+      const response = await this.streamSourceRequest('post', '/streams', payload);
+      this.recordSync('create', { link: payload.link, streamsource_id: streamSourceId(response) });
+      return response;
+    } catch (error) {
+      if (error.response?.status === 409) {
+        this.recordSync('create', { link: payload.link, streamsource_id: streamSourceId(error.response) });
+        return error.response;
+      }
+      this.recordSync('create', { link: payload.link, streamsource_id: null }, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Count a StreamSource create or update, remember when syncing last worked or
+   * failed, and publish sync.succeeded or sync.failed for the stream
+   * @param {string} operation
+   * @param {{ link: string, streamsource_id: any }} subject
+   * @param {any} [error]
+   */
+  recordSync(operation, subject, error = null) {
+    const at = this.timestamp();
+    this.metrics.syncs.inc({ operation, result: error ? 'failure' : 'success' });
+    if (error) {
+      this.lastSyncFailure = { at, operation, error: error.response?.data?.error || error.message };
+      this.events.publish('sync.failed', { operation, ...subject, error: this.lastSyncFailure.error });
+    } else {
+      this.lastSyncAt = at;
+      this.events.publish('sync.succeeded', { operation, ...subject });
+    }
+  }
+  
+  health() {
+    const tokenPresent = this.hasStreamSourceAuth();
+    const queueDepth = this.syncOutbox.size;
+    const problems = [];
+    if (this.dualWriteMode && !tokenPresent) problems.push('No StreamSource credentials');
+    if (this.dualWriteMode && queueDepth > 0) problems.push(`${queueDepth} stream(s) waiting to sync`);
+    
+    return {
+      status: problems.length ? 'degraded' : 'healthy',
+      problems,
+      uptimeSeconds: this.startedAt ? Math.floor((this.clock.now() - this.startedAt) / 1000) : 0,
+      streamSource: {
+        dualWriteMode: this.dualWriteMode,
+        tokenPresent,
+        authMode: this.streamSourceAuthMode(),
+        lastSuccessfulSyncAt: this.lastSyncAt,
+        lastFailure: this.lastSyncFailure,
+        queueDepth
+      },
+      services: {
+        discord: { signatureVerification: Boolean(this.discordPublicKey) },
+        twitch: { listener: this.tmiListener ? 'listening' : 'disabled' }
+      },
+      streams: this.streams.length
+    };
+  }
+  
+  /**
+   * Move long-offline streams to stale or archived
+   */
+  sweepLifecycle() {
+    const summary = { stale: [], archived: [] };
+    for (const { stream, to } of this.lifecycle.sweep(this.streams)) {
+      summary[to].push(stream.id);
+    }
+    return summary;
   }
   
   detectPlatform(url) {
-    if (url.includes('twitch.tv')) return 'twitch';
-    if (url.includes('youtube.com')) return 'youtube';
-    if (url.includes('tiktok.com')) return 'tiktok';
-    if (url.includes('kick.com')) return 'kick';
-    if (url.includes('facebook.com')) return 'facebook';
-    return 'unknown';
+    return detectPlatform(url);
+  }
+  
+  /**
+   * Write streams, dedup memory, sync state and lifecycle history to the store
+   */
+  saveState() {
+    this.pruneStreams();
+    try {
+      this.store.save({
+        version: STATE_VERSION,
+        streams: this.streams,
+        processedUrls: this.processedUrls.entries(),
+        syncedStreams: Array.from(this.syncedStreams),
+        rejectedUrls: Array.from(this.rejectedUrls),
+        histories: this.lifecycle.snapshot()
+      });
+    } catch (error) {
+      console.error(`Failed to save monitor state: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Forget archived and rejected streams, with their history, once they have been
+   * closed for a whole dedup window and their URL has left it (a retraction drops
+   * the URL straight away, so that alone isn't enough); rejected URLs stay blocked.
+   * Returns how many went.
+   */
+  pruneStreams() {
+    const { windowMs } = this.processedUrls;
+    if (windowMs === null) return 0;
+    
+    const closedBefore = this.clock.now() - windowMs;
+    const closed = this.streams.filter(stream =>
+      TRANSITIONS[stream.status]?.length === 0 &&
+      Date.parse(stream.status_changed_at) <= closedBefore &&
+      !this.processedUrls.has(stream.canonical_url));
+    if (!closed.length) return 0;
+    
+    this.streams = this.streams.filter(stream => !closed.includes(stream));
+    for (const stream of closed) {
+      this.lifecycle.forget(stream.id);
+      this.syncedStreams.delete(stream.canonical_url);
+    }
+    return closed.length;
+  }
+  
+  /**
+   * Restore the last saved state, if any; URLs past the dedup window are dropped
+   */
+  loadState() {
+    const state = this.store.load();
+    if (!state) return false;
+    
+    this.streams = state.streams || [];
+    this.processedUrls.restore(state.processedUrls);
+    this.syncedStreams = new Set(state.syncedStreams || []);
+    this.rejectedUrls = new Set(state.rejectedUrls || []);
+    this.lifecycle.restore(state.histories);
+    return true;
   }
   
   async start() {
-    return new Promise((resolve) => {
-      this.server = this.app.listen(this.port, () => {
-        console.log(`Mock livestream-link-monitor listening on port ${this.port}`);
-        resolve();
+    this.startedAt = this.clock.now();
+    this.loadState();
+    this.syncOutbox.start();
+    
+    if (this.lifecycle.sweepIntervalMs) {
+      this.sweepTimer = this.clock.setInterval(() => {
+        this.sweepLifecycle();
+        this.saveState();
+      }, this.lifecycle.sweepIntervalMs);
+      this.sweepTimer.unref();
+    }
+    
+    if (this.twitchIrcPort !== null) {
+      this.tmiListener = new TmiListener(this.twitchIrcPort, async (channel, message) => {
+        // Recorded in the webhook's shape so a replay can post it
+        this.recorder?.inbound('/webhook/twitch', { channel, data: message });
+        const results = await this.handleTwitchMessage(channel, message);
+        this.saveState();
+        return results;
       });
-    });
+      await this.tmiListener.start();
+      this.twitchIrcPort = this.tmiListener.port;
+    }
+    
+    this.server = http.createServer(this.app);
+    this.port = await listen(this.server, this.port);
+    this.url = localUrl(this.port);
+    console.log(`Mock livestream-link-monitor listening on port ${this.port}`);
   }
   
   async stop() {
+    this.syncOutbox.stop();
+    this.clock.clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    this.saveState();
+    
+    if (this.tmiListener) {
+      await this.tmiListener.stop();
+      this.tmiListener = null;
+    }
+    
+    // Open event streams would otherwise hold the server open
+    this.eventStreams.forEach(end => end());
+    this.eventStreams.clear();
+    
     return new Promise((resolve) => {
       if (this.server) {
         this.server.close(() => {
@@ -183,4 +1326,191 @@ class MockLivestreamMonitor {
   }
 }
 
+/**
+ * The monitor's Prometheus metrics; gauges read the monitor when scraped
+ */
+function monitorMetrics(monitor) {
+  const registry = new Registry();
+  const metrics = {
+    registry,
+    messages: registry.counter({
+      name: 'monitor_messages_received_total',
+      help: 'Chat messages accepted for processing',
+      labelNames: ['source']
+    }),
+    urls: registry.counter({
+      name: 'monitor_urls_extracted_total',
+      help: 'Stream URLs found in messages',
+      labelNames: ['platform']
+    }),
+    duplicates: registry.counter({
+      name: 'monitor_duplicates_total',
+      help: 'URLs merged into an existing stream as a sighting',
+      labelNames: ['platform']
+    }),
+    ruleBlocks: registry.counter({
+      name: 'monitor_rule_blocks_total',
+      help: 'URLs dropped by a block rule',
+      labelNames: ['rule']
+    }),
+    rateLimited: registry.counter({
+      name: 'monitor_rate_limited_total',
+      help: 'URLs dropped by a rate limit',
+      labelNames: ['scope']
+    }),
+    syncs: registry.counter({
+      name: 'monitor_streamsource_syncs_total',
+      help: 'StreamSource creates and updates by outcome',
+      labelNames: ['operation', 'result']
+    }),
+    latency: registry.histogram({
+      name: 'monitor_streamsource_request_duration_seconds',
+      help: 'StreamSource API request latency',
+      labelNames: ['method']
+    })
+  };
+  
+  registry.gauge({
+    name: 'monitor_sync_queue_depth',
+    help: 'Streams waiting in the sync outbox',
+    collect: gauge => gauge.set({}, monitor.syncOutbox.size)
+  });
+  registry.gauge({
+    name: 'monitor_sync_dead_letters',
+    help: 'Streams StreamSource refused or that ran out of sync attempts',
+    collect: gauge => gauge.set({}, monitor.syncOutbox.deadLetters.length)
+  });
+  registry.gauge({
+    name: 'monitor_moderation_queue_depth',
+    help: 'Streams waiting for a moderator',
+    collect: gauge => gauge.set({}, monitor.streams.filter(s => s.moderation?.status === 'pending').length)
+  });
+  registry.gauge({
+    name: 'monitor_streams',
+    help: 'Tracked streams by lifecycle status',
+    labelNames: ['status'],
+    collect: gauge => {
+      for (const stream of monitor.streams) {
+        gauge.set({ status: stream.status }, gauge.get({ status: stream.status }) + 1);
+      }
+    }
+  });
+  registry.gauge({
+    name: 'monitor_streamsource_token_present',
+    help: '1 when the monitor has StreamSource credentials',
+    collect: gauge => gauge.set({}, monitor.hasStreamSourceAuth() ? 1 : 0)
+  });
+  registry.gauge({
+    name: 'monitor_last_successful_sync_timestamp_seconds',
+    help: 'Unix time of the last successful StreamSource create or update (0 if none)',
+    collect: gauge => gauge.set({}, monitor.lastSyncAt ? Date.parse(monitor.lastSyncAt) / 1000 : 0)
+  });
+  
+  return metrics;
+}
+
+/**
+ * A fresh monitor stream for a parsed link, with the first post as its first sighting;
+ * id and at (its creation time) come from the monitor's id generator and clock
+ */
+function newStream(url, { canonicalUrl, platform, kind, channel, videoId }, context, location, { id, at }) {
+  /** @type {Record<string, any>} */
+  const stream = {
+    id,
+    url,
+    canonical_url: canonicalUrl,
+    platform,
+    kind,
+    platform_channel: channel,
+    video_id: videoId,
+    source: context.source,
+    channel: context.channel || null,
+    posted_by: context.posted_by,
+    message_id: context.messageId ? String(context.messageId) : null,
+    streamsource_id: null,
+    pinned: false,
+    flagged: false,
+    flag_reason: null,
+    added_date: at,
+    ...locationFields(location),
+    title: null,
+    streamer_name: null,
+    thumbnail_url: null,
+    is_live: null,
+    sightings: [],
+    sighting_count: 0,
+    last_seen_at: null
+  };
+  addSighting(stream, context, location, at);
+  return stream;
+}
+
+/**
+ * StreamSource id from a create response, or from the existing stream on a 409
+ */
+function streamSourceId(response) {
+  return response?.data?.id ?? response?.data?.stream?.id ?? null;
+}
+
+/**
+ * Stream location fields from an extracted location (all null when there is none)
+ */
+function locationFields(location) {
+  return {
+    city: location?.city ?? null,
+    state: location?.state ?? null,
+    country: location?.country ?? null,
+    lat: location?.lat ?? null,
+    lng: location?.lng ?? null,
+    location_confidence: location?.confidence ?? null
+  };
+}
+
+/**
+ * Append a sighting (who posted it, where, when and what place they named)
+ */
+function addSighting(stream, context, location, at) {
+  const sighting = {
+    posted_by: context.posted_by ?? null,
+    source: context.source ?? null,
+    channel: context.channel ?? null,
+    message_id: context.messageId ? String(context.messageId) : null,
+    seen_at: at,
+    location: location
+      ? { city: location.city, state: location.state, country: location.country, lat: location.lat, lng: location.lng, confidence: location.confidence }
+      : null
+  };
+  
+  stream.sightings.push(sighting);
+  if (stream.sightings.length > MAX_SIGHTINGS) stream.sightings.shift();
+  stream.sighting_count++;
+  stream.last_seen_at = sighting.seen_at;
+  return sighting;
+}
+
+/**
+ * Error message for a bad { onEdit, onDelete } policy, or null
+ */
+function invalidMessagePolicy(policy) {
+  if (policy === undefined || policy === null) return null;
+  if (typeof policy !== 'object') return 'Message policy must be an object';
+  
+  for (const [key, value] of Object.entries(policy)) {
+    if (!MESSAGE_POLICY_ACTIONS[key]) return `Unknown message policy field ${key}`;
+    if (!MESSAGE_POLICY_ACTIONS[key].includes(value)) {
+      return `${key} must be one of ${MESSAGE_POLICY_ACTIONS[key].join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * One-line summary of a stream for Discord replies
+ */
+function describeStream(stream) {
+  const place = [stream.city, stream.state || stream.country].filter(Boolean).join(', ');
+  const details = [stream.status, place, stream.pinned && 'pinned', stream.streamsource_id && `StreamSource #${stream.streamsource_id}`];
+  return `${stream.url} (${details.filter(Boolean).join(', ')})`;
+}
+
 module.exports = MockLivestreamMonitor;
\ No newline at end of file
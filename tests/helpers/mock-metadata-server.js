@@ -0,0 +1,165 @@
+// Fixture pages for metadata-enricher tests
+//
+// Serves each platform under its own prefix, /<platform>/<page path>, so a
+// MetadataEnricher with fixtureUrl pointed here fetches
+//   /twitch/<channel>                  OpenGraph page
+//   /youtube/oembed?url=...            oEmbed JSON for a /watch?v= page
+//   /youtube/watch?v=<id>              watch page with the live flag
+//   /<platform>/<path>                 any other OpenGraph page
+// Pages are 404 until setPage() is called; setFailure() makes one answer
+// with an HTTP error until cleared.
+const http = require('http');
+const express = require('express');
+const { listen, localUrl } = require('./ports');
+
+class MockMetadataServer {
+  constructor(port = 0, options = {}) {
+    this.port = port;
+    this.url = null;
+    this.app = express();
+    this.server = null;
+    this.delayMs = options.delayMs || 0;
+
+    this.pages = new Map();
+    this.failures = new Map();
+    this.requestCount = 0;
+
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    this.app.use(async (req, res, next) => {
+      this.requestCount++;
+      if (this.delayMs) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      }
+      next();
+    });
+
+    this.app.post('/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+
+    // YouTube oEmbed, answered from the watch page's fixture
+    this.app.get('/youtube/oembed', (req, res) => {
+      let videoId = null;
+      try {
+        videoId = new URL(String(req.query.url)).searchParams.get('v');
+      } catch (error) {
+        return res.status(400).json({ error: 'Bad url' });
+      }
+
+      const path = `/watch?v=${videoId}`;
+      if (this.fail('youtube', path, res)) return;
+
+      const page = this.pages.get(key('youtube', path));
+      if (!page) {
+        return res.status(404).send('Not Found');
+      }
+      res.json({
+        type: 'video',
+        version: '1.0',
+        provider_name: 'YouTube',
+        title: page.title,
+        author_name: page.author,
+        thumbnail_url: page.image
+      });
+    });
+
+    this.app.use((req, res) => {
+      const [, platform, ...rest] = req.originalUrl.split('/');
+      const path = `/${rest.join('/')}`;
+      if (this.fail(platform, path, res)) return;
+
+      const page = this.pages.get(key(platform, path));
+      if (!page) {
+        return res.status(404).send('Not Found');
+      }
+      res.type('html').send(renderPage(page));
+    });
+  }
+
+  fail(platform, path, res) {
+    const status = this.failures.get(key(platform, path));
+    if (!status) return false;
+
+    res.status(status).send('Injected failure');
+    return true;
+  }
+
+  /**
+   * Serve a page with OpenGraph tags and, when live is a boolean, a JSON-LD live flag
+   * @param {string} platform
+   * @param {string} path - e.g. '/somechannel' or '/watch?v=abc'
+   * @param {{ title?: string, description?: string, image?: string, author?: string, live?: boolean }} page
+   */
+  setPage(platform, path, page) {
+    this.pages.set(key(platform, path), page);
+  }
+
+  /**
+   * Answer a page with an HTTP error status (null to clear)
+   */
+  setFailure(platform, path, status = 503) {
+    if (status) {
+      this.failures.set(key(platform, path), status);
+    } else {
+      this.failures.delete(key(platform, path));
+    }
+  }
+
+  reset() {
+    this.pages.clear();
+    this.failures.clear();
+    this.requestCount = 0;
+  }
+
+  async start() {
+    this.server = http.createServer(this.app);
+    this.port = await listen(this.server, this.port);
+    this.url = localUrl(this.port);
+    console.log(`Mock metadata server listening on port ${this.port}`);
+  }
+
+  async stop() {
+    return new Promise((resolve) => {
+      if (this.server) {
+        this.server.close(() => {
+          console.log('Mock metadata server stopped');
+          resolve();
+        });
+      } else {
+        resolve();
+      }
+    });
+  }
+}
+
+function key(platform, path) {
+  return `${platform}:${path}`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function renderPage({ title, description, image, author, live }) {
+  const tags = [
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:image', image],
+    ['name', 'author', author]
+  ]
+    .filter(([, , content]) => content !== undefined && content !== null)
+    .map(([attr, name, content]) => `<meta ${attr}="${name}" content="${escapeHtml(content)}">`);
+
+  if (typeof live === 'boolean') {
+    const ld = { '@context': 'https://schema.org', '@type': 'VideoObject', publication: { '@type': 'BroadcastEvent', isLiveBroadcast: live } };
+    tags.push(`<script type="application/ld+json">${JSON.stringify(ld)}</script>`);
+  }
+
+  return `<!DOCTYPE html><html><head>${tags.join('')}<title>${escapeHtml(title || '')}</title></head><body></body></html>`;
+}
+
+module.exports = MockMetadataServer;
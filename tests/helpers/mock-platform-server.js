@@ -0,0 +1,165 @@
+// Fake platform APIs for status-checker tests
+//
+// Serves just enough of each platform's API for the probes in
+// status-probes.js: Twitch Helix /helix/streams, YouTube Data
+// /youtube/v3/videos and Kick /api/v2/channels/:slug. Channels are
+// offline until setLive() is called; setFailure() makes a channel's
+// lookups answer with an HTTP error until cleared.
+const http = require('http');
+const express = require('express');
+const { listen, localUrl } = require('./ports');
+
+class MockPlatformServer {
+  constructor(port = 0, options = {}) {
+    this.port = port;
+    this.url = null;
+    this.app = express();
+    this.server = null;
+    this.delayMs = options.delayMs || 0;
+
+    this.channels = new Map();
+    this.failures = new Map();
+    this.requestCount = 0;
+    this.inFlight = 0;
+    this.peakInFlight = 0;
+
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    this.app.use(async (req, res, next) => {
+      this.requestCount++;
+      this.inFlight++;
+      this.peakInFlight = Math.max(this.peakInFlight, this.inFlight);
+      res.on('finish', () => this.inFlight--);
+
+      if (this.delayMs) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      }
+      next();
+    });
+
+    // Twitch Helix: data is empty when the channel is offline
+    this.app.get('/helix/streams', (req, res) => {
+      const login = String(req.query.user_login || '').toLowerCase();
+      if (this.fail('twitch', login, res)) return;
+
+      const channel = this.channels.get(key('twitch', login));
+      res.json({
+        data: channel?.live
+          ? [{ user_login: login, type: 'live', viewer_count: channel.viewerCount, title: channel.title }]
+          : [],
+        pagination: {}
+      });
+    });
+
+    // YouTube Data API: unknown ids come back as an empty items list
+    this.app.get('/youtube/v3/videos', (req, res) => {
+      const id = String(req.query.id || '');
+      if (this.fail('youtube', id, res)) return;
+
+      const video = this.channels.get(key('youtube', id));
+      if (!video) {
+        return res.json({ kind: 'youtube#videoListResponse', items: [] });
+      }
+
+      res.json({
+        kind: 'youtube#videoListResponse',
+        items: [{
+          id,
+          snippet: { title: video.title, liveBroadcastContent: video.live ? 'live' : 'none' },
+          liveStreamingDetails: video.live ? { concurrentViewers: String(video.viewerCount) } : {}
+        }]
+      });
+    });
+
+    // Kick: 404 for unknown channels, livestream null when offline
+    this.app.get('/api/v2/channels/:slug', (req, res) => {
+      const slug = req.params.slug.toLowerCase();
+      if (this.fail('kick', slug, res)) return;
+
+      const channel = this.channels.get(key('kick', slug));
+      if (!channel) {
+        return res.status(404).json({ message: 'Not found' });
+      }
+
+      res.json({
+        slug,
+        livestream: channel.live
+          ? { is_live: true, viewer_count: channel.viewerCount, session_title: channel.title }
+          : null
+      });
+    });
+
+    this.app.post('/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+  }
+
+  fail(platform, id, res) {
+    const status = this.failures.get(key(platform, id));
+    if (!status) return false;
+
+    res.status(status).json({ error: 'Injected failure' });
+    return true;
+  }
+
+  /**
+   * Mark a channel (or YouTube video id) live
+   */
+  setLive(platform, id, { viewerCount = 0, title = null } = {}) {
+    this.channels.set(key(platform, id), { live: true, viewerCount, title });
+  }
+
+  /**
+   * Mark a channel known but offline
+   */
+  setOffline(platform, id, { title = null } = {}) {
+    this.channels.set(key(platform, id), { live: false, viewerCount: 0, title });
+  }
+
+  /**
+   * Answer lookups for a channel with an HTTP error status (null to clear)
+   */
+  setFailure(platform, id, status = 503) {
+    if (status) {
+      this.failures.set(key(platform, id), status);
+    } else {
+      this.failures.delete(key(platform, id));
+    }
+  }
+
+  reset() {
+    this.channels.clear();
+    this.failures.clear();
+    this.requestCount = 0;
+    this.peakInFlight = 0;
+  }
+
+  async start() {
+    this.server = http.createServer(this.app);
+    this.port = await listen(this.server, this.port);
+    this.url = localUrl(this.port);
+    console.log(`Mock platform APIs listening on port ${this.port}`);
+  }
+
+  async stop() {
+    return new Promise((resolve) => {
+      if (this.server) {
+        this.server.close(() => {
+          console.log('Mock platform APIs stopped');
+          resolve();
+        });
+      } else {
+        resolve();
+      }
+    });
+  }
+}
+
+function key(platform, id) {
+  return `${platform}:${String(id).toLowerCase()}`;
+}
+
+module.exports = MockPlatformServer;
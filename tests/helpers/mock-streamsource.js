@@ -0,0 +1,530 @@
+// Mock StreamSource API for testing
+//
+// Implements the /api/v1 surface the suite relies on with one set of
+// semantics: streams CRUD, pagination, filters, 409 duplicates, pin/unpin,
+// archive, livesheet import/export and /health. Status follows the lifecycle in stream-lifecycle.js
+// (422 on a disallowed transition) with per-stream history. Auth is HS256 JWTs from POST /api/v1/users/login or
+// named API keys with scopes; token expiry follows options.clock. Changes are broadcast on the StreamChannel
+// ActionCable feed at /cable. Run directly for a local demo:
+//   node tests/helpers/mock-streamsource.js
+const http = require('http');
+const express = require('express');
+const { listen, localUrl } = require('./ports');
+const { systemClock } = require('./clock');
+const { detectPlatform } = require('./platform-parser');
+const { signJwt, verifyJwt } = require('./jwt');
+const MockActionCableServer = require('./mock-action-cable');
+const { StreamLifecycle, InvalidTransitionError, normalizeStatus, canTransition } = require('./stream-lifecycle');
+const { CONTENT_TYPES, IMPORT_BODY_LIMIT, resolveFormat, formatRows, parseRows, importRows } = require('./stream-sheet');
+
+// Fields a client may set on a stream
+const STREAM_FIELDS = [
+  'source', 'link', 'platform', 'status', 'title', 'notes', 'city', 'state',
+  'country', 'lat', 'lng', 'posted_by', 'streamer_name', 'viewer_count',
+  'orientation', 'kind', 'last_checked', 'is_flagged', 'flag_reason', 'thumbnail_url',
+  'sightings', 'sighting_count', 'last_seen_at'
+];
+
+// Fields the seed script nests under location
+const LOCATION_FIELDS = ['city', 'state', 'country', 'lat', 'lng'];
+
+// Fields a status-only client (the updater) may PATCH
+const STATUS_FIELDS = ['status', 'viewer_count', 'title', 'last_checked'];
+
+// Scopes
+//   streams:read           list and fetch streams
+//   streams:create         POST new streams
+//   streams:update_status  PATCH only STATUS_FIELDS
+//   streams:update         any PATCH/PUT, pin/unpin, archive
+//   streams:update_own     the same, on streams this caller created
+//   streams:delete         DELETE streams
+const ALL_SCOPES = ['streams:read', 'streams:create', 'streams:update_status', 'streams:update', 'streams:delete'];
+
+// Keys match docker-compose.yml; the monitor mirrors sightings, moderation and
+// edits onto the streams it posted, and Streamwall only ever reads
+const DEFAULT_API_KEYS = {
+  dev_monitor_key: { name: 'monitor', scopes: ['streams:create', 'streams:update_own'] },
+  dev_updater_key: { name: 'updater', scopes: ['streams:read', 'streams:update_status'] },
+  dev_streamwall_key: { name: 'streamwall', scopes: ['streams:read'] }
+};
+
+const DEFAULT_USERS = [
+  { id: 1, email: 'admin@example.com', password: 'password123', role: 'admin', scopes: ALL_SCOPES }
+];
+
+const DEFAULT_JWT_SECRET = 'development_jwt_secret_also_30_chars_minimum';
+
+// Query params that filter GET /streams by exact (case-insensitive) match
+const FILTER_FIELDS = ['status', 'platform', 'city', 'state', 'source'];
+
+const DEFAULT_PER_PAGE = 25;
+const MAX_PER_PAGE = 100;
+
+class MockStreamSource {
+  constructor(port = 0, options = {}) {
+    this.port = port;
+    this.url = null;
+    this.apiUrl = null;
+    this.cableUrl = null;
+    this.app = express();
+    this.server = null;
+    this.streams = [];
+    // Who created each stream (by id), for streams:update_own
+    this.owners = new Map();
+    this.nextId = 1;
+    this.defaultStatus = options.defaultStatus || 'pending';
+    this.lifecycle = new StreamLifecycle(options.lifecycle);
+    this.sweepTimer = null;
+
+    this.clock = options.clock || systemClock;
+    this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+    this.tokenTtlSeconds = options.tokenTtlSeconds || 24 * 60 * 60;
+    this.apiKeys = options.apiKeys || DEFAULT_API_KEYS;
+    this.users = options.users || DEFAULT_USERS;
+    this.loginCount = 0;
+
+    // Real-time feed; any caller allowed to read streams may subscribe
+    this.cable = new MockActionCableServer({
+      authenticate: token => {
+        const auth = this.resolveToken(token);
+        return !auth.error && auth.scopes.includes('streams:read');
+      }
+    });
+
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Imports may be CSV or NDJSON, so they're parsed per format rather than as JSON
+    this.app.use('/api/v1/streams/import', express.text({ type: () => true, limit: IMPORT_BODY_LIMIT }));
+    this.app.use(express.json());
+
+    // Health check
+    this.app.get('/health', (req, res) => {
+      res.json({ status: 'ok', streams: this.streams.length });
+    });
+
+    // Reset for testing
+    this.app.post('/api/v1/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+
+    // Issue a JWT for email/password
+    this.app.post('/api/v1/users/login', (req, res) => {
+      const { email, password } = req.body?.user || req.body || {};
+      const user = this.users.find(u => u.email === email && u.password === password);
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      this.loginCount++;
+      const token = signJwt({ sub: user.id, email: user.email, role: user.role }, this.jwtSecret, {
+        expiresIn: this.tokenTtlSeconds,
+        now: this.clock.now()
+      });
+      res.json({ token, user: { id: user.id, email: user.email, role: user.role } });
+    });
+
+    const api = express.Router();
+    api.use((req, res, next) => this.authenticate(req, res, next));
+
+    // List streams with filters and pagination
+    api.get('/streams', this.requireScope('streams:read'), (req, res) => {
+      let filtered = this.streams;
+
+      for (const field of FILTER_FIELDS) {
+        if (req.query[field] !== undefined) {
+          const wanted = String(req.query[field]).toLowerCase();
+          filtered = filtered.filter(s => String(s[field] ?? '').toLowerCase() === wanted);
+        }
+      }
+      if (req.query.is_pinned !== undefined) {
+        const pinned = req.query.is_pinned === 'true';
+        filtered = filtered.filter(s => s.is_pinned === pinned);
+      }
+      if (req.query.is_flagged !== undefined) {
+        const flagged = req.query.is_flagged === 'true';
+        filtered = filtered.filter(s => s.is_flagged === flagged);
+      }
+      if (req.query.is_archived !== undefined) {
+        const archived = req.query.is_archived === 'true';
+        filtered = filtered.filter(s => s.is_archived === archived);
+      } else if (req.query.include_archived !== 'true') {
+        filtered = filtered.filter(s => !s.is_archived);
+      }
+
+      const perPage = Math.min(MAX_PER_PAGE, Math.max(1, parseInt(req.query.per_page, 10) || DEFAULT_PER_PAGE));
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const offset = (page - 1) * perPage;
+
+      res.json({
+        streams: filtered.slice(offset, offset + perPage),
+        meta: {
+          current_page: page,
+          per_page: perPage,
+          total_pages: Math.ceil(filtered.length / perPage),
+          total_count: filtered.length
+        }
+      });
+    });
+
+    // Create stream
+    api.post('/streams', this.requireScope('streams:create'), (req, res) => {
+      const attrs = normalizeAttributes(req.body);
+      if (!attrs.platform && attrs.link) {
+        const platform = detectPlatform(attrs.link);
+        if (platform !== 'unknown') attrs.platform = platform;
+      }
+      if (!attrs.link || !attrs.platform) {
+        return res.status(400).json({ error: 'Missing required fields: link, platform' });
+      }
+
+      const existing = this.findByLink(attrs.link);
+      if (existing) {
+        return res.status(409).json({ error: 'Stream already exists', stream: existing });
+      }
+
+      try {
+        res.status(201).json(this.insertStream(attrs, null, req.auth.name));
+      } catch (error) {
+        res.status(422).json(error);
+      }
+    });
+
+    // Streams as livesheet rows (?format=csv|json|ndjson); archived ones only with include_archived=true
+    api.get('/streams/export', this.requireScope('streams:read'), (req, res) => {
+      try {
+        const format = resolveFormat(req.query.format || 'csv');
+        const streams = req.query.include_archived === 'true' ? this.streams : this.streams.filter(s => !s.is_archived);
+        const rows = streams.map(s => ({ ...s, added_date: s.created_at }));
+        res.type(CONTENT_TYPES[format]).send(formatRows(rows, format));
+      } catch (error) {
+        res.status(400).json(error);
+      }
+    });
+
+    // Bulk-create livesheet rows, reporting errors per row
+    api.post('/streams/import', this.requireScope('streams:create'), async (req, res) => {
+      let entries;
+      try {
+        entries = parseRows(req.body, resolveFormat(req.query.format, req.headers['content-type']));
+      } catch (error) {
+        return res.status(400).json(error);
+      }
+
+      res.json(await importRows(entries, ({ added_date, ...values }) => {
+        const existing = this.findByLink(values.link);
+        if (existing) {
+          return { errors: [{ column: 'Link', message: `Link ${values.link} already exists as stream ${existing.id}` }] };
+        }
+
+        const stream = this.insertStream({ ...values, source: values.source || 'unknown' }, added_date, req.auth.name);
+        return { stream_id: stream.id };
+      }));
+    });
+
+    // Get one stream
+    api.get('/streams/:id', this.requireScope('streams:read'), (req, res) => {
+      const stream = this.findStream(req, res);
+      if (stream) res.json(stream);
+    });
+
+    // Lifecycle transitions, oldest first
+    api.get('/streams/:id/history', this.requireScope('streams:read'), (req, res) => {
+      const stream = this.findStream(req, res);
+      if (stream) {
+        res.json({ stream_id: stream.id, status: stream.status, history: this.lifecycle.history(stream.id) });
+      }
+    });
+
+    // Update stream
+    const update = (req, res) => {
+      const stream = this.findStream(req, res);
+      if (!stream) return;
+
+      const { status, ...attrs } = normalizeAttributes(req.body);
+      if (attrs.link && attrs.link !== stream.link) {
+        const existing = this.findByLink(attrs.link);
+        if (existing) {
+          return res.status(409).json({ error: 'Stream already exists', stream: existing });
+        }
+      }
+      if (status !== undefined && !canTransition(stream.status, normalizeStatus(status))) {
+        return res.status(422).json(new InvalidTransitionError(stream.status, normalizeStatus(status) || status));
+      }
+
+      Object.assign(stream, attrs, { updated_at: new Date().toISOString() });
+      const archived = status !== undefined && this.applyStatus(stream, status, req.auth.name) && stream.is_archived;
+      this.broadcast(archived ? 'archived' : 'updated', stream);
+      res.json(stream);
+    };
+    const updateScope = this.requireUpdateScope(req => {
+      const fields = Object.keys(normalizeAttributes(req.body));
+      const statusOnly = fields.length > 0 && fields.every(f => STATUS_FIELDS.includes(f));
+      return statusOnly ? ['streams:update', 'streams:update_status'] : 'streams:update';
+    });
+    api.patch('/streams/:id', updateScope, update);
+    api.put('/streams/:id', updateScope, update);
+
+    // Delete stream
+    api.delete('/streams/:id', this.requireScope('streams:delete'), (req, res) => {
+      const stream = this.findStream(req, res);
+      if (!stream) return;
+
+      this.streams = this.streams.filter(s => s !== stream);
+      this.lifecycle.forget(stream.id);
+      this.owners.delete(String(stream.id));
+      this.broadcast('deleted', stream);
+      res.status(204).end();
+    });
+
+    // Pin / unpin
+    api.put('/streams/:id/pin', this.requireUpdateScope(), (req, res) => {
+      const stream = this.findStream(req, res);
+      if (stream) res.json(this.broadcast('updated', this.touch(stream, { is_pinned: true })));
+    });
+
+    api.delete('/streams/:id/pin', this.requireUpdateScope(), (req, res) => {
+      const stream = this.findStream(req, res);
+      if (stream) res.json(this.broadcast('updated', this.touch(stream, { is_pinned: false })));
+    });
+
+    // Archive
+    api.post('/streams/:id/archive', this.requireUpdateScope(), (req, res) => {
+      const stream = this.findStream(req, res);
+      if (!stream) return;
+
+      try {
+        this.applyStatus(stream, 'archived', req.auth.name);
+      } catch (error) {
+        return res.status(422).json(error);
+      }
+      res.json(this.broadcast('archived', this.touch(stream, {})));
+    });
+
+    // Age long-offline streams into stale and archived now instead of waiting for the timer
+    api.post('/lifecycle/sweep', this.requireScope('streams:update'), (req, res) => {
+      res.json(this.sweepLifecycle());
+    });
+
+    this.app.use('/api/v1', api);
+  }
+
+  /**
+   * Resolve a Bearer API key or JWT into req.auth = { type, name, scopes }
+   */
+  authenticate(req, res, next) {
+    const auth = this.resolveToken((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    if (auth.error) {
+      return res.status(401).json({ error: auth.error });
+    }
+
+    req.auth = auth;
+    next();
+  }
+
+  resolveToken(token) {
+    if (!token) {
+      return { error: 'Unauthorized' };
+    }
+
+    const apiKey = this.apiKeys[token];
+    if (apiKey) {
+      return { type: 'api_key', name: apiKey.name, scopes: apiKey.scopes };
+    }
+
+    try {
+      const claims = verifyJwt(token, this.jwtSecret, { now: this.clock.now() });
+      const user = this.users.find(u => u.id === claims.sub);
+      if (!user) {
+        return { error: 'Unauthorized' };
+      }
+      return { type: 'user', name: user.email, scopes: user.scopes || ALL_SCOPES };
+    } catch (error) {
+      return { error: error.code === 'expired' ? 'Token expired' : 'Unauthorized' };
+    }
+  }
+
+  /**
+   * Middleware allowing the request if the caller has any of the scopes
+   * (scope may be a function of the request)
+   */
+  requireScope(scope) {
+    return (req, res, next) => {
+      const needed = [].concat(typeof scope === 'function' ? scope(req) : scope);
+      if (!needed.some(s => req.auth.scopes.includes(s))) {
+        return res.status(403).json({ error: 'Forbidden', required: needed[0] });
+      }
+      next();
+    };
+  }
+
+  /**
+   * requireScope for a change to one stream, also letting a streams:update_own
+   * caller through when it created that stream
+   * @param {string|string[]|((req: any) => string|string[])} [scope]
+   */
+  requireUpdateScope(scope = 'streams:update') {
+    const check = this.requireScope(scope);
+    return (req, res, next) => {
+      const own = req.auth.scopes.includes('streams:update_own') && this.owners.get(String(req.params.id)) === req.auth.name;
+      if (own) return next();
+      check(req, res, next);
+    };
+  }
+
+  findStream(req, res) {
+    const stream = this.streams.find(s => String(s.id) === req.params.id);
+    if (!stream) {
+      res.status(404).json({ error: 'Stream not found' });
+    }
+    return stream;
+  }
+
+  findByLink(link) {
+    return this.streams.find(s => s.link === link);
+  }
+
+  /**
+   * Store and broadcast a new stream in any lifecycle status; throws
+   * InvalidTransitionError for an unknown one
+   */
+  insertStream(attrs, createdAt = null, owner = null) {
+    const now = new Date().toISOString();
+    const stream = {
+      id: this.nextId,
+      source: 'unknown',
+      title: null,
+      notes: null,
+      city: null,
+      state: null,
+      posted_by: null,
+      is_flagged: false,
+      flag_reason: null,
+      ...attrs,
+      is_pinned: false,
+      is_archived: false,
+      created_at: createdAt || now,
+      updated_at: now
+    };
+    this.lifecycle.beginAs(stream, attrs.status || this.defaultStatus);
+    if (stream.status === 'archived') this.markArchived(stream);
+
+    this.nextId++;
+    this.streams.push(stream);
+    if (owner) this.owners.set(String(stream.id), owner);
+    return this.broadcast('created', stream);
+  }
+
+  /**
+   * Apply a lifecycle transition, keeping the archive flags in step;
+   * returns true when the status changed
+   */
+  applyStatus(stream, status, reason) {
+    if (!this.lifecycle.transition(stream, status, reason)) return false;
+
+    if (stream.status === 'archived') this.markArchived(stream);
+    return true;
+  }
+
+  /**
+   * Move long-offline streams to stale or archived, broadcasting each change
+   */
+  sweepLifecycle() {
+    const summary = { stale: [], archived: [] };
+    for (const { stream, to } of this.lifecycle.sweep(this.streams.filter(s => !s.is_archived))) {
+      if (to === 'archived') this.markArchived(stream);
+      this.touch(stream, {});
+      this.broadcast(to === 'archived' ? 'archived' : 'updated', stream);
+      summary[to].push(stream.id);
+    }
+    return summary;
+  }
+
+  markArchived(stream) {
+    Object.assign(stream, { is_archived: true, is_pinned: false, archived_at: stream.status_changed_at });
+  }
+
+  touch(stream, changes) {
+    return Object.assign(stream, changes, { updated_at: new Date().toISOString() });
+  }
+
+  /**
+   * Push a stream event to StreamChannel subscribers, returning the stream
+   */
+  broadcast(event, stream) {
+    this.cable.broadcast('StreamChannel', { event, stream });
+    return stream;
+  }
+
+  reset() {
+    this.streams = [];
+    this.owners.clear();
+    this.nextId = 1;
+    this.lifecycle.clear();
+  }
+
+  async start() {
+    if (this.lifecycle.sweepIntervalMs) {
+      this.sweepTimer = setInterval(() => this.sweepLifecycle(), this.lifecycle.sweepIntervalMs);
+      this.sweepTimer.unref();
+    }
+
+    this.server = http.createServer(this.app);
+    this.cable.attach(this.server);
+    this.port = await listen(this.server, this.port);
+    this.url = localUrl(this.port);
+    this.apiUrl = `${this.url}/api/v1`;
+    this.cableUrl = `${this.url.replace(/^http/, 'ws')}/cable`;
+    console.log(`Mock StreamSource API listening on port ${this.port}`);
+  }
+
+  async stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    await this.cable.close();
+
+    return new Promise((resolve) => {
+      if (this.server) {
+        this.server.close(() => {
+          console.log('Mock StreamSource API stopped');
+          resolve();
+        });
+      } else {
+        resolve();
+      }
+    });
+  }
+}
+
+/**
+ * Accept flat bodies, Rails-style { stream: {...} } bodies and the
+ * seed script's url/location/is_live shape, keeping only known fields
+ */
+function normalizeAttributes(body = {}) {
+  const input = body.stream && typeof body.stream === 'object' ? body.stream : body;
+  const attrs = {};
+
+  for (const field of STREAM_FIELDS) {
+    if (input[field] !== undefined) attrs[field] = input[field];
+  }
+  if (!attrs.link && input.url) attrs.link = input.url;
+  if (input.location && typeof input.location === 'object') {
+    for (const field of LOCATION_FIELDS) {
+      if (attrs[field] === undefined && input.location[field] !== undefined) attrs[field] = input.location[field];
+    }
+  }
+  if (attrs.status === undefined && typeof input.is_live === 'boolean') {
+    attrs.status = input.is_live ? 'live' : 'offline';
+  }
+
+  return attrs;
+}
+
+if (require.main === module) {
+  const streamSource = new MockStreamSource(Number(process.env.PORT) || 3000);
+  streamSource.start();
+}
+
+module.exports = MockStreamSource;
@@ -0,0 +1,163 @@
+// Monitor state storage so a restart doesn't re-post every old link
+//
+// A store is { load(), save(state) }: load returns the last saved snapshot
+// or null, save replaces it. The snapshot is plain JSON:
+//   { version, streams, processedUrls: [[canonicalUrl, lastSeenMs]],
+//     syncedStreams, rejectedUrls, histories }
+// MemoryStore keeps it in the process (hand the same instance to a new
+// monitor to simulate a restart); FileStore writes it atomically to disk.
+// Any object with the same two methods, e.g. a SQLite table, can be passed
+// to the monitor as options.store. Before each save the monitor drops
+// archived and rejected streams closed for a whole dedup window, so
+// the snapshot doesn't grow with every stream ever posted.
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+// Reposts of a URL are duplicates for this long after it was last seen
+const DEFAULT_DEDUP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+class MemoryStore {
+  constructor() {
+    this.snapshot = null;
+  }
+
+  load() {
+    return this.snapshot ? JSON.parse(this.snapshot) : null;
+  }
+
+  save(state) {
+    this.snapshot = JSON.stringify(state);
+  }
+}
+
+class FileStore {
+  constructor(filePath) {
+    if (!filePath) {
+      throw new TypeError('FileStore needs a file path');
+    }
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read the snapshot back; a missing file or one that doesn't parse starts empty
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return state && state.version === STATE_VERSION ? state : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  save(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+/**
+ * Pick a backend: 'file' (needs filePath) or 'memory'; a filePath alone implies 'file'
+ * @param {{ backend?: string, filePath?: string }} [options]
+ */
+function createStore({ backend, filePath } = {}) {
+  const kind = backend || (filePath ? 'file' : 'memory');
+  if (kind === 'file') return new FileStore(filePath);
+  if (kind === 'memory') return new MemoryStore();
+  throw new TypeError(`Unknown store backend ${kind}`);
+}
+
+/**
+ * Canonical URLs seen recently; entries older than windowMs are forgotten
+ * (a null window remembers them forever)
+ */
+class DedupWindow {
+  /**
+   * @param {number|null} windowMs
+   * @param {() => number} [now]
+   */
+  constructor(windowMs, now = () => Date.now()) {
+    this.windowMs = windowMs;
+    this.now = now;
+    this.seen = new Map();
+  }
+
+  has(url) {
+    const seenAt = this.seen.get(url);
+    if (seenAt === undefined) return false;
+    if (this.expired(seenAt)) {
+      this.seen.delete(url);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Remember a URL, or refresh when it was last seen
+   */
+  add(url) {
+    this.seen.delete(url);
+    this.seen.set(url, this.now());
+  }
+
+  delete(url) {
+    return this.seen.delete(url);
+  }
+
+  clear() {
+    this.seen.clear();
+  }
+
+  expired(seenAt) {
+    return this.windowMs !== null && this.now() - seenAt >= this.windowMs;
+  }
+
+  /**
+   * Drop expired URLs, returning how many were forgotten
+   */
+  prune() {
+    let pruned = 0;
+    for (const [url, seenAt] of this.seen) {
+      if (this.expired(seenAt)) {
+        this.seen.delete(url);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  get size() {
+    this.prune();
+    return this.seen.size;
+  }
+
+  keys() {
+    this.prune();
+    return Array.from(this.seen.keys());
+  }
+
+  entries() {
+    this.prune();
+    return Array.from(this.seen.entries());
+  }
+
+  restore(entries = []) {
+    this.seen = new Map(entries);
+    this.prune();
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  createStore,
+  DedupWindow,
+  STATE_VERSION,
+  DEFAULT_DEDUP_WINDOW_MS
+};
@@ -0,0 +1,316 @@
+// Pluggable platform URL parser with canonical stream identity
+//
+// Each adapter claims a set of hosts and turns a parsed URL into
+// { channel, videoId, kind }, or null when the path is not a stream.
+// The adapter's canonical() builds the URL used as the stream's identity,
+// so tracking params and host aliases dedup to the same stream.
+
+const adapters = [];
+
+// Candidate URLs in free text, with or without a scheme
+const URL_CANDIDATE_REGEX = /(?<![\w@.-])(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?::\d+)?(?:\/[^\s<>"'`]*)?/gi;
+const TRAILING_PUNCTUATION_REGEX = /[.,!?;:)\]}>]+$/;
+
+/**
+ * Split a URL pathname into non-empty segments
+ */
+function segments(url) {
+  return url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+}
+
+const twitch = {
+  name: 'twitch',
+  hosts: ['twitch.tv', 'clips.twitch.tv'],
+  reserved: ['directory', 'downloads', 'jobs', 'p', 'search', 'settings', 'subscriptions', 'turbo', 'wallet'],
+  parse(url, host) {
+    const parts = segments(url);
+    if (host === 'clips.twitch.tv') {
+      return parts[0] ? { channel: null, videoId: parts[0], kind: 'clip' } : null;
+    }
+    if (parts[0] === 'videos' && parts[1]) {
+      return { channel: null, videoId: parts[1], kind: 'video' };
+    }
+    if (!parts[0] || this.reserved.includes(parts[0].toLowerCase())) return null;
+
+    const channel = parts[0].toLowerCase();
+    if (parts[1] === 'clip' && parts[2]) {
+      return { channel, videoId: parts[2], kind: 'clip' };
+    }
+    return { channel, videoId: null, kind: 'live' };
+  },
+  canonical({ channel, videoId, kind }) {
+    if (kind === 'clip') return `https://clips.twitch.tv/${videoId}`;
+    if (kind === 'video') return `https://www.twitch.tv/videos/${videoId}`;
+    return `https://www.twitch.tv/${channel}`;
+  }
+};
+
+const youtube = {
+  name: 'youtube',
+  hosts: ['youtube.com', 'youtu.be'],
+  parse(url, host) {
+    const parts = segments(url);
+    if (host === 'youtu.be') {
+      return parts[0] ? { channel: null, videoId: parts[0], kind: 'video' } : null;
+    }
+    if (parts[0] === 'watch' && url.searchParams.get('v')) {
+      return { channel: null, videoId: url.searchParams.get('v'), kind: 'video' };
+    }
+    if (['live', 'shorts', 'embed'].includes(parts[0]) && parts[1]) {
+      return { channel: null, videoId: parts[1], kind: parts[0] === 'live' ? 'live' : 'video' };
+    }
+    if (parts[0]?.startsWith('@')) {
+      return { channel: parts[0].slice(1).toLowerCase(), videoId: null, kind: parts[1] === 'live' ? 'live' : 'channel' };
+    }
+    // Channel ids (UC...) are case-sensitive and /c/ and /user/ names are
+    // not handles, so these keep their own path and case
+    if (['channel', 'c', 'user'].includes(parts[0]) && parts[1]) {
+      return { channel: parts[1], videoId: null, kind: parts[2] === 'live' ? 'live' : 'channel', prefix: parts[0] };
+    }
+    return null;
+  },
+  canonical({ channel, videoId, kind, prefix }) {
+    if (videoId) return `https://www.youtube.com/watch?v=${videoId}`;
+    const path = prefix ? `${prefix}/${channel}` : `@${channel}`;
+    return `https://www.youtube.com/${path}${kind === 'live' ? '/live' : ''}`;
+  }
+};
+
+const tiktok = {
+  name: 'tiktok',
+  hosts: ['tiktok.com'],
+  parse(url) {
+    const parts = segments(url);
+    if (!parts[0]?.startsWith('@')) return null;
+
+    const channel = parts[0].slice(1).toLowerCase();
+    if (parts[1] === 'video' && parts[2]) {
+      return { channel, videoId: parts[2], kind: 'video' };
+    }
+    return { channel, videoId: null, kind: parts[1] === 'live' ? 'live' : 'channel' };
+  },
+  canonical({ channel, videoId, kind }) {
+    if (kind === 'video') return `https://www.tiktok.com/@${channel}/video/${videoId}`;
+    return `https://www.tiktok.com/@${channel}${kind === 'live' ? '/live' : ''}`;
+  }
+};
+
+const kick = {
+  name: 'kick',
+  hosts: ['kick.com'],
+  reserved: ['categories', 'following', 'search', 'settings', 'video'],
+  parse(url) {
+    const parts = segments(url);
+    if (parts[0] === 'video' && parts[1]) {
+      return { channel: null, videoId: parts[1], kind: 'video' };
+    }
+    if (!parts[0] || this.reserved.includes(parts[0].toLowerCase())) return null;
+
+    const channel = parts[0].toLowerCase();
+    if (parts[1] === 'videos' && parts[2]) {
+      return { channel, videoId: parts[2], kind: 'video' };
+    }
+    return { channel, videoId: null, kind: 'live' };
+  },
+  canonical({ channel, videoId, kind }) {
+    if (kind === 'video') return `https://kick.com/video/${videoId}`;
+    return `https://kick.com/${channel}`;
+  }
+};
+
+const facebook = {
+  name: 'facebook',
+  hosts: ['facebook.com', 'fb.watch', 'fb.com'],
+  reserved: [
+    'events', 'friends', 'groups', 'hashtag', 'help', 'home.php', 'login', 'login.php', 'marketplace',
+    'messages', 'notifications', 'pages', 'permalink.php', 'photo', 'photo.php', 'policies', 'privacy',
+    'search', 'settings', 'share', 'sharer', 'sharer.php', 'story.php'
+  ],
+  parse(url, host) {
+    const parts = segments(url);
+    if (host === 'fb.watch') {
+      return parts[0] ? { channel: null, videoId: parts[0], kind: 'video' } : null;
+    }
+    // Share links carry their own id, not the video's
+    if (parts[0] === 'share' && parts[1] === 'v' && parts[2]) {
+      return { channel: null, videoId: parts[2], kind: 'video', prefix: 'share/v' };
+    }
+    // Profiles without a username are told apart only by their id
+    if (parts[0] === 'profile.php') {
+      const id = url.searchParams.get('id');
+      return id ? { channel: id, videoId: null, kind: 'channel', prefix: 'profile.php' } : null;
+    }
+    if (parts[0] === 'watch') {
+      const videoId = url.searchParams.get('v');
+      if (!videoId) return null;
+      return { channel: null, videoId, kind: parts[1] === 'live' ? 'live' : 'video' };
+    }
+    if (parts[0] === 'gaming' && parts[1]) {
+      return { channel: parts[1].toLowerCase(), videoId: null, kind: 'live' };
+    }
+    if (!parts[0] || this.reserved.includes(parts[0].toLowerCase())) return null;
+
+    const channel = parts[0].toLowerCase();
+    if (parts[1] === 'videos' && parts[2]) {
+      return { channel, videoId: parts[2], kind: 'video' };
+    }
+    return { channel, videoId: null, kind: parts[1] === 'live' ? 'live' : 'channel' };
+  },
+  canonical({ channel, videoId, kind, prefix }, host) {
+    if (host === 'fb.watch') return `https://fb.watch/${videoId}/`;
+    if (prefix === 'share/v') return `https://www.facebook.com/share/v/${videoId}/`;
+    if (prefix === 'profile.php') return `https://www.facebook.com/profile.php?id=${channel}`;
+    if (videoId) return `https://www.facebook.com/watch/?v=${videoId}`;
+    return `https://www.facebook.com/${channel}${kind === 'live' ? '/live' : ''}`;
+  }
+};
+
+const rumble = {
+  name: 'rumble',
+  hosts: ['rumble.com'],
+  parse(url) {
+    const parts = segments(url);
+    const video = parts[0]?.match(/^(v[a-z0-9]+)-.*\.html$/i) || parts[0]?.match(/^(v[a-z0-9]+)$/i);
+    if (video) {
+      return { channel: null, videoId: video[1].toLowerCase(), kind: 'video' };
+    }
+    if (['c', 'user'].includes(parts[0]) && parts[1]) {
+      return { channel: parts[1].toLowerCase(), videoId: null, kind: parts[2] === 'livestreams' ? 'live' : 'channel' };
+    }
+    return null;
+  },
+  canonical({ channel, videoId, kind }) {
+    if (videoId) return `https://rumble.com/${videoId}`;
+    return `https://rumble.com/c/${channel}${kind === 'live' ? '/livestreams' : ''}`;
+  }
+};
+
+const x = {
+  name: 'x',
+  hosts: ['x.com', 'twitter.com'],
+  parse(url) {
+    const parts = segments(url);
+    if (parts[0] === 'i' && parts[1] === 'spaces' && parts[2]) {
+      return { channel: null, videoId: parts[2], kind: 'space' };
+    }
+    if (parts[0] === 'i' && parts[1] === 'broadcasts' && parts[2]) {
+      return { channel: null, videoId: parts[2], kind: 'live' };
+    }
+    return null;
+  },
+  canonical({ videoId, kind }) {
+    return `https://x.com/i/${kind === 'space' ? 'spaces' : 'broadcasts'}/${videoId}`;
+  }
+};
+
+const instagram = {
+  name: 'instagram',
+  hosts: ['instagram.com'],
+  parse(url) {
+    const parts = segments(url);
+    if (parts[0] && parts[1] === 'live') {
+      return { channel: parts[0].toLowerCase(), videoId: null, kind: 'live' };
+    }
+    return null;
+  },
+  canonical({ channel }) {
+    return `https://www.instagram.com/${channel}/live`;
+  }
+};
+
+/**
+ * Register a platform adapter; later registrations take precedence
+ */
+function registerPlatform(adapter) {
+  if (!adapter?.name || !Array.isArray(adapter.hosts) ||
+      typeof adapter.parse !== 'function' || typeof adapter.canonical !== 'function') {
+    throw new Error('Platform adapter needs name, hosts, parse() and canonical()');
+  }
+  const existing = adapters.findIndex(a => a.name === adapter.name);
+  if (existing !== -1) adapters.splice(existing, 1);
+  adapters.unshift(adapter);
+}
+
+/**
+ * Names of all registered platforms
+ */
+function listPlatforms() {
+  return adapters.map(a => a.name);
+}
+
+/**
+ * Find the adapter that claims a hostname
+ */
+function findAdapter(host) {
+  return adapters.find(adapter =>
+    adapter.hosts.some(h => host === h || host.endsWith(`.${h}`)));
+}
+
+/**
+ * Parse a stream URL into { platform, channel, videoId, canonicalUrl, kind }
+ * Returns null for URLs that no adapter recognises as a stream
+ */
+function parseStreamUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`);
+  } catch (error) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+  const adapter = findAdapter(host);
+  if (!adapter) return null;
+
+  let identity;
+  try {
+    identity = adapter.parse(url, host);
+  } catch (error) {
+    // Malformed paths (e.g. bad percent-encoding) are not streams
+    return null;
+  }
+  if (!identity) return null;
+
+  return {
+    platform: adapter.name,
+    channel: identity.channel,
+    videoId: identity.videoId,
+    canonicalUrl: adapter.canonical(identity, host),
+    kind: identity.kind
+  };
+}
+
+/**
+ * Find every recognised stream URL in a chat message
+ */
+function extractStreamUrls(text) {
+  const candidates = String(text || '').match(URL_CANDIDATE_REGEX) || [];
+  const found = [];
+
+  for (const candidate of candidates) {
+    const url = candidate.replace(TRAILING_PUNCTUATION_REGEX, '');
+    const parsed = parseStreamUrl(url);
+    if (parsed) {
+      found.push({ url, ...parsed });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Platform name for a URL, or 'unknown'
+ */
+function detectPlatform(url) {
+  return parseStreamUrl(url)?.platform || 'unknown';
+}
+
+[instagram, x, rumble, facebook, kick, tiktok, youtube, twitch].forEach(registerPlatform);
+
+module.exports = {
+  registerPlatform,
+  listPlatforms,
+  parseStreamUrl,
+  extractStreamUrls,
+  detectPlatform
+};
@@ -0,0 +1,50 @@
+// Port helpers for services started by tests
+//
+// Every mock binds whatever port it is given, 0 meaning "any free port":
+// listen() resolves with the port the OS actually chose, so parallel jest
+// workers (or two CI jobs on one host) never have to agree on numbers.
+const net = require('net');
+
+/**
+ * Listen on port (0 for any free one), resolving with the bound port and
+ * rejecting if the port is taken
+ * @param {net.Server} server
+ * @param {number} port
+ * @returns {Promise<number>}
+ */
+function listen(server, port) {
+  return new Promise((resolve, reject) => {
+    const onError = error => reject(error);
+    server.once('error', onError);
+    server.listen(port, () => {
+      server.off('error', onError);
+      resolve(boundPort(server));
+    });
+  });
+}
+
+function boundPort(server) {
+  const address = server.address();
+  return typeof address === 'object' && address ? address.port : 0;
+}
+
+/**
+ * A port nobody is listening on right now, e.g. for an unreachable service URL
+ * @returns {Promise<number>}
+ */
+async function freePort() {
+  const server = net.createServer();
+  const port = await listen(server, 0);
+  await new Promise(resolve => server.close(() => resolve()));
+  return port;
+}
+
+function localUrl(port) {
+  return `http://localhost:${port}`;
+}
+
+module.exports = {
+  listen,
+  freePort,
+  localUrl
+};
@@ -0,0 +1,168 @@
+// Token-bucket rate limiting keyed by author, channel and guild
+
+const SCOPES = ['author', 'channel', 'guild'];
+
+// How often buckets that have refilled completely are evicted
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_RATE_LIMITS = {
+  enabled: true,
+  // Whole webhook requests per author; exceeding this returns 429
+  message: { capacity: 20, refillPerMinute: 20 },
+  // New stream URLs accepted per scope
+  author: { capacity: 10, refillPerMinute: 10 },
+  channel: { capacity: 30, refillPerMinute: 30 },
+  guild: { capacity: 60, refillPerMinute: 60 }
+};
+
+class TokenBucket {
+  constructor({ capacity, refillPerMinute }, now) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * A full bucket is no different from a new one
+   */
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+
+  /**
+   * Milliseconds until one token is available (0 if one is available now)
+   */
+  waitTime(now) {
+    this.refill(now);
+    if (this.tokens >= 1) return 0;
+    if (this.refillPerMs === 0) return Infinity;
+    return Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+}
+
+class RateLimiter {
+  constructor(config = {}, now = () => Date.now()) {
+    this.now = now;
+    this.config = mergeConfig(DEFAULT_RATE_LIMITS, config);
+    this.buckets = new Map();
+    this.prunedAt = now();
+  }
+
+  /**
+   * Merge a partial config over the current one and drop existing buckets
+   */
+  configure(partial) {
+    this.config = mergeConfig(this.config, partial);
+    this.buckets.clear();
+    return this.config;
+  }
+
+  bucket(scope, key) {
+    const id = `${scope}:${key}`;
+    if (!this.buckets.has(id)) {
+      this.buckets.set(id, new TokenBucket(this.config[scope], this.now()));
+    }
+    return this.buckets.get(id);
+  }
+
+  /**
+   * Take one token from every keyed scope, or none if any scope is exhausted
+   * Returns { allowed: true } or { allowed: false, scope, retryAfterMs }
+   */
+  consume(keys, scopes = SCOPES) {
+    if (!this.config.enabled) return { allowed: true };
+
+    const now = this.now();
+    if (now - this.prunedAt >= PRUNE_INTERVAL_MS) this.prune(now);
+
+    const buckets = [];
+    for (const scope of scopes) {
+      if (keys[scope] === undefined || keys[scope] === null) continue;
+
+      const bucket = this.bucket(scope, keys[scope]);
+      const retryAfterMs = bucket.waitTime(now);
+      if (retryAfterMs > 0) {
+        return { allowed: false, scope, retryAfterMs };
+      }
+      buckets.push(bucket);
+    }
+
+    buckets.forEach(bucket => bucket.take());
+    return { allowed: true };
+  }
+
+  /**
+   * Take one whole-request token for an author
+   */
+  consumeMessage(author) {
+    return this.consume({ message: author }, ['message']);
+  }
+
+  /**
+   * Evict buckets that have refilled completely, returning how many went
+   */
+  prune(now = this.now()) {
+    let pruned = 0;
+    for (const [id, bucket] of this.buckets) {
+      if (bucket.isFull(now)) {
+        this.buckets.delete(id);
+        pruned++;
+      }
+    }
+    this.prunedAt = now;
+    return pruned;
+  }
+
+  reset() {
+    this.buckets.clear();
+  }
+
+  status() {
+    this.prune();
+    return {
+      ...this.config,
+      activeBuckets: this.buckets.size
+    };
+  }
+}
+
+/**
+ * Merge limit overrides, validating capacities and refill rates
+ */
+function mergeConfig(base, overrides = {}) {
+  const merged = { ...base };
+
+  if (overrides.enabled !== undefined) {
+    merged.enabled = Boolean(overrides.enabled);
+  }
+
+  for (const scope of ['message', ...SCOPES]) {
+    if (!overrides[scope]) continue;
+
+    const limit = { ...base[scope], ...overrides[scope] };
+    if (!(limit.capacity >= 1) || !(limit.refillPerMinute >= 0)) {
+      throw new Error(`Invalid rate limit for ${scope}: capacity must be >= 1 and refillPerMinute >= 0`);
+    }
+    merged[scope] = limit;
+  }
+
+  return merged;
+}
+
+module.exports = {
+  RateLimiter,
+  TokenBucket,
+  DEFAULT_RATE_LIMITS
+};
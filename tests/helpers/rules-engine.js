@@ -0,0 +1,203 @@
+// Block/allow rules for discovered stream URLs
+//
+// Config is { defaultAction, rules } where each rule is
+//   { id, action: 'block' | 'allow', ...conditions }
+// and conditions are any of:
+//   platform    parsed platform ('twitch', 'kick', ...)
+//   channel     platform channel name from the URL (case-insensitive)
+//   urlPattern  regular expression tested against the raw and canonical URL
+//   authorId    Discord author id (Twitch user-id for chat)
+//   channelId   Discord channel id (Twitch channel for chat)
+//   guildId     Discord guild id
+//   keyword     case-insensitive substring of the message
+// A condition may be a list, matching any entry. A rule matches when all of
+// its conditions do, and the first matching rule decides; otherwise
+// defaultAction applies. Files may be JSON or YAML.
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const ACTIONS = ['block', 'allow'];
+const CONDITIONS = ['platform', 'channel', 'urlPattern', 'authorId', 'channelId', 'guildId', 'keyword'];
+
+class RuleError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'RuleError';
+    this.code = code;
+  }
+}
+
+const DEFAULT_RULES_CONFIG = {
+  defaultAction: 'allow',
+  rules: []
+};
+
+const asList = value => [].concat(value).map(String);
+const lower = value => String(value ?? '').toLowerCase();
+
+// How each condition tests a candidate URL's context
+const MATCHERS = {
+  platform: (values, ctx) => values.some(v => lower(v) === lower(ctx.platform)),
+  channel: (values, ctx) => values.some(v => lower(v) === lower(ctx.channel)),
+  urlPattern: (patterns, ctx) => patterns.some(p => p.test(ctx.url) || p.test(ctx.canonicalUrl || '')),
+  authorId: (values, ctx) => values.includes(String(ctx.authorId)),
+  channelId: (values, ctx) => values.includes(String(ctx.channelId)),
+  guildId: (values, ctx) => values.includes(String(ctx.guildId)),
+  keyword: (values, ctx) => values.some(v => lower(ctx.content).includes(lower(v)))
+};
+
+/**
+ * Check a rule, filling in a missing id; throws with a message fit for a 400
+ */
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new RuleError(`Rule ${index + 1} must be an object`);
+  }
+
+  const id = rule.id === undefined ? `rule-${index + 1}` : String(rule.id);
+  if (!ACTIONS.includes(rule.action)) {
+    throw new RuleError(`Rule ${id}: action must be one of ${ACTIONS.join(', ')}`);
+  }
+
+  const unknown = Object.keys(rule).filter(key => !['id', 'action', 'description', ...CONDITIONS].includes(key));
+  if (unknown.length) {
+    throw new RuleError(`Rule ${id}: unknown field ${unknown[0]}`);
+  }
+
+  const conditions = CONDITIONS.filter(key => rule[key] !== undefined);
+  if (!conditions.length) {
+    throw new RuleError(`Rule ${id}: needs at least one of ${CONDITIONS.join(', ')}`);
+  }
+
+  for (const key of conditions) {
+    if (!asList(rule[key]).length) {
+      throw new RuleError(`Rule ${id}: ${key} must not be empty`);
+    }
+  }
+  for (const pattern of rule.urlPattern === undefined ? [] : asList(rule.urlPattern)) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new RuleError(`Rule ${id}: invalid urlPattern ${pattern}`);
+    }
+  }
+
+  return { ...rule, id };
+}
+
+class RulesEngine {
+  constructor(config = {}) {
+    this.filePath = null;
+    this.configure({ ...DEFAULT_RULES_CONFIG, ...config });
+  }
+
+  /**
+   * Replace the whole rule set after validating it
+   */
+  configure(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new RuleError('Rules config must be an object');
+    }
+
+    const defaultAction = config.defaultAction ?? DEFAULT_RULES_CONFIG.defaultAction;
+    if (!ACTIONS.includes(defaultAction)) {
+      throw new RuleError(`defaultAction must be one of ${ACTIONS.join(', ')}`);
+    }
+    if (config.rules !== undefined && !Array.isArray(config.rules)) {
+      throw new RuleError('rules must be a list');
+    }
+
+    const rules = (config.rules || []).map(normalizeRule);
+    const ids = new Set();
+    for (const rule of rules) {
+      if (ids.has(rule.id)) throw new RuleError(`Duplicate rule id ${rule.id}`);
+      ids.add(rule.id);
+    }
+
+    this.defaultAction = defaultAction;
+    this.rules = rules;
+    this.compiled = rules.map(compileRule);
+    return this.toJSON();
+  }
+
+  /**
+   * Load rules from a .json, .yaml or .yml file and remember it for reload()
+   */
+  load(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const config = ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase())
+      ? yaml.load(text)
+      : JSON.parse(text);
+
+    const result = this.configure(config || {});
+    this.filePath = filePath;
+    return result;
+  }
+
+  reload() {
+    if (!this.filePath) {
+      throw new RuleError('No rules file configured');
+    }
+    return this.load(this.filePath);
+  }
+
+  addRule(rule) {
+    const normalized = normalizeRule(rule, this.rules.length);
+    if (this.rules.some(r => r.id === normalized.id)) {
+      throw new RuleError(`Duplicate rule id ${normalized.id}`, 'duplicate');
+    }
+
+    this.rules.push(normalized);
+    this.compiled.push(compileRule(normalized));
+    return normalized;
+  }
+
+  removeRule(id) {
+    const index = this.rules.findIndex(r => r.id === String(id));
+    if (index === -1) return false;
+
+    this.rules.splice(index, 1);
+    this.compiled.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Decide one URL: { allowed, action, rule } where rule is the matching id or null
+   */
+  evaluate(context) {
+    for (const { rule, tests } of this.compiled) {
+      if (tests.every(test => test(context))) {
+        return { allowed: rule.action === 'allow', action: rule.action, rule: rule.id };
+      }
+    }
+    return { allowed: this.defaultAction === 'allow', action: this.defaultAction, rule: null };
+  }
+
+  toJSON() {
+    return {
+      defaultAction: this.defaultAction,
+      rules: this.rules.map(rule => ({ ...rule })),
+      file: this.filePath
+    };
+  }
+}
+
+function compileRule(rule) {
+  const tests = CONDITIONS
+    .filter(key => rule[key] !== undefined)
+    .map(key => {
+      const values = key === 'urlPattern'
+        ? asList(rule[key]).map(pattern => new RegExp(pattern, 'i'))
+        : asList(rule[key]);
+      return context => MATCHERS[key](values, context);
+    });
+  return { rule, tests };
+}
+
+module.exports = {
+  RulesEngine,
+  RuleError,
+  DEFAULT_RULES_CONFIG,
+  CONDITIONS
+};
@@ -2,6 +2,8 @@
 const { spawn, execSync } = require('child_process');
 const axios = require('axios');
 
+const STACK_MODES = ['local', 'docker'];
+
 /**
  * Wait for a service to be healthy
  */
@@ -19,6 +21,18 @@ async function waitForService(url, maxAttempts = 30, delay = 1000) {
   throw new Error(`Service at ${url} failed to start after ${maxAttempts} attempts`);
 }
 
+/**
+ * How the integration suite gets its services: 'local' (in-process mocks, the
+ * default) or 'docker' (docker compose), from TEST_STACK_MODE
+ */
+function stackMode(env = process.env) {
+  const mode = (env.TEST_STACK_MODE || 'local').toLowerCase();
+  if (!STACK_MODES.includes(mode)) {
+    throw new Error(`Unknown TEST_STACK_MODE ${env.TEST_STACK_MODE}; use ${STACK_MODES.join(' or ')}`);
+  }
+  return mode;
+}
+
 /**
  * Start a service using docker-compose
  */
@@ -112,6 +126,8 @@ function getContainerLogs(containerName, lines = 50) {
 }
 
 module.exports = {
+  STACK_MODES,
+  stackMode,
   waitForService,
   startService,
   stopService,
@@ -0,0 +1,324 @@
+// Record-and-replay of monitor sessions as versioned fixture files
+//
+// SessionRecorder captures the webhook bodies a monitor receives (hand it to
+// the monitor as options.recorder) and, once attach()ed to axios, the HTTP
+// exchanges with named targets: the monitor registers StreamSource and its
+// metadata fixture server, tests add others such as the platform APIs. Each
+// entry carries its offset from the start of the recording. save() writes
+//   { format, version, recorded_at, meta, targets, entries }
+// with tokens and passwords redacted. SessionReplayer posts a session's
+// webhooks back to a monitor in order at the recorded pace divided by speed
+// (Infinity sends them back to back), and exchanges() reduces outbound
+// traffic to a comparable list, so a captured event night can be replayed
+// against a fresh stack and its syncs checked. Run directly to replay a
+// fixture against a running monitor:
+//   node tests/helpers/session-recorder.js tests/fixtures/sessions/event-night.json [monitorUrl] [--speed 60]
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { systemClock } = require('./clock');
+
+const SESSION_FORMAT = 'streamwall-session';
+const SESSION_VERSION = 1;
+
+// Webhook routes a session can replay
+const INBOUND_ROUTES = ['/webhook/discord', '/webhook/twitch'];
+
+// Body fields never written to a fixture
+const REDACTED_KEYS = ['token', 'password', 'api_key', 'apiKey', 'secret'];
+const REDACTED = '[redacted]';
+
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Copy a body with any REDACTED_KEYS replaced at every depth
+ */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+    key,
+    REDACTED_KEYS.includes(key) ? REDACTED : redact(inner)
+  ]));
+}
+
+// axios hands interceptors the request body already serialized
+function parseBody(data) {
+  if (typeof data !== 'string') return data === undefined ? null : data;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+}
+
+class SessionRecorder {
+  /**
+   * @param {object} [options]
+   * @param {{ now: () => number }} [options.clock] - the monitor's clock, so offsets follow a FakeClock
+   * @param {object} [options.meta] - free-form description stored with the session
+   * @param {Record<string, string>} [options.targets] - name → base URL of outbound traffic to keep
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.meta = options.meta || {};
+    this.targets = {};
+    this.entries = [];
+    this.startedAt = this.clock.now();
+    this.detach = null;
+    // Offsets at which requests went out, keyed by their axios config
+    this.sentAt = new WeakMap();
+    Object.entries(options.targets || {}).forEach(([name, baseUrl]) => this.target(name, baseUrl));
+  }
+
+  offset() {
+    return this.clock.now() - this.startedAt;
+  }
+
+  /**
+   * Keep outbound requests under baseUrl, labelled name; a missing URL is ignored
+   */
+  target(name, baseUrl) {
+    if (baseUrl) this.targets[name] = String(baseUrl).replace(/\/+$/, '');
+    return this;
+  }
+
+  /**
+   * Record a webhook body as the monitor received it
+   */
+  inbound(route, body) {
+    this.entries.push({ offset_ms: this.offset(), kind: 'inbound', route, body: redact(body) });
+  }
+
+  /**
+   * Record an axios exchange with a known target (or its network error)
+   */
+  outbound(config, response, error = null) {
+    const url = config.baseURL && !/^https?:/.test(config.url) ? `${config.baseURL}${config.url}` : config.url;
+    const match = this.resolve(url);
+    if (!match) return;
+
+    this.entries.push({
+      offset_ms: this.sentAt.get(config) ?? this.offset(),
+      kind: 'outbound',
+      target: match.target,
+      method: (config.method || 'get').toUpperCase(),
+      path: match.path,
+      status: response ? response.status : null,
+      request: redact(parseBody(config.data)),
+      response: response ? redact(response.data) : null,
+      ...(error && !response ? { error: error.code || error.message } : {})
+    });
+  }
+
+  /**
+   * Which target a URL belongs to (the longest matching base wins) and its path there
+   */
+  resolve(url) {
+    const [name, baseUrl] = Object.entries(this.targets)
+      .filter(([, base]) => url === base || url.startsWith(`${base}/`) || url.startsWith(`${base}?`))
+      .sort(([, a], [, b]) => b.length - a.length)[0] || [];
+    return name ? { target: name, path: url.slice(baseUrl.length) || '/' } : null;
+  }
+
+  /**
+   * Capture exchanges made through an axios instance (the shared default by
+   * default) until detach() is called
+   * @param {any} [http] - axios or an instance from axios.create()
+   */
+  attach(http = axios) {
+    if (this.detach) return this;
+
+    const request = http.interceptors.request.use(config => {
+      this.sentAt.set(config, this.offset());
+      return config;
+    });
+    const response = http.interceptors.response.use(
+      res => {
+        this.outbound(res.config, res);
+        return res;
+      },
+      error => {
+        if (error.config) this.outbound(error.config, error.response, error);
+        return Promise.reject(error);
+      }
+    );
+    this.detach = () => {
+      http.interceptors.request.eject(request);
+      http.interceptors.response.eject(response);
+      this.detach = null;
+    };
+    return this;
+  }
+
+  /**
+   * The recording so far as a session object, entries in offset order
+   */
+  session() {
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      recorded_at: new Date(this.startedAt).toISOString(),
+      meta: this.meta,
+      targets: Object.keys(this.targets).sort(),
+      entries: [...this.entries].sort((a, b) => a.offset_ms - b.offset_ms)
+    };
+  }
+
+  /**
+   * Write the session as pretty JSON so fixture diffs stay reviewable
+   */
+  save(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(this.session(), null, 2)}\n`);
+    return filePath;
+  }
+}
+
+/**
+ * Read and check a session fixture (a path or an already-parsed object);
+ * throws SessionError for other formats or versions this code doesn't know
+ */
+function loadSession(source) {
+  let session = source;
+  if (typeof source === 'string') {
+    try {
+      session = JSON.parse(fs.readFileSync(source, 'utf8'));
+    } catch (error) {
+      throw new SessionError(`Cannot read session ${source}: ${error.message}`, 'unreadable');
+    }
+  }
+
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new SessionError('Not a streamwall session', 'invalid_format');
+  }
+  if (session.version !== SESSION_VERSION) {
+    throw new SessionError(`Session version ${session.version} is not supported (expected ${SESSION_VERSION})`, 'unsupported_version');
+  }
+  if (!Array.isArray(session.entries)) {
+    throw new SessionError('Session has no entries', 'invalid_format');
+  }
+  return session;
+}
+
+/**
+ * Outbound traffic reduced to what a regression would change, with numeric
+ * ids in paths replaced by :id so two runs compare equal
+ * @param {object} session
+ * @param {string} [target] - only this target's exchanges
+ */
+function exchanges(session, target) {
+  return session.entries
+    .filter(entry => entry.kind === 'outbound' && (!target || entry.target === target))
+    .map(entry => ({
+      target: entry.target,
+      method: entry.method,
+      path: entry.path.replace(/\/\d+(?=\/|\?|$)/g, '/:id'),
+      status: entry.status,
+      ...(entry.request?.link ? { link: entry.request.link } : {})
+    }));
+}
+
+class SessionReplayer {
+  /**
+   * @param {object|string} session - a session object or fixture path
+   * @param {object} [options]
+   * @param {{ setTimeout: Function }} [options.clock] - waits between webhooks run on this clock
+   * @param {{ sign: (payload: object) => { body: string, headers: object } }} [options.signer] -
+   *   re-sign Discord bodies (createDiscordSigner()) for a monitor that verifies them
+   * @param {any} [options.http] - axios or an instance from axios.create()
+   */
+  constructor(session, options = {}) {
+    this.session = loadSession(session);
+    this.clock = options.clock || systemClock;
+    this.signer = options.signer || null;
+    this.http = options.http || axios;
+  }
+
+  /**
+   * Webhooks to send with the wait before each, at speed times the recorded pace
+   */
+  schedule(speed = 1) {
+    if (!(speed > 0)) {
+      throw new SessionError('Replay speed must be positive', 'invalid_speed');
+    }
+
+    let previous = null;
+    return this.session.entries
+      .filter(entry => entry.kind === 'inbound' && INBOUND_ROUTES.includes(entry.route))
+      .map(entry => {
+        const gap = previous === null ? 0 : Math.max(0, entry.offset_ms - previous);
+        previous = entry.offset_ms;
+        return { entry, delayMs: Number.isFinite(speed) ? Math.round(gap / speed) : 0 };
+      });
+  }
+
+  /**
+   * Post every recorded webhook to a monitor, waiting as scheduled; answers
+   * (including 4xx/5xx) are collected rather than thrown
+   * @param {string} monitorUrl
+   * @param {{ speed?: number, onEntry?: (result: object) => void }} [options]
+   */
+  async replay(monitorUrl, { speed = 1, onEntry } = {}) {
+    const results = [];
+
+    for (const { entry, delayMs } of this.schedule(speed)) {
+      if (delayMs > 0) {
+        await new Promise(resolve => this.clock.setTimeout(resolve, delayMs));
+      }
+
+      const request = this.signer && entry.route === '/webhook/discord'
+        ? this.signer.sign(entry.body)
+        : { body: entry.body, headers: {} };
+      const response = await this.http.post(`${monitorUrl}${entry.route}`, request.body, {
+        headers: { 'Content-Type': 'application/json', ...request.headers },
+        validateStatus: () => true
+      });
+
+      const result = { offset_ms: entry.offset_ms, route: entry.route, status: response.status, data: response.data };
+      results.push(result);
+      if (onEntry) onEntry(result);
+    }
+
+    return { sent: results.length, results };
+  }
+}
+
+module.exports = {
+  SessionRecorder,
+  SessionReplayer,
+  SessionError,
+  SESSION_FORMAT,
+  SESSION_VERSION,
+  loadSession,
+  exchanges
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const speedAt = args.indexOf('--speed');
+  const speed = speedAt === -1 ? 1 : Number(args.splice(speedAt, 2)[1]);
+  const [file, monitorUrl = process.env.MONITOR_URL || 'http://localhost:3001'] = args;
+
+  if (!file) {
+    console.error('Usage: node tests/helpers/session-recorder.js SESSION.json [monitorUrl] [--speed N]');
+    process.exit(2);
+  }
+
+  Promise.resolve()
+    .then(() => new SessionReplayer(file).replay(monitorUrl, {
+      speed,
+      onEntry: ({ offset_ms, route, status }) => console.log(`+${offset_ms}ms ${route} → ${status}`)
+    }))
+    .then(({ sent }) => console.log(`Replayed ${sent} webhooks to ${monitorUrl}`))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,252 @@
+// Livesheet updater status checker
+//
+// Pages through StreamSource streams in batches, asks each platform's probe
+// whether the stream is live, and PATCHes status, viewer_count, title and
+// last_checked back. A probe that errors only counts as a failure; the
+// stream is marked offline once failureThreshold checks in a row have failed,
+// so one flaky platform response doesn't blank a live stream.
+const axios = require('axios');
+const { parseStreamUrl } = require('./platform-parser');
+const { getProbe, ProbeUnsupported, DEFAULT_API_URLS } = require('./status-probes');
+const { TRANSITIONS } = require('./stream-lifecycle');
+
+const DEFAULT_CHECKER_OPTIONS = {
+  batchSize: 25,
+  concurrency: 5,
+  failureThreshold: 3,
+  intervalMs: 60 * 1000,
+  timeoutMs: 10000
+};
+
+class StatusChecker {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.streamSourceUrl] - StreamSource /api/v1 base URL
+   * @param {string} [options.apiKey] - needs streams:read and streams:update_status
+   * @param {string} [options.platformApiUrl] - send every probe here (a MockPlatformServer)
+   * @param {Record<string, string>} [options.apiUrls] - per-platform API base URLs
+   * @param {Record<string, object>} [options.probes] - per-platform probe overrides
+   * @param {number} [options.batchSize]
+   * @param {number} [options.concurrency]
+   * @param {number} [options.failureThreshold]
+   * @param {number} [options.intervalMs]
+   * @param {number} [options.timeoutMs]
+   * @param {Record<string, string>} [options.env]
+   * @param {() => number} [options.now]
+   */
+  constructor(options = {}) {
+    const settings = { ...DEFAULT_CHECKER_OPTIONS, ...options };
+    this.streamSourceUrl = options.streamSourceUrl || process.env.STREAMSOURCE_API_URL || 'http://localhost:3000/api/v1';
+    this.apiKey = options.apiKey || process.env.STREAMSOURCE_API_KEY || 'dev_updater_key';
+    this.batchSize = settings.batchSize;
+    this.concurrency = Math.max(1, settings.concurrency);
+    this.failureThreshold = Math.max(1, settings.failureThreshold);
+    this.intervalMs = options.intervalMs ||
+      (process.env.CHECK_INTERVAL_SECONDS ? Number(process.env.CHECK_INTERVAL_SECONDS) * 1000 : settings.intervalMs);
+    this.timeoutMs = settings.timeoutMs;
+    this.env = options.env || process.env;
+    this.now = options.now || (() => Date.now());
+
+    this.apiUrls = { ...DEFAULT_API_URLS, ...options.apiUrls };
+    if (options.platformApiUrl) {
+      for (const platform of Object.keys(this.apiUrls)) {
+        this.apiUrls[platform] = options.platformApiUrl;
+      }
+    }
+    this.probes = options.probes || {};
+
+    this.failures = new Map();
+    this.timer = null;
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Run one full pass over every stream that can still go live, resolving with a summary
+   */
+  async runOnce() {
+    if (this.running) return this.running;
+
+    this.running = this.checkAll();
+    try {
+      this.lastRun = await this.running;
+      return this.lastRun;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async checkAll() {
+    const summary = { checked: 0, live: 0, offline: 0, failed: 0, skipped: 0, updated: 0, errors: [] };
+    let page = 1;
+    let totalPages = 1;
+
+    // Read every page first so PATCHes during the pass cannot shift pages under us
+    const streams = [];
+    do {
+      const { data } = await this.streamSource('get', '/streams', undefined, {
+        params: { page, per_page: this.batchSize }
+      });
+      // Archived and rejected streams are closed; a PATCH to live or offline would only 422
+      streams.push(...data.streams.filter(stream => TRANSITIONS[stream.status]?.length !== 0));
+      totalPages = data.meta?.total_pages || 1;
+      page++;
+    } while (page <= totalPages);
+
+    for (let i = 0; i < streams.length; i += this.batchSize) {
+      const batch = streams.slice(i, i + this.batchSize);
+      const results = await mapWithConcurrency(batch, this.concurrency, stream => this.checkStream(stream));
+      for (const result of results) {
+        summary[result.outcome]++;
+        if (result.outcome !== 'skipped') summary.checked++;
+        if (result.updated) summary.updated++;
+        if (result.error) summary.errors.push({ id: result.id, error: result.error });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Probe one stream and PATCH the result; never throws
+   */
+  async checkStream(stream) {
+    const identity = parseStreamUrl(stream.link);
+    const probe = identity && (this.probes[identity.platform] || getProbe(identity.platform));
+    if (!probe) {
+      return { id: stream.id, outcome: 'skipped' };
+    }
+
+    let result;
+    try {
+      result = await probe.check(identity, {
+        get: (platform, path, config) => this.platformGet(platform, path, config),
+        env: this.env
+      });
+    } catch (error) {
+      if (error instanceof ProbeUnsupported) {
+        return { id: stream.id, outcome: 'skipped' };
+      }
+      return this.recordFailure(stream, error);
+    }
+
+    this.failures.delete(stream.id);
+    const changes = {
+      status: result.live ? 'live' : 'offline',
+      viewer_count: result.live ? result.viewerCount ?? 0 : 0,
+      last_checked: new Date(this.now()).toISOString()
+    };
+    if (result.title !== undefined) changes.title = result.title;
+    // A stale stream that is still offline stays stale until it ages out
+    if (!result.live && stream.status === 'stale') delete changes.status;
+
+    const updated = await this.patchStream(stream, changes);
+    return { id: stream.id, outcome: result.live ? 'live' : 'offline', updated: updated.ok, error: updated.error };
+  }
+
+  async recordFailure(stream, error) {
+    const count = (this.failures.get(stream.id) || 0) + 1;
+    this.failures.set(stream.id, count);
+    const message = describeError(error);
+
+    if (count < this.failureThreshold || ['offline', 'stale'].includes(stream.status)) {
+      return { id: stream.id, outcome: 'failed', error: message };
+    }
+
+    const updated = await this.patchStream(stream, {
+      status: 'offline',
+      viewer_count: 0,
+      last_checked: new Date(this.now()).toISOString()
+    });
+    return { id: stream.id, outcome: 'failed', updated: updated.ok, error: message };
+  }
+
+  async patchStream(stream, changes) {
+    try {
+      await this.streamSource('patch', `/streams/${stream.id}`, changes);
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error: describeError(error) };
+    }
+  }
+
+  streamSource(method, path, data, config = {}) {
+    return axios.request({
+      method,
+      url: `${this.streamSourceUrl}${path}`,
+      data,
+      timeout: this.timeoutMs,
+      ...config,
+      headers: { Authorization: `Bearer ${this.apiKey}`, ...config.headers }
+    });
+  }
+
+  platformGet(platform, path, config = {}) {
+    const baseUrl = this.apiUrls[platform];
+    if (!baseUrl) {
+      throw new Error(`No API URL configured for ${platform}`);
+    }
+    return axios.get(`${baseUrl}${path}`, { timeout: this.timeoutMs, ...config });
+  }
+
+  /**
+   * Check every intervalMs until stopped; the first pass runs immediately
+   */
+  async start() {
+    const tick = () => {
+      this.runOnce().catch(() => {}).finally(() => {
+        if (this.timer) {
+          this.timer = setTimeout(tick, this.intervalMs);
+          this.timer.unref?.();
+        }
+      });
+    };
+
+    this.timer = setTimeout(tick, 0);
+    this.timer.unref?.();
+  }
+
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.running) {
+      await this.running.catch(() => {});
+    }
+  }
+
+  reset() {
+    this.failures.clear();
+    this.lastRun = null;
+  }
+}
+
+/**
+ * Map over items with at most limit calls in flight, preserving order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function describeError(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status}`;
+  }
+  return error.code || error.message || String(error);
+}
+
+module.exports = {
+  StatusChecker,
+  mapWithConcurrency,
+  DEFAULT_CHECKER_OPTIONS
+};
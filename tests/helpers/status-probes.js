@@ -0,0 +1,119 @@
+// Per-platform live-status probes for the status checker
+//
+// A probe is { name, check(identity, context) } where identity comes from
+// parseStreamUrl and context is { get, env }: get(platform, path, config)
+// performs an HTTP GET against that platform's API base URL. check resolves
+// with { live, viewerCount, title } or rejects when the platform could not
+// be asked (network error, 5xx, unknown channel). Throwing ProbeUnsupported
+// means the link can't be probed at all and the stream is skipped.
+
+class ProbeUnsupported extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProbeUnsupported';
+  }
+}
+
+// Real API hosts; tests point every platform at MockPlatformServer instead
+const DEFAULT_API_URLS = {
+  twitch: 'https://api.twitch.tv',
+  youtube: 'https://www.googleapis.com',
+  kick: 'https://kick.com'
+};
+
+const probes = [];
+
+/**
+ * Add or replace the probe for a platform
+ * @param {{ name: string, check: (identity: object, context: object) => Promise<object> }} probe
+ */
+function registerProbe(probe) {
+  if (!probe || typeof probe.name !== 'string' || typeof probe.check !== 'function') {
+    throw new TypeError('Probe needs a name and a check function');
+  }
+
+  const index = probes.findIndex(p => p.name === probe.name);
+  if (index !== -1) probes.splice(index, 1);
+  probes.unshift(probe);
+  return probe;
+}
+
+function getProbe(platform) {
+  return probes.find(p => p.name === platform) || null;
+}
+
+function listProbes() {
+  return probes.map(p => p.name);
+}
+
+// Twitch Helix: an empty data array means the channel is offline
+registerProbe({
+  name: 'twitch',
+  async check({ channel, kind }, { get, env }) {
+    if (kind !== 'live' || !channel) {
+      throw new ProbeUnsupported('Only Twitch channel links can be checked');
+    }
+
+    const { data } = await get('twitch', '/helix/streams', {
+      params: { user_login: channel },
+      headers: {
+        'Client-Id': env.TWITCH_CLIENT_ID || '',
+        Authorization: `Bearer ${env.TWITCH_ACCESS_TOKEN || ''}`
+      }
+    });
+
+    const live = data.data?.[0];
+    if (!live) return { live: false };
+    return { live: live.type === 'live', viewerCount: live.viewer_count, title: live.title };
+  }
+});
+
+// YouTube Data API v3: liveBroadcastContent is 'live' while broadcasting
+registerProbe({
+  name: 'youtube',
+  async check({ videoId }, { get, env }) {
+    if (!videoId) {
+      throw new ProbeUnsupported('Only YouTube video links can be checked');
+    }
+
+    const { data } = await get('youtube', '/youtube/v3/videos', {
+      params: { part: 'snippet,liveStreamingDetails', id: videoId, key: env.YOUTUBE_API_KEY || '' }
+    });
+
+    const video = data.items?.[0];
+    if (!video) {
+      throw new Error(`YouTube video ${videoId} not found`);
+    }
+
+    const live = video.snippet?.liveBroadcastContent === 'live';
+    const viewers = video.liveStreamingDetails?.concurrentViewers;
+    return {
+      live,
+      viewerCount: live && viewers !== undefined ? Number(viewers) : 0,
+      title: video.snippet?.title
+    };
+  }
+});
+
+// Kick: the channel payload carries a livestream object while live
+registerProbe({
+  name: 'kick',
+  async check({ channel, kind }, { get }) {
+    if (kind !== 'live' || !channel) {
+      throw new ProbeUnsupported('Only Kick channel links can be checked');
+    }
+
+    const { data } = await get('kick', `/api/v2/channels/${encodeURIComponent(channel)}`);
+    const livestream = data.livestream;
+    if (!livestream) return { live: false };
+    return { live: true, viewerCount: livestream.viewer_count, title: livestream.session_title };
+  }
+});
+
+module.exports = {
+  registerProbe,
+  getProbe,
+  listProbes,
+  ProbeUnsupported,
+  DEFAULT_API_URLS
+};
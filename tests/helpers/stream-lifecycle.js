@@ -0,0 +1,218 @@
+// Stream lifecycle shared by the monitor and StreamSource stand-ins
+//
+//   pending → live ⇄ offline → stale → archived
+//   pending → rejected
+//
+// Any non-terminal state may also go straight to archived. Setting the
+// current status again is a no-op. Every change is recorded as
+// { from, to, at, reason } so GET /streams/:id/history can replay it.
+
+const STATES = ['pending', 'live', 'offline', 'stale', 'archived', 'rejected'];
+
+const TRANSITIONS = {
+  pending: ['live', 'offline', 'rejected', 'archived'],
+  live: ['offline', 'archived'],
+  offline: ['live', 'stale', 'archived'],
+  stale: ['live', 'archived'],
+  archived: [],
+  rejected: []
+};
+
+// States a stream may be created in
+const INITIAL_STATES = ['pending', 'live', 'offline'];
+
+const DEFAULT_LIFECYCLE_OPTIONS = {
+  staleAfterMs: 6 * 60 * 60 * 1000,
+  archiveAfterMs: 24 * 60 * 60 * 1000,
+  sweepIntervalMs: null
+};
+
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(STATES.includes(to) ? `Cannot move stream from ${from} to ${to}` : `Unknown status ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.code = STATES.includes(to) ? 'invalid_transition' : 'unknown_status';
+    this.from = from;
+    this.to = to;
+  }
+
+  toJSON() {
+    return {
+      error: this.code === 'unknown_status' ? 'Unknown status' : 'Invalid status transition',
+      from: this.from,
+      to: this.to
+    };
+  }
+}
+
+/**
+ * Map free-form statuses ('Live', ' OFFLINE ') onto lifecycle states, or null
+ */
+function normalizeStatus(value) {
+  if (typeof value !== 'string') return null;
+  const status = value.trim().toLowerCase();
+  return STATES.includes(status) ? status : null;
+}
+
+function canTransition(from, to) {
+  return from === to || (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Shortest run of states from an initial state to status, e.g.
+ * ['offline', 'stale'], or null for an unknown status
+ */
+function pathTo(status) {
+  const queue = INITIAL_STATES.map(state => [state]);
+  for (let i = 0; i < queue.length; i++) {
+    const path = queue[i];
+    const last = path[path.length - 1];
+    if (last === status) return path;
+    for (const next of TRANSITIONS[last]) {
+      if (!path.includes(next)) queue.push([...path, next]);
+    }
+  }
+  return null;
+}
+
+class StreamLifecycle {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.staleAfterMs] - offline this long becomes stale
+   * @param {number} [options.archiveAfterMs] - offline (or stale) this long is archived
+   * @param {number} [options.sweepIntervalMs] - run sweeps on a timer when set
+   * @param {() => number} [options.now]
+   */
+  constructor(options = {}) {
+    const settings = { ...DEFAULT_LIFECYCLE_OPTIONS, ...options };
+    this.staleAfterMs = settings.staleAfterMs;
+    this.archiveAfterMs = settings.archiveAfterMs;
+    this.sweepIntervalMs = settings.sweepIntervalMs;
+    this.now = options.now || (() => Date.now());
+    this.histories = new Map();
+  }
+
+  /**
+   * Record a new stream's first state, setting status and status_changed_at
+   */
+  begin(stream, status = 'pending', reason = 'created') {
+    const initial = normalizeStatus(status);
+    if (!INITIAL_STATES.includes(initial)) {
+      throw new InvalidTransitionError(null, initial || status);
+    }
+
+    const at = new Date(this.now()).toISOString();
+    stream.status = initial;
+    stream.status_changed_at = at;
+    this.histories.set(String(stream.id), [{ from: null, to: initial, at, reason }]);
+    return stream;
+  }
+
+  /**
+   * Record a stream that arrives already in any state (a sheet import),
+   * beginning it in an initial state and walking the transitions to status
+   */
+  beginAs(stream, status = 'pending', reason = 'created') {
+    const path = pathTo(normalizeStatus(status));
+    if (!path) throw new InvalidTransitionError(null, status);
+
+    this.begin(stream, path[0], reason);
+    for (const next of path.slice(1)) this.transition(stream, next, reason);
+    return stream;
+  }
+
+  /**
+   * Move a stream to a new state, throwing InvalidTransitionError if not allowed;
+   * returns true when the status actually changed
+   */
+  transition(stream, status, reason = null) {
+    const to = normalizeStatus(status);
+    if (!to || !canTransition(stream.status, to)) {
+      throw new InvalidTransitionError(stream.status, to || status);
+    }
+    if (to === stream.status) return false;
+
+    const at = new Date(this.now()).toISOString();
+    const entry = { from: stream.status, to, at, reason };
+    stream.status = to;
+    stream.status_changed_at = at;
+
+    const key = String(stream.id);
+    if (!this.histories.has(key)) this.histories.set(key, []);
+    this.histories.get(key).push(entry);
+    return true;
+  }
+
+  history(id) {
+    return (this.histories.get(String(id)) || []).map(entry => ({ ...entry }));
+  }
+
+  /**
+   * When the stream last went offline (stale keeps the offline start time)
+   */
+  offlineSince(stream) {
+    const history = this.histories.get(String(stream.id)) || [];
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].to === 'offline') return Date.parse(history[i].at);
+    }
+    return Date.parse(stream.status_changed_at);
+  }
+
+  /**
+   * Age offline streams into stale and archived, returning what changed
+   */
+  sweep(streams) {
+    const now = this.now();
+    const changes = [];
+
+    for (const stream of streams) {
+      if (stream.status !== 'offline' && stream.status !== 'stale') continue;
+
+      const offlineFor = now - this.offlineSince(stream);
+      let to = null;
+      if (this.archiveAfterMs && offlineFor >= this.archiveAfterMs) {
+        to = 'archived';
+      } else if (stream.status === 'offline' && this.staleAfterMs && offlineFor >= this.staleAfterMs) {
+        to = 'stale';
+      }
+
+      if (to) {
+        const from = stream.status;
+        this.transition(stream, to, 'auto');
+        changes.push({ stream, from, to });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Every stream's history as plain JSON, for saving across restarts
+   */
+  snapshot() {
+    return Object.fromEntries(this.histories);
+  }
+
+  restore(histories = {}) {
+    this.histories = new Map(Object.entries(histories));
+  }
+
+  forget(id) {
+    this.histories.delete(String(id));
+  }
+
+  clear() {
+    this.histories.clear();
+  }
+}
+
+module.exports = {
+  StreamLifecycle,
+  InvalidTransitionError,
+  normalizeStatus,
+  canTransition,
+  STATES,
+  TRANSITIONS,
+  INITIAL_STATES,
+  DEFAULT_LIFECYCLE_OPTIONS
+};
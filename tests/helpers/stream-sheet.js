@@ -0,0 +1,294 @@
+// Streamwall livesheet rows for bulk import and export
+//
+// The sheet's columns are Source, Platform, Link, Status, City, State,
+// Added Date, Posted By. Each service maps its streams to and from a row
+// keyed by the snake_case field (source, platform, link, ...). CSV uses the
+// sheet headers; JSON and NDJSON use the field names, and imports accept
+// either spelling. A body that can't be read at all throws a SheetError;
+// a bad row only produces errors for that row, so one typo doesn't sink an
+// import. Rows are numbered from 1, not counting the CSV header.
+const { parseStreamUrl } = require('./platform-parser');
+const { normalizeStatus, STATES } = require('./stream-lifecycle');
+
+const SHEET_COLUMNS = [
+  { header: 'Source', field: 'source' },
+  { header: 'Platform', field: 'platform' },
+  { header: 'Link', field: 'link' },
+  { header: 'Status', field: 'status' },
+  { header: 'City', field: 'city' },
+  { header: 'State', field: 'state' },
+  { header: 'Added Date', field: 'added_date' },
+  { header: 'Posted By', field: 'posted_by' }
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  ndjson: 'application/x-ndjson'
+};
+
+// Imports are whole sheets, so allow more than express's 100kb default
+const IMPORT_BODY_LIMIT = '5mb';
+
+class SheetError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SheetError';
+    this.code = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+/**
+ * Resolve the format from ?format= or the Content-Type, defaulting to JSON
+ */
+function resolveFormat(format, contentType = '') {
+  if (format) {
+    const wanted = String(format).toLowerCase();
+    if (!CONTENT_TYPES[wanted]) {
+      throw new SheetError(`Unsupported format ${format}; use csv, json or ndjson`, 'unsupported_format');
+    }
+    return wanted;
+  }
+
+  const type = String(contentType).split(';')[0].trim().toLowerCase();
+  const match = Object.keys(CONTENT_TYPES).find(name => CONTENT_TYPES[name] === type);
+  return match || (type === 'text/plain' ? 'csv' : 'json');
+}
+
+/**
+ * Pick the sheet fields out of a record, using null for blanks
+ */
+function sheetRow(record) {
+  const row = {};
+  for (const { field } of SHEET_COLUMNS) {
+    row[field] = record[field] ?? null;
+  }
+  return row;
+}
+
+/**
+ * Serialize rows as csv, json or ndjson
+ */
+function formatRows(rows, format) {
+  const sheetRows = rows.map(sheetRow);
+  if (format === 'json') return JSON.stringify(sheetRows);
+  if (format === 'ndjson') return sheetRows.map(row => `${JSON.stringify(row)}\n`).join('');
+
+  const lines = [SHEET_COLUMNS.map(c => csvCell(c.header))];
+  for (const row of sheetRows) {
+    lines.push(SHEET_COLUMNS.map(c => csvCell(row[c.field])));
+  }
+  return lines.map(cells => `${cells.join(',')}\r\n`).join('');
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into records of cells (RFC 4180 quoting, CRLF or LF)
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new SheetError('Unterminated quoted field', 'invalid_body');
+  }
+  if (cell !== '' || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  // Sheets often export trailing blank lines
+  return records.filter(cells => cells.some(c => c.trim() !== ''));
+}
+
+/**
+ * Map a header or field name ('Added Date', 'added_date') to its field
+ */
+function columnField(name) {
+  const key = String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return SHEET_COLUMNS.find(c => c.field === key)?.field || null;
+}
+
+function fieldsOf(record) {
+  const fields = {};
+  for (const [name, value] of Object.entries(record)) {
+    const field = columnField(name);
+    if (field) fields[field] = value;
+  }
+  return fields;
+}
+
+/**
+ * Read an import body into [{ row, fields, error? }]; fields are keyed by
+ * sheet field and an NDJSON line that isn't JSON carries an error instead
+ */
+function parseRows(body, format) {
+  const text = String(body ?? '').replace(/^\uFEFF/, '');
+
+  if (format === 'csv') {
+    const [headers = [], ...records] = parseCsv(text);
+    const fields = headers.map(columnField);
+    if (!fields.includes('link')) {
+      throw new SheetError('CSV header must include a Link column', 'missing_column');
+    }
+    return records.map((cells, index) => {
+      const row = {};
+      fields.forEach((field, column) => {
+        if (field) row[field] = cells[column];
+      });
+      return { row: index + 1, fields: row };
+    });
+  }
+
+  if (format === 'ndjson') {
+    return text.split(/\r?\n/).filter(line => line.trim() !== '').map((line, index) => {
+      try {
+        return { row: index + 1, fields: fieldsOf(JSON.parse(line)) };
+      } catch (error) {
+        return { row: index + 1, fields: {}, error: 'Line is not valid JSON' };
+      }
+    });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new SheetError('Body is not valid JSON', 'invalid_body');
+  }
+  const records = Array.isArray(data) ? data : data?.streams;
+  if (!Array.isArray(records)) {
+    throw new SheetError('JSON body must be an array of rows or { streams: [...] }', 'invalid_body');
+  }
+  return records.map((record, index) => ({
+    row: index + 1,
+    fields: record && typeof record === 'object' ? fieldsOf(record) : {}
+  }));
+}
+
+function blankToNull(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Check one parsed row, returning { values, identity, errors }: values are
+ * the trimmed fields (platform filled in from the link, status lower-cased),
+ * identity is the parsed link and errors lists { column, message }
+ */
+function validateRow(fields) {
+  /** @type {Record<string, any>} */
+  const values = {};
+  for (const { field } of SHEET_COLUMNS) {
+    values[field] = blankToNull(fields[field]);
+  }
+  const errors = [];
+  let identity = null;
+
+  if (!values.link) {
+    errors.push({ column: 'Link', message: 'Link is required' });
+  } else {
+    identity = parseStreamUrl(values.link);
+    if (!identity) {
+      errors.push({ column: 'Link', message: `Link ${values.link} is not a supported stream URL` });
+    } else if (values.platform && values.platform.toLowerCase() !== identity.platform) {
+      errors.push({ column: 'Platform', message: `Platform ${values.platform} does not match the link (${identity.platform})` });
+    } else {
+      values.platform = identity.platform;
+    }
+  }
+
+  if (values.status) {
+    const status = normalizeStatus(values.status);
+    if (!status) {
+      errors.push({ column: 'Status', message: `Status ${values.status} must be one of ${STATES.join(', ')}` });
+    } else {
+      values.status = status;
+    }
+  }
+
+  if (values.added_date) {
+    const added = new Date(values.added_date);
+    if (Number.isNaN(added.getTime())) {
+      errors.push({ column: 'Added Date', message: `Added Date ${values.added_date} is not a date` });
+    } else {
+      values.added_date = added.toISOString();
+    }
+  }
+
+  return { values, identity, errors };
+}
+
+/**
+ * Validate each parsed row and hand the valid ones to insert(values, identity),
+ * which resolves with extra result fields (e.g. { stream_id }) or with
+ * { errors } when the service refuses the row (a duplicate, say)
+ */
+async function importRows(entries, insert) {
+  const results = [];
+  for (const { row, fields, error } of entries) {
+    const checked = error
+      ? { values: fields, identity: null, errors: [{ column: null, message: error }] }
+      : validateRow(fields);
+    const link = checked.values.link ?? null;
+
+    const outcome = checked.errors.length ? { errors: checked.errors } : await insert(checked.values, checked.identity);
+    results.push(outcome.errors
+      ? { row, link, success: false, errors: outcome.errors }
+      : { row, link, success: true, ...outcome });
+  }
+
+  const imported = results.filter(r => r.success).length;
+  return { total: results.length, imported, failed: results.length - imported, results };
+}
+
+module.exports = {
+  SHEET_COLUMNS,
+  CONTENT_TYPES,
+  IMPORT_BODY_LIMIT,
+  SheetError,
+  resolveFormat,
+  sheetRow,
+  formatRows,
+  parseCsv,
+  parseRows,
+  validateRow,
+  importRows
+};
@@ -0,0 +1,246 @@
+// Durable outbox for StreamSource syncs, retried with exponential backoff
+//
+// Entries are kept as JSON lines so a restarted monitor picks up
+// whatever was still waiting for StreamSource to come back. Entries that
+// StreamSource refused outright (a 4xx other than auth, timeout or rate
+// limiting) or that ran out of attempts are set aside as dead letters
+// rather than retried forever; they stay in the same file, marked with
+// deadLetteredAt, so they can still be inspected after a restart.
+const fs = require('fs');
+const path = require('path');
+const { systemClock } = require('./clock');
+
+const DEFAULT_OUTBOX_OPTIONS = {
+  filePath: null,
+  baseDelayMs: 1000,
+  maxDelayMs: 5 * 60 * 1000,
+  maxAttempts: 10,
+  maxDeadLetters: 100
+};
+
+// Client errors worth retrying: the session may be renewed, or StreamSource asked us to wait
+const RETRYABLE_STATUSES = [401, 408, 425, 429];
+
+class SyncOutbox {
+  /**
+   * @param {(entry: object) => Promise<any>} send - delivers one entry, throws on failure
+   * @param {object} [options]
+   * @param {string} [options.filePath] - JSON-lines file the queue survives restarts in
+   * @param {number} [options.baseDelayMs]
+   * @param {number} [options.maxDelayMs]
+   * @param {number} [options.maxAttempts] - attempts (the first included) before an entry is dead-lettered
+   * @param {number} [options.maxDeadLetters] - dead letters kept, oldest dropped first
+   * @param {() => number} [options.now]
+   * @param {object} [options.clock] - time and retry timers (systemClock by default)
+   * @param {(entry: object, result: any) => void} [options.onDelivered] - called with what send resolved to
+   * @param {(entry: object) => void} [options.onDeadLetter] - called when an entry is given up on
+   */
+  constructor(send, options = {}) {
+    const { filePath, baseDelayMs, maxDelayMs, maxAttempts, maxDeadLetters } = { ...DEFAULT_OUTBOX_OPTIONS, ...options };
+    this.send = send;
+    this.filePath = filePath;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxAttempts = maxAttempts;
+    this.maxDeadLetters = maxDeadLetters;
+    this.clock = options.clock || systemClock;
+    this.now = options.now || (() => this.clock.now());
+    this.onDelivered = options.onDelivered || (() => {});
+    this.onDeadLetter = options.onDeadLetter || (() => {});
+
+    this.entries = [];
+    this.deadLetters = [];
+    this.timer = null;
+    this.running = false;
+    this.flushing = null;
+
+    this.load();
+  }
+
+  /**
+   * Read queued entries and dead letters back from disk, skipping lines that don't parse
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    const stored = fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+    this.entries = stored.filter(entry => !entry.deadLetteredAt);
+    this.deadLetters = stored.filter(entry => entry.deadLetteredAt).slice(-this.maxDeadLetters);
+  }
+
+  persist() {
+    if (!this.filePath) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines = [...this.entries, ...this.deadLetters].map(entry => `${JSON.stringify(entry)}\n`).join('');
+    fs.writeFileSync(tmpPath, lines);
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  backoff(attempts) {
+    return Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** Math.max(0, attempts - 1));
+  }
+
+  /**
+   * Queue a payload after a failed first attempt; re-queuing a key replaces its
+   * payload and bumps its version. A non-retryable error dead-letters it
+   * straight away.
+   */
+  enqueue(key, payload, error) {
+    const now = this.now();
+    let entry = this.entries.find(e => e.id === key);
+
+    if (entry) {
+      entry.payload = payload;
+      entry.version = (entry.version || 1) + 1;
+    } else {
+      entry = { id: key, payload, version: 1, attempts: 1, createdAt: new Date(now).toISOString() };
+      this.entries.push(entry);
+    }
+    entry.lastError = error ? describeError(error) : null;
+    entry.nextAttemptAt = now + this.backoff(entry.attempts);
+    if (error && !isRetryable(error)) this.deadLetter(entry);
+
+    this.persist();
+    this.schedule();
+    return entry;
+  }
+
+  /**
+   * Retry due entries (or all of them with force); resolves with a summary
+   */
+  async flush({ force = false } = {}) {
+    // Several callers may be waiting on the same flush; only one may start the next
+    while (this.flushing) {
+      await this.flushing;
+    }
+
+    this.flushing = this.deliver(force);
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+      this.schedule();
+    }
+  }
+
+  async deliver(force) {
+    const now = this.now();
+    const due = this.entries.filter(entry => force || entry.nextAttemptAt <= now);
+    let delivered = 0;
+    let failed = 0;
+    let deadLettered = 0;
+
+    for (const entry of due) {
+      const { version } = entry;
+      try {
+        const result = await this.send(entry);
+        // A payload replaced while this one was in flight still needs sending
+        if (entry.version === version) this.entries = this.entries.filter(e => e !== entry);
+        delivered++;
+        this.onDelivered(entry, result);
+      } catch (error) {
+        failed++;
+        // The replacement was queued with its own error and retry time
+        if (entry.version !== version) continue;
+        entry.attempts++;
+        entry.lastError = describeError(error);
+        entry.nextAttemptAt = this.now() + this.backoff(entry.attempts);
+        if (!isRetryable(error) || entry.attempts >= this.maxAttempts) {
+          this.deadLetter(entry);
+          deadLettered++;
+        }
+      }
+    }
+
+    if (due.length > 0) this.persist();
+    return { delivered, failed, deadLettered, remaining: this.entries.length };
+  }
+
+  /**
+   * Take an entry out of the queue for good, keeping it for inspection
+   */
+  deadLetter(entry) {
+    this.entries = this.entries.filter(e => e !== entry);
+    entry.deadLetteredAt = new Date(this.now()).toISOString();
+    delete entry.nextAttemptAt;
+    this.deadLetters.push(entry);
+    if (this.deadLetters.length > this.maxDeadLetters) this.deadLetters.shift();
+    this.onDeadLetter(entry);
+  }
+
+  /**
+   * Arm a timer for the earliest due entry while the outbox is running
+   */
+  schedule() {
+    this.clock.clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.running || this.flushing || this.entries.length === 0) return;
+
+    const nextAt = Math.min(...this.entries.map(entry => entry.nextAttemptAt));
+    this.timer = this.clock.setTimeout(() => this.flush().catch(() => {}), Math.max(0, nextAt - this.now()));
+    this.timer.unref?.();
+  }
+
+  start() {
+    this.running = true;
+    this.schedule();
+  }
+
+  stop() {
+    this.running = false;
+    this.clock.clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  clear() {
+    this.entries = [];
+    this.deadLetters = [];
+    this.persist();
+    this.schedule();
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  list() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  listDeadLetters() {
+    return this.deadLetters.map(entry => ({ ...entry }));
+  }
+}
+
+/**
+ * Network errors and 5xx may clear up; most 4xx answers will not
+ */
+function isRetryable(error) {
+  const status = error?.response?.status;
+  return !status || status >= 500 || RETRYABLE_STATUSES.includes(status);
+}
+
+function describeError(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status}`;
+  }
+  return error.code || error.message || String(error);
+}
+
+module.exports = {
+  SyncOutbox,
+  DEFAULT_OUTBOX_OPTIONS,
+  isRetryable
+};
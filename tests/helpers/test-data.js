@@ -1,11 +1,28 @@
 // Test data generators and fixtures
+const { systemClock } = require('./clock');
+
+// Timestamps and snowflakes come from this clock; useClock() swaps in a FakeClock
+/** @type {{ now: () => number }} */
+let clock = systemClock;
+
+/**
+ * Make the generators read time from clock (the system clock when omitted)
+ * @param {{ now: () => number }} [next]
+ */
+function useClock(next = systemClock) {
+  clock = next;
+}
+
+function isoNow() {
+  return new Date(clock.now()).toISOString();
+}
 
 /**
  * Generate a test stream object
  */
 function generateTestStream(overrides = {}) {
   const defaults = {
-    id: `test-stream-${Date.now()}`,
+    id: `test-stream-${clock.now()}`,
     title: 'Test Stream',
     url: 'https://twitch.tv/teststreamer',
     platform: 'twitch',
@@ -19,9 +36,9 @@ function generateTestStream(overrides = {}) {
       state: 'TC'
     },
     metadata: {
-      added_date: new Date().toISOString(),
+      added_date: isoNow(),
       posted_by: 'test_user#1234',
-      last_checked: new Date().toISOString(),
+      last_checked: isoNow(),
       pinned: false
     }
   };
@@ -29,16 +46,37 @@ function generateTestStream(overrides = {}) {
   return { ...defaults, ...overrides };
 }
 
+/**
+ * Derive a stable numeric id from a name, so one user always has one id
+ */
+function stableId(name) {
+  let hash = 0;
+  for (const char of name) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return `${hash}`;
+}
+
+let snowflakeSequence = 0;
+
+/**
+ * Unique Discord-style id for messages and interactions
+ */
+function snowflake() {
+  return `${clock.now()}${String(snowflakeSequence++ % 1000).padStart(3, '0')}`;
+}
+
 /**
  * Generate test Discord message
  */
 function generateDiscordMessage(content, author = 'test_user#1234') {
   return {
+    id: snowflake(),
     content,
     author: {
       username: author.split('#')[0],
       discriminator: author.split('#')[1],
-      id: `${Date.now()}`
+      id: stableId(author)
     },
     channel: {
       id: 'test-channel-id',
@@ -48,7 +86,52 @@ function generateDiscordMessage(content, author = 'test_user#1234') {
       id: 'test-guild-id',
       name: 'Test Server'
     },
-    createdTimestamp: Date.now()
+    createdTimestamp: clock.now()
+  };
+}
+
+/**
+ * Generate a /stream slash-command interaction, e.g. ('add', { url, location })
+ */
+function generateDiscordInteraction(subcommand, options = {}, user = 'test_user#1234', roles = []) {
+  return {
+    id: snowflake(),
+    type: 2,
+    token: 'test-interaction-token',
+    application_id: 'test-application-id',
+    guild_id: 'test-guild-id',
+    channel_id: 'test-channel-id',
+    channel: { id: 'test-channel-id', name: 'test-channel' },
+    member: {
+      user: { id: stableId(user), username: user.split('#')[0] },
+      roles
+    },
+    data: {
+      name: 'stream',
+      type: 1,
+      options: [{
+        type: 1,
+        name: subcommand,
+        options: Object.entries(options).map(([name, value]) => ({ type: 3, name, value }))
+      }]
+    }
+  };
+}
+
+/**
+ * Generate a MESSAGE_REACTION_ADD payload for a message
+ */
+function generateDiscordReaction(messageId, emoji, user = 'test_user#1234', roles = []) {
+  return {
+    user_id: stableId(user),
+    message_id: messageId,
+    channel_id: 'test-channel-id',
+    guild_id: 'test-guild-id',
+    member: {
+      user: { id: stableId(user), username: user.split('#')[0] },
+      roles
+    },
+    emoji: { id: null, name: emoji }
   };
 }
 
@@ -59,9 +142,9 @@ function generateTwitchMessage(content, username = 'testuser') {
   return {
     content,
     username,
-    'user-id': `${Date.now()}`,
+    'user-id': stableId(username),
     'room-id': 'test-room-id',
-    'tmi-sent-ts': `${Date.now()}`
+    'tmi-sent-ts': `${clock.now()}`
   };
 }
 
@@ -130,7 +213,11 @@ function delay(ms) {
 module.exports = {
   generateTestStream,
   generateDiscordMessage,
+  generateDiscordInteraction,
+  generateDiscordReaction,
   generateTwitchMessage,
+  stableId,
+  useClock,
   TEST_URLS,
   TEST_LOCATIONS,
   waitFor,
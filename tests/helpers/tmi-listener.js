@@ -0,0 +1,139 @@
+// Minimal IRC-style listener that speaks Twitch TMI for testing
+const net = require('net');
+const { listen } = require('./ports');
+
+/**
+ * Parse a raw TMI line into tags, prefix, command and params
+ */
+function parseTmiLine(line) {
+  let rest = line;
+  const tags = {};
+
+  if (rest.startsWith('@')) {
+    const end = rest.indexOf(' ');
+    for (const pair of rest.slice(1, end).split(';')) {
+      // Only the first '=' separates key from value; a value may contain more
+      const eq = pair.indexOf('=');
+      const key = eq === -1 ? pair : pair.slice(0, eq);
+      const value = eq === -1 ? '' : pair.slice(eq + 1);
+      tags[key] = value.replace(/\\s/g, ' ').replace(/\\:/g, ';').replace(/\\\\/g, '\\');
+    }
+    rest = rest.slice(end + 1);
+  }
+
+  let prefix = null;
+  if (rest.startsWith(':')) {
+    const end = rest.indexOf(' ');
+    prefix = rest.slice(1, end);
+    rest = rest.slice(end + 1);
+  }
+
+  let trailing = null;
+  const trailingIndex = rest.indexOf(' :');
+  if (trailingIndex !== -1) {
+    trailing = rest.slice(trailingIndex + 2);
+    rest = rest.slice(0, trailingIndex);
+  }
+
+  const [command, ...params] = rest.split(' ').filter(Boolean);
+  if (trailing !== null) params.push(trailing);
+
+  return { tags, prefix, command, params };
+}
+
+/**
+ * Format a chat message as a TMI PRIVMSG line
+ */
+function formatPrivmsg(channel, message) {
+  const { content, username, ...tags } = message;
+  const tagString = Object.entries(tags)
+    .map(([key, value]) => `${key}=${String(value).replace(/;/g, '\\:').replace(/ /g, '\\s')}`)
+    .join(';');
+  const target = channel.startsWith('#') ? channel : `#${channel}`;
+  const prefix = `${username}!${username}@${username}.tmi.twitch.tv`;
+  return `${tagString ? `@${tagString} ` : ''}:${prefix} PRIVMSG ${target} :${content}`;
+}
+
+class TmiListener {
+  constructor(port, onMessage) {
+    this.port = port;
+    this.onMessage = onMessage;
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    this.sockets = new Set();
+  }
+
+  handleConnection(socket) {
+    this.sockets.add(socket);
+    socket.setEncoding('utf8');
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = '';
+    const session = { nick: 'justinfan' };
+    // Lines are handled one at a time across chunks, so a slow onMessage
+    // can't let a later PRIVMSG overtake an earlier one
+    let queue = Promise.resolve();
+    socket.on('data', chunk => {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+
+      for (const line of lines.filter(Boolean)) {
+        queue = queue.then(() => this.handleLine(socket, session, line));
+      }
+    });
+  }
+
+  async handleLine(socket, session, line) {
+    const { tags, prefix, command, params } = parseTmiLine(line);
+
+    switch (command) {
+      case 'PING':
+        socket.write(`PONG :${params[0] || 'tmi.twitch.tv'}\r\n`);
+        break;
+      case 'CAP':
+        socket.write(`:tmi.twitch.tv CAP * ACK :${params[params.length - 1]}\r\n`);
+        break;
+      case 'NICK':
+        session.nick = params[0];
+        socket.write(`:tmi.twitch.tv 001 ${session.nick} :Welcome, GLHF!\r\n`);
+        break;
+      case 'JOIN': {
+        const { nick } = session;
+        socket.write(`:${nick}!${nick}@${nick}.tmi.twitch.tv JOIN ${params[0]}\r\n`);
+        break;
+      }
+      case 'PRIVMSG': {
+        const username = prefix ? prefix.split('!')[0] : session.nick;
+        try {
+          await this.onMessage(params[0], { ...tags, username, content: params[1] || '' });
+        } catch (error) {
+          // Keep the connection alive if a single message fails
+        }
+        break;
+      }
+      default:
+        // Ignore PASS and anything else a real TMI server would accept silently
+        break;
+    }
+  }
+
+  async start() {
+    this.port = await listen(this.server, this.port);
+  }
+
+  async stop() {
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+module.exports = {
+  TmiListener,
+  parseTmiLine,
+  formatPrivmsg
+};
@@ -4,105 +4,34 @@
  */
 
 const axios = require('axios');
-const MockLivestreamMonitor = require('../helpers/mock-livestream-monitor');
-const { generateDiscordMessage, TEST_URLS, delay } = require('../helpers/test-data');
-
-// Minimal StreamSource API mock
-class StreamSourceAPI {
-  constructor(port = 3300) {
-    this.port = port;
-    this.app = require('express')();
-    this.server = null;
-    this.streams = [];
-    
-    this.app.use(require('express').json());
-    
-    this.app.post('/api/v1/streams', (req, res) => {
-      if (!req.headers.authorization?.includes('Bearer')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-      
-      const stream = {
-        id: this.streams.length + 1,
-        ...req.body,
-        created_at: new Date().toISOString()
-      };
-      
-      this.streams.push(stream);
-      res.status(201).json(stream);
-    });
-    
-    // Streamwall consumption endpoint
-    this.app.get('/api/v1/streams', (req, res) => {
-      if (!req.headers.authorization?.includes('Bearer')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-      
-      const { status, platform } = req.query;
-      let filtered = [...this.streams];
-      
-      if (status) filtered = filtered.filter(s => s.status === status);
-      if (platform) filtered = filtered.filter(s => s.platform === platform);
-      
-      res.json({
-        streams: filtered,
-        meta: { total_count: filtered.length }
-      });
-    });
-    
-    this.app.post('/api/v1/reset', (req, res) => {
-      this.streams = [];
-      res.json({ success: true });
-    });
-  }
-  
-  async start() {
-    return new Promise((resolve) => {
-      this.server = this.app.listen(this.port, () => resolve());
-    });
-  }
-  
-  async stop() {
-    return new Promise((resolve) => {
-      if (this.server) {
-        this.server.close(() => resolve());
-      } else {
-        resolve();
-      }
-    });
-  }
-}
+const { createFixtures } = require('../helpers/fixtures');
+const { generateDiscordMessage, TEST_URLS } = require('../helpers/test-data');
 
 describe('Basic End-to-End Workflow', () => {
-  let monitor;
-  let streamSource;
-  const authToken = 'e2e-test-token';
+  const fixtures = createFixtures();
+  let monitorUrl;
+  let apiUrl;
+  // Streamwall reads with its own read-only API key
+  const authToken = 'dev_streamwall_key';
 
   beforeAll(async () => {
     // Start StreamSource API
-    streamSource = new StreamSourceAPI(3300);
-    await streamSource.start();
-    
-    // Start Monitor with StreamSource integration
-    monitor = new MockLivestreamMonitor(3103, {
-      streamSourceUrl: 'http://localhost:3300/api/v1'
-    });
-    await monitor.start();
+    apiUrl = (await fixtures.streamSource()).apiUrl;
     
-    // Configure authentication
-    await axios.post('http://localhost:3103/auth/streamsource', {
-      token: authToken
-    });
+    // Start Monitor with StreamSource integration; it logs in by itself
+    monitorUrl = (await fixtures.monitor({
+      streamSourceUrl: apiUrl,
+      streamSourceCredentials: { email: 'admin@example.com', password: 'password123' }
+    })).url;
   });
 
   afterAll(async () => {
-    await monitor?.stop();
-    await streamSource?.stop();
+    await fixtures.stopAll();
   });
 
   afterEach(async () => {
-    await axios.post('http://localhost:3103/reset').catch(() => {});
-    await axios.post('http://localhost:3300/api/v1/reset').catch(() => {});
+    await axios.post(`${monitorUrl}/reset`).catch(() => {});
+    await axios.post(`${apiUrl}/reset`).catch(() => {});
   });
 
   test('complete workflow: Discord post → StreamSource storage → Streamwall consumption', async () => {
@@ -117,7 +46,7 @@ describe('Basic End-to-End Workflow', () => {
     );
 
     console.log('Step 1: Posting stream URL to Discord webhook...');
-    const webhookResponse = await axios.post('http://localhost:3103/webhook/discord', {
+    const webhookResponse = await axios.post(`${monitorUrl}/webhook/discord`, {
       type: 'MESSAGE_CREATE',
       data: discordMessage
     });
@@ -127,10 +56,8 @@ describe('Basic End-to-End Workflow', () => {
     console.log('✓ Discord webhook processed successfully');
 
     // Step 2: Verify monitor processed and synced to StreamSource
-    await delay(1000); // Allow async processing
-    
     console.log('Step 2: Verifying data synced to StreamSource...');
-    const streamsResponse = await axios.get('http://localhost:3300/api/v1/streams', {
+    const streamsResponse = await axios.get(`${apiUrl}/streams`, {
       headers: { Authorization: `Bearer ${authToken}` }
     });
 
@@ -147,7 +74,7 @@ describe('Basic End-to-End Workflow', () => {
 
     // Step 3: Simulate Streamwall fetching streams for display
     console.log('Step 3: Simulating Streamwall fetching streams...');
-    const streamwallRequest = await axios.get('http://localhost:3300/api/v1/streams?status=offline', {
+    const streamwallRequest = await axios.get(`${apiUrl}/streams?status=pending`, {
       headers: { Authorization: `Bearer ${authToken}` }
     });
 
@@ -175,23 +102,20 @@ describe('Basic End-to-End Workflow', () => {
     console.log('Posting multiple streams...');
     for (const { url, location } of testStreams) {
       const message = generateDiscordMessage(`Live from ${location}: ${url}`);
-      await axios.post('http://localhost:3103/webhook/discord', {
+      await axios.post(`${monitorUrl}/webhook/discord`, {
         type: 'MESSAGE_CREATE',
         data: message
       });
-      await delay(500); // Space out requests
     }
 
-    await delay(1500);
-
     // Verify streams stored
-    const allStreams = await axios.get('http://localhost:3300/api/v1/streams', {
+    const allStreams = await axios.get(`${apiUrl}/streams`, {
       headers: { Authorization: `Bearer ${authToken}` }
     });
     expect(allStreams.data.streams.length).toBeGreaterThanOrEqual(2);
 
     // Test platform filtering (Streamwall use case)
-    const twitchStreams = await axios.get('http://localhost:3300/api/v1/streams?platform=twitch', {
+    const twitchStreams = await axios.get(`${apiUrl}/streams?platform=twitch`, {
       headers: { Authorization: `Bearer ${authToken}` }
     });
     expect(twitchStreams.data.streams.length).toBeGreaterThanOrEqual(1);
@@ -207,13 +131,13 @@ describe('Basic End-to-End Workflow', () => {
       data: null
     };
 
-    const response = await axios.post('http://localhost:3103/webhook/discord', invalidMessage)
+    const response = await axios.post(`${monitorUrl}/webhook/discord`, invalidMessage)
       .catch(e => e.response);
 
     expect(response.status).toBe(400);
 
     // Verify no streams were created
-    const streams = await axios.get('http://localhost:3300/api/v1/streams', {
+    const streams = await axios.get(`${apiUrl}/streams`, {
       headers: { Authorization: `Bearer ${authToken}` }
     });
     expect(streams.data.streams).toHaveLength(0);
@@ -0,0 +1,154 @@
+/**
+ * Status Checker Test
+ * Tests the livesheet updater probing platforms and PATCHing StreamSource
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { StatusChecker } = require('../helpers/status-checker');
+
+describe('Status Checker → StreamSource', () => {
+  const fixtures = createFixtures();
+  let platforms;
+  let apiUrl;
+  const reader = { headers: { Authorization: 'Bearer dev_updater_key' } };
+
+  const createStream = async (link, attrs = {}) => {
+    const { data } = await axios.post(`${apiUrl}/streams`, { link, source: 'tester', ...attrs }, {
+      headers: { Authorization: 'Bearer dev_monitor_key' }
+    });
+    return data;
+  };
+  const getStream = async id => (await axios.get(`${apiUrl}/streams/${id}`, reader)).data;
+  const newChecker = (options = {}) => new StatusChecker({
+    streamSourceUrl: apiUrl,
+    apiKey: 'dev_updater_key',
+    platformApiUrl: platforms.url,
+    ...options
+  });
+
+  beforeAll(async () => {
+    apiUrl = (await fixtures.streamSource()).apiUrl;
+    platforms = await fixtures.platforms();
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    platforms.reset();
+    platforms.delayMs = 0;
+    await axios.post(`${apiUrl}/reset`).catch(() => {});
+  });
+
+  test('should PATCH status, viewer count, title and last checked', async () => {
+    const twitch = await createStream('https://twitch.tv/livechannel');
+    const youtube = await createStream('https://youtube.com/watch?v=liveVideo1');
+    const kick = await createStream('https://kick.com/sleepy', { status: 'live' });
+
+    platforms.setLive('twitch', 'livechannel', { viewerCount: 1200, title: 'City council protest' });
+    platforms.setLive('youtube', 'liveVideo1', { viewerCount: 87, title: 'March downtown' });
+    platforms.setOffline('kick', 'sleepy');
+
+    const summary = await newChecker().runOnce();
+    expect(summary).toMatchObject({ checked: 3, live: 2, offline: 1, failed: 0, updated: 3 });
+
+    expect(await getStream(twitch.id)).toMatchObject({
+      status: 'live',
+      viewer_count: 1200,
+      title: 'City council protest',
+      last_checked: expect.any(String)
+    });
+    expect(await getStream(youtube.id)).toMatchObject({ status: 'live', viewer_count: 87 });
+    expect(await getStream(kick.id)).toMatchObject({ status: 'offline', viewer_count: 0 });
+  });
+
+  test('should page through every stream with bounded concurrency', async () => {
+    for (let i = 0; i < 7; i++) {
+      await createStream(`https://twitch.tv/batch${i}`);
+      platforms.setLive('twitch', `batch${i}`, { viewerCount: i });
+    }
+    platforms.delayMs = 30;
+
+    const summary = await newChecker({ batchSize: 3, concurrency: 2 }).runOnce();
+
+    expect(summary.live).toBe(7);
+    expect(platforms.peakInFlight).toBeLessThanOrEqual(2);
+    const { data } = await axios.get(`${apiUrl}/streams?status=live`, reader);
+    expect(data.meta.total_count).toBe(7);
+  });
+
+  test('should only mark a stream offline after consecutive failures', async () => {
+    const stream = await createStream('https://kick.com/flaky', { status: 'live' });
+    platforms.setLive('kick', 'flaky', { viewerCount: 10 });
+    platforms.setFailure('kick', 'flaky', 503);
+    const checker = newChecker({ failureThreshold: 2 });
+
+    const first = await checker.runOnce();
+    expect(first).toMatchObject({ failed: 1, updated: 0 });
+    expect(first.errors[0]).toEqual({ id: stream.id, error: 'HTTP 503' });
+    expect((await getStream(stream.id)).status).toBe('live');
+
+    // A success in between resets the count
+    platforms.setFailure('kick', 'flaky', null);
+    await checker.runOnce();
+    platforms.setFailure('kick', 'flaky', 503);
+    await checker.runOnce();
+    expect((await getStream(stream.id)).status).toBe('live');
+
+    await checker.runOnce();
+    expect(await getStream(stream.id)).toMatchObject({ status: 'offline', viewer_count: 0 });
+  });
+
+  test('should skip links no probe can check', async () => {
+    await createStream('https://www.tiktok.com/@someone/live');
+    await createStream('https://youtube.com/@handle/live');
+
+    const summary = await newChecker().runOnce();
+    expect(summary).toMatchObject({ checked: 0, skipped: 2 });
+    expect(platforms.requestCount).toBe(0);
+  });
+
+  test('should leave rejected and archived streams alone', async () => {
+    const rejected = await createStream('https://twitch.tv/refused');
+    await axios.patch(`${apiUrl}/streams/${rejected.id}`, { status: 'rejected' }, reader);
+    await createStream('https://twitch.tv/closed', { status: 'archived' });
+    platforms.setLive('twitch', 'refused', { viewerCount: 5 });
+    platforms.setLive('twitch', 'closed', { viewerCount: 5 });
+
+    const summary = await newChecker().runOnce();
+    expect(summary).toMatchObject({ checked: 0, failed: 0, errors: [] });
+    expect(platforms.requestCount).toBe(0);
+    expect((await getStream(rejected.id)).status).toBe('rejected');
+  });
+
+  test('should use per-platform probe overrides', async () => {
+    const stream = await createStream('https://www.tiktok.com/@custom/live');
+    const seen = [];
+    const checker = newChecker({
+      probes: {
+        tiktok: {
+          name: 'tiktok',
+          async check(identity) {
+            seen.push(identity.channel);
+            return { live: true, viewerCount: 5 };
+          }
+        }
+      }
+    });
+
+    await checker.runOnce();
+    expect(seen).toEqual(['custom']);
+    expect(await getStream(stream.id)).toMatchObject({ status: 'live', viewer_count: 5 });
+  });
+
+  test('should report PATCH failures without aborting the pass', async () => {
+    await createStream('https://twitch.tv/readonly');
+    platforms.setLive('twitch', 'readonly', { viewerCount: 1 });
+
+    const summary = await newChecker({ apiKey: 'dev_streamwall_key' }).runOnce();
+    expect(summary).toMatchObject({ live: 1, updated: 0 });
+    expect(summary.errors[0].error).toBe('HTTP 403');
+  });
+});
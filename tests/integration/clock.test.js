@@ -0,0 +1,142 @@
+/**
+ * Clock and ID Injection Test
+ * Tests the fake clock and the monitor reading time and stream ids from injected sources
+ */
+
+const { FakeClock, FAKE_EPOCH, systemClock, randomIds, sequentialIds } = require('../helpers/clock');
+const { createFixtures } = require('../helpers/fixtures');
+const { generateDiscordMessage, generateTwitchMessage, useClock } = require('../helpers/test-data');
+
+const MINUTE = 60 * 1000;
+
+describe('Clock and ID Injection', () => {
+  describe('FakeClock', () => {
+    test('should only move when advanced, firing due timers in order', async () => {
+      const clock = new FakeClock('2024-05-01T12:00:00Z');
+      const fired = [];
+      clock.setTimeout(() => fired.push(['late', clock.now()]), 300);
+      clock.setTimeout(() => fired.push(['early', clock.now()]), 100);
+      const cancelled = clock.setTimeout(() => fired.push(['cancelled']), 200);
+      clock.clearTimeout(cancelled);
+
+      expect(clock.toISOString()).toBe('2024-05-01T12:00:00.000Z');
+      await clock.advance(250);
+      expect(fired).toEqual([['early', Date.parse('2024-05-01T12:00:00.100Z')]]);
+      expect(clock.now()).toBe(Date.parse('2024-05-01T12:00:00.250Z'));
+
+      await clock.advance(50);
+      expect(fired.map(([name]) => name)).toEqual(['early', 'late']);
+      expect(clock.pendingTimers).toBe(0);
+    });
+
+    test('should repeat intervals and wait for async callbacks', async () => {
+      const clock = new FakeClock();
+      const ticks = [];
+      const interval = clock.setInterval(async () => {
+        await Promise.resolve();
+        ticks.push(clock.now() - FAKE_EPOCH);
+      }, 1000);
+
+      await clock.advance(3500);
+      expect(ticks).toEqual([1000, 2000, 3000]);
+
+      clock.clearInterval(interval);
+      await clock.advance(5000);
+      expect(ticks).toHaveLength(3);
+      await expect(clock.advance(-1)).rejects.toThrow('A clock only moves forward');
+    });
+
+    test('should generate sequential or clock-stamped ids', () => {
+      const next = sequentialIds('stream-');
+      expect([next(), next(), next()]).toEqual(['stream-1', 'stream-2', 'stream-3']);
+      expect(randomIds(new FakeClock())()).toMatch(new RegExp(`^${FAKE_EPOCH}[0-9a-z]+$`));
+      expect(systemClock.now()).toBeCloseTo(Date.now(), -2);
+    });
+  });
+
+  describe('test data', () => {
+    afterEach(() => useClock());
+
+    test('should stamp generated messages from the chosen clock', () => {
+      useClock(new FakeClock(FAKE_EPOCH));
+
+      const message = generateDiscordMessage('https://twitch.tv/clocked');
+      expect(message.createdTimestamp).toBe(FAKE_EPOCH);
+      expect(message.id.startsWith(String(FAKE_EPOCH))).toBe(true);
+      expect(generateTwitchMessage('hi')['tmi-sent-ts']).toBe(String(FAKE_EPOCH));
+
+      useClock();
+      expect(generateDiscordMessage('x').createdTimestamp).toBeGreaterThan(FAKE_EPOCH);
+    });
+  });
+
+  describe('Monitor', () => {
+    const fixtures = createFixtures();
+    let clock;
+    let client;
+    const post = async (content, author) => (await client.post('/webhook/discord', {
+      type: 'MESSAGE_CREATE',
+      data: generateDiscordMessage(content, author)
+    })).data;
+
+    beforeEach(async () => {
+      clock = new FakeClock('2024-05-01T12:00:00Z');
+      const monitor = await fixtures.monitor({
+        dualWriteMode: false,
+        clock,
+        idGenerator: sequentialIds('stream-'),
+        lifecycle: { staleAfterMs: 10 * MINUTE, archiveAfterMs: 30 * MINUTE, sweepIntervalMs: MINUTE }
+      });
+      client = fixtures.client(monitor);
+    });
+
+    afterEach(async () => {
+      await fixtures.stopAll();
+    });
+
+    test('should take stream ids and timestamps from the injected sources', async () => {
+      await post('Live in Denver, CO https://twitch.tv/first');
+      await clock.advance(5 * MINUTE);
+      await post('https://kick.com/second');
+      await post('Still going https://twitch.tv/first');
+
+      const { data: streams } = await client.get('/streams');
+      expect(streams.map(s => s.id)).toEqual(['stream-1', 'stream-2']);
+      expect(streams[0]).toMatchObject({
+        added_date: '2024-05-01T12:00:00.000Z',
+        status_changed_at: '2024-05-01T12:00:00.000Z',
+        last_seen_at: '2024-05-01T12:05:00.000Z',
+        sighting_count: 2
+      });
+      expect(streams[1].added_date).toBe('2024-05-01T12:05:00.000Z');
+      expect((await client.get('/health')).data.uptimeSeconds).toBe(300);
+    });
+
+    test('should refill rate limits as the clock moves', async () => {
+      await client.post('/config/rate-limit', { author: { capacity: 1, refillPerMinute: 1 } });
+
+      expect((await post('https://kick.com/one', 'flooder#0001')).results[0].success).toBe(true);
+      expect((await post('https://kick.com/two', 'flooder#0001')).results[0].reason).toBe('rate_limited');
+
+      await clock.advance(MINUTE);
+      expect((await post('https://kick.com/two', 'flooder#0001')).results[0].success).toBe(true);
+    });
+
+    test('should age offline streams on the sweep timer', async () => {
+      await post('https://twitch.tv/fading');
+      await client.patch('/streams/stream-1', { status: 'offline' });
+
+      await clock.advance(10 * MINUTE);
+      expect((await client.get('/streams')).data[0].status).toBe('stale');
+
+      await clock.advance(20 * MINUTE);
+      const { history } = (await client.get('/streams/stream-1/history')).data;
+      expect(history.map(entry => [entry.to, entry.at])).toEqual([
+        ['pending', '2024-05-01T12:00:00.000Z'],
+        ['offline', '2024-05-01T12:00:00.000Z'],
+        ['stale', '2024-05-01T12:10:00.000Z'],
+        ['archived', '2024-05-01T12:30:00.000Z']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Discord Control Surface Test
+ * Tests /stream slash commands and reactions curating the wall through the monitor
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const {
+  generateDiscordMessage,
+  generateDiscordInteraction,
+  generateDiscordReaction,
+  stableId,
+  TEST_URLS
+} = require('../helpers/test-data');
+const { RESPONSE_TYPES, EPHEMERAL } = require('../helpers/discord-interactions');
+
+// The default test user and mod#0001 act as moderators unless a test says otherwise
+const MODERATORS = [stableId('test_user#1234'), stableId('mod#0001')];
+
+describe('Discord Commands and Reactions', () => {
+  const fixtures = createFixtures();
+  let monitor;
+  let streamSource;
+  let apiUrl;
+  let client;
+
+  const command = async (subcommand, options, user, roles) => (await client.post('/webhook/discord', {
+    type: 'INTERACTION_CREATE',
+    data: generateDiscordInteraction(subcommand, options, user, roles)
+  })).data;
+  const react = async (messageId, emoji, user, roles) => (await client.post('/webhook/discord', {
+    type: 'MESSAGE_REACTION_ADD',
+    data: generateDiscordReaction(messageId, emoji, user, roles)
+  })).data;
+  const postMessage = async (content, author) => {
+    const message = generateDiscordMessage(content, author);
+    await client.post('/webhook/discord', { type: 'MESSAGE_CREATE', data: message });
+    return message;
+  };
+  const getSourceStream = async id => (await axios.get(`${apiUrl}/streams/${id}`, {
+    headers: { Authorization: 'Bearer dev_streamwall_key' }
+  })).data;
+  const monitorStream = async url => (await client.get('/streams')).data.find(s => s.url === url);
+
+  beforeAll(async () => {
+    streamSource = await fixtures.streamSource();
+    apiUrl = streamSource.apiUrl;
+
+    // Pinning and archiving go through the monitor key's streams:update_own
+    monitor = await fixtures.monitor({
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: 'dev_monitor_key',
+      discord: { moderators: MODERATORS }
+    });
+    client = fixtures.client(monitor);
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    monitor.discordModerators = new Set(MODERATORS);
+    await client.post('/config/moderation', { enabled: false, trustedPosters: [] });
+    await client.post('/reset');
+    await axios.post(`${apiUrl}/reset`).catch(() => {});
+  });
+
+  test('should add a stream with /stream add and answer in Discord format', async () => {
+    const response = await command('add', { url: TEST_URLS.twitch[0], location: 'Seattle, WA' });
+
+    expect(response.type).toBe(RESPONSE_TYPES.CHANNEL_MESSAGE_WITH_SOURCE);
+    expect(response.data.flags).toBeUndefined();
+    expect(response.data.content).toMatch(/^Added https:\/\/www\.twitch\.tv\/teststreamer \(pending, Seattle, WA, StreamSource #\d+\)$/);
+
+    const stream = await monitorStream(TEST_URLS.twitch[0]);
+    expect(stream).toMatchObject({ city: 'Seattle', state: 'WA', posted_by: 'test_user', streamsource_id: expect.any(Number) });
+    expect(await getSourceStream(stream.streamsource_id)).toMatchObject({ link: TEST_URLS.twitch[0], city: 'Seattle' });
+  });
+
+  test('should reply privately when a stream cannot be added', async () => {
+    await command('add', { url: TEST_URLS.kick[0] });
+
+    const duplicate = await command('add', { url: TEST_URLS.kick[0] });
+    expect(duplicate.data).toMatchObject({ content: 'Not added: duplicate', flags: EPHEMERAL });
+
+    const noUrl = await command('add', { url: 'not a link' });
+    expect(noUrl.data).toMatchObject({ content: 'No stream URL in not a link', flags: EPHEMERAL });
+  });
+
+  test('should report status by URL or id only to the caller', async () => {
+    await command('add', { url: TEST_URLS.youtube[0], location: 'Portland, OR' });
+    const stream = await monitorStream(TEST_URLS.youtube[0]);
+
+    // A short link resolves to the same canonical stream
+    const byUrl = await command('status', { stream: 'https://youtu.be/dQw4w9WgXcQ' });
+    expect(byUrl.data.flags).toBe(EPHEMERAL);
+    expect(byUrl.data.content).toContain('(pending, Portland, OR');
+
+    const byId = await command('status', { stream: stream.id });
+    expect(byId.data.content).toBe(byUrl.data.content);
+
+    const missing = await command('status', { stream: 'https://twitch.tv/nobody' });
+    expect(missing.data).toMatchObject({ content: 'No stream matches https://twitch.tv/nobody', flags: EPHEMERAL });
+  });
+
+  test('should pin and remove with commands, mirroring StreamSource', async () => {
+    await command('add', { url: TEST_URLS.twitch[1] });
+    const { streamsource_id: sourceId } = await monitorStream(TEST_URLS.twitch[1]);
+
+    const pin = await command('pin', { stream: TEST_URLS.twitch[1] });
+    expect(pin.data.content).toBe(`Pinned ${TEST_URLS.twitch[1]}`);
+    expect((await getSourceStream(sourceId)).is_pinned).toBe(true);
+
+    // Still pending, so removing rejects it and the URL can't come back
+    const remove = await command('remove', { stream: TEST_URLS.twitch[1] });
+    expect(remove.data.content).toBe(`Removed ${TEST_URLS.twitch[1]} (rejected)`);
+    expect((await getSourceStream(sourceId)).status).toBe('rejected');
+
+    const again = await command('remove', { stream: TEST_URLS.twitch[1] });
+    expect(again.data).toMatchObject({ content: `Could not remove ${TEST_URLS.twitch[1]}: already rejected`, flags: EPHEMERAL });
+
+    await postMessage(`Back up: ${TEST_URLS.twitch[1]}`);
+    expect((await monitorStream(TEST_URLS.twitch[1])).status).toBe('rejected');
+  });
+
+  test('should act on every stream a message posted when reacted to', async () => {
+    const message = await postMessage(`Two feeds: ${TEST_URLS.twitch[0]} and ${TEST_URLS.kick[0]}`);
+    const twitch = await monitorStream(TEST_URLS.twitch[0]);
+    expect(twitch.message_id).toBe(message.id);
+
+    const pinned = await react(message.id, '📌');
+    expect(pinned.action).toBe('pin');
+    expect(pinned.results).toHaveLength(2);
+    expect(pinned.results.every(r => r.success && r.pinned && r.syncedToApi)).toBe(true);
+
+    // Once live, ❌ archives instead of rejecting
+    await client.patch(`/streams/${twitch.id}`, { status: 'live' });
+    const removed = await react(message.id, '❌');
+    expect(removed.results.map(r => r.status).sort()).toEqual(['archived', 'rejected']);
+
+    const source = await getSourceStream(twitch.streamsource_id);
+    expect(source).toMatchObject({ status: 'archived', is_archived: true });
+  });
+
+  test('should ignore unmapped reactions and reactions on unknown messages', async () => {
+    const message = await postMessage(`Watch ${TEST_URLS.kick[1]}`);
+
+    expect(await react(message.id, '👍')).toEqual({ success: true, action: null, results: [] });
+    expect(await react('999', '❌')).toEqual({ success: true, action: 'remove', results: [] });
+    expect((await monitorStream(TEST_URLS.kick[1])).status).toBe('pending');
+  });
+
+  test('should reject a queued stream with a reaction', async () => {
+    await client.post('/config/moderation', { enabled: true, trustedPosters: [] });
+    const message = await postMessage(`Watch ${TEST_URLS.twitch[2]}`, 'stranger#0001');
+
+    await react(message.id, '❌', 'mod#0001');
+
+    const queue = await client.get('/moderation/queue');
+    expect(queue.data.depth).toBe(0);
+    expect((await client.get('/streams')).data[0].moderation).toMatchObject({ status: 'rejected', moderator: 'mod' });
+  });
+
+  test('should let nobody remove or pin when no moderators are configured', async () => {
+    monitor.discordModerators.clear();
+    const message = await postMessage(`Watch ${TEST_URLS.kick[0]}`);
+
+    expect(await react(message.id, '❌', 'mod#0001')).toMatchObject({ success: false, reason: 'not_moderator' });
+    expect((await command('pin', { stream: TEST_URLS.kick[0] })).data.content).toBe('Only moderators can do that');
+    expect((await monitorStream(TEST_URLS.kick[0])).status).toBe('pending');
+  });
+
+  test('should limit removing and pinning to configured moderators', async () => {
+    monitor.discordModerators = new Set([stableId('mod#0001'), 'mod-role-id']);
+    const message = await postMessage(`Watch ${TEST_URLS.twitch[0]}`);
+
+    expect(await react(message.id, '❌', 'stranger#0001')).toMatchObject({ success: false, reason: 'not_moderator' });
+    const denied = await command('pin', { stream: TEST_URLS.twitch[0] }, 'stranger#0001');
+    expect(denied.data).toMatchObject({ content: 'Only moderators can do that', flags: EPHEMERAL });
+
+    // Anyone may still ask for status
+    expect((await command('status', { stream: TEST_URLS.twitch[0] }, 'stranger#0001')).data.content).toContain('pending');
+
+    expect((await react(message.id, '📌', 'helper#0001', ['mod-role-id'])).success).toBe(true);
+    expect((await react(message.id, '❌', 'mod#0001')).results[0].status).toBe('rejected');
+  });
+});
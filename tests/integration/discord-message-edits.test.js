@@ -0,0 +1,158 @@
+/**
+ * Discord Message Edit/Delete Test
+ * Tests MESSAGE_UPDATE and MESSAGE_DELETE keeping the wall in step with the posting message
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { generateDiscordMessage } = require('../helpers/test-data');
+
+describe('Discord Message Edits and Deletes', () => {
+  const fixtures = createFixtures();
+  let monitor;
+  let streamSource;
+  let apiUrl;
+  let client;
+  const reader = { headers: { Authorization: 'Bearer dev_streamwall_key' } };
+
+  const news = { id: 'news-channel-id', name: 'news' };
+  const send = async (type, data) => (await client.post('/webhook/discord', { type, data })).data;
+  const post = async (content, channel) => {
+    const message = { ...generateDiscordMessage(content), ...(channel && { channel }) };
+    await send('MESSAGE_CREATE', message);
+    return message;
+  };
+  const edit = (message, content) => send('MESSAGE_UPDATE', { ...message, content, edited_timestamp: new Date().toISOString() });
+  const remove = message => send('MESSAGE_DELETE', { id: message.id, channel_id: message.channel.id, guild_id: message.guild.id });
+  const monitorStream = async url => (await client.get('/streams')).data.find(s => s.url === url);
+  const sourceStream = async stream => (await axios.get(`${apiUrl}/streams/${stream.streamsource_id}`, reader)).data;
+
+  beforeAll(async () => {
+    streamSource = await fixtures.streamSource();
+    apiUrl = streamSource.apiUrl;
+
+    monitor = await fixtures.monitor({
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: 'dev_monitor_key',
+      discord: { messagePolicy: { channels: { [news.id]: { onDelete: 'retract' } } } }
+    });
+    client = fixtures.client(monitor);
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    await client.post('/config/message-policy', {
+      default: { onEdit: 'update', onDelete: 'flag' },
+      channels: { 'quiet-channel-id': null }
+    });
+    await client.post('/reset');
+    await axios.post(`${apiUrl}/reset`).catch(() => {});
+  });
+
+  test('should move a stream when the poster corrects the location', async () => {
+    const message = await post('Live in Portland, ME https://twitch.tv/marchcam');
+    expect(await monitorStream('https://twitch.tv/marchcam')).toMatchObject({ state: 'ME' });
+
+    const response = await edit(message, 'Live in Portland, OR https://twitch.tv/marchcam');
+    expect(response.updated).toEqual([
+      expect.objectContaining({ city: 'Portland', state: 'OR', country: 'US', syncedToApi: true })
+    ]);
+
+    const stream = await monitorStream('https://twitch.tv/marchcam');
+    expect(stream).toMatchObject({ city: 'Portland', state: 'OR', location_confidence: 0.95 });
+    expect(await sourceStream(stream)).toMatchObject({ city: 'Portland', state: 'OR', lat: stream.lat, lng: stream.lng });
+  });
+
+  test('should add URLs gained in an edit and flag ones edited out', async () => {
+    const message = await post('Watch https://twitch.tv/teststreamr');
+
+    const response = await edit(message, 'Watch https://twitch.tv/teststreamer and https://kick.com/backup');
+    expect(response.results.map(r => r.url)).toEqual(['https://twitch.tv/teststreamer', 'https://kick.com/backup']);
+    expect(response.results.every(r => r.success)).toBe(true);
+    expect(response.removed).toEqual([expect.objectContaining({ action: 'flag', flagged: true, syncedToApi: true })]);
+
+    const typo = await monitorStream('https://twitch.tv/teststreamr');
+    expect(typo).toMatchObject({ flagged: true, flag_reason: 'message_edited', status: 'pending' });
+    expect(await sourceStream(typo)).toMatchObject({ is_flagged: true, flag_reason: 'message_edited' });
+
+    // New streams belong to the same message
+    expect((await monitorStream('https://kick.com/backup')).message_id).toBe(message.id);
+  });
+
+  test('should not re-add URLs a message already posted', async () => {
+    const message = await post('Watch https://twitch.tv/steady');
+    const response = await edit(message, 'Watch https://twitch.tv/steady (still up!)');
+
+    expect(response).toMatchObject({ updated: [], removed: [], results: [] });
+    expect((await client.get('/streams')).data).toHaveLength(1);
+  });
+
+  test('should not count URLs an edit kept as sightings of themselves', async () => {
+    const message = await post('Watch https://twitch.tv/steady');
+    const stream = await monitorStream('https://twitch.tv/steady');
+
+    const response = await edit(message, 'Watch https://twitch.tv/steady and https://kick.com/added');
+    expect(response.results).toEqual([expect.objectContaining({ url: 'https://kick.com/added', success: true })]);
+
+    expect(await monitorStream('https://twitch.tv/steady')).toMatchObject({ sighting_count: 1 });
+    expect(await sourceStream(stream)).toMatchObject({ sighting_count: 1 });
+    const metrics = (await client.get('/metrics')).data;
+    expect(metrics).not.toMatch(/^monitor_duplicates_total\{/m);
+  });
+
+  test('should flag streams from a deleted message by default', async () => {
+    const message = await post('Two cams https://twitch.tv/cam1 https://kick.com/cam2');
+
+    const response = await remove(message);
+    expect(response.policy).toBe('flag');
+    expect(response.results).toHaveLength(2);
+
+    const { data } = await axios.get(`${apiUrl}/streams?is_flagged=true`, reader);
+    expect(data.streams.map(s => s.flag_reason)).toEqual(['message_deleted', 'message_deleted']);
+  });
+
+  test('should retract streams per channel and let the URL be posted again', async () => {
+    const message = await post('https://twitch.tv/wronglink', news);
+    const stream = await monitorStream('https://twitch.tv/wronglink');
+
+    const response = await remove(message);
+    expect(response.results[0]).toMatchObject({ action: 'retract', status: 'archived', syncedToApi: true });
+    expect(await sourceStream(stream)).toMatchObject({ status: 'archived', is_archived: true });
+
+    // The archived stream and its history outlive the save that follows the retraction
+    const { data: history } = await client.get(`/streams/${stream.id}/history`);
+    expect(history).toMatchObject({ stream_id: stream.id, status: 'archived' });
+    expect(history.history.at(-1)).toMatchObject({ to: 'archived', reason: 'message_deleted' });
+
+    const repost = await send('MESSAGE_CREATE', generateDiscordMessage('https://twitch.tv/wronglink'));
+    expect(repost.results[0].success).toBe(true);
+  });
+
+  test('should leave streams alone when the channel ignores edits and deletes', async () => {
+    const quiet = { id: 'quiet-channel-id', name: 'quiet' };
+    await client.post('/config/message-policy', { channels: { [quiet.id]: { onEdit: 'ignore', onDelete: 'ignore' } } });
+    const message = await post('Live in Austin, TX https://twitch.tv/quietcam', quiet);
+
+    expect(await edit(message, 'Live in Dallas, TX https://twitch.tv/quietcam')).toMatchObject({ policy: 'ignore', updated: [] });
+    expect(await remove(message)).toMatchObject({ policy: 'ignore' });
+    expect(await monitorStream('https://twitch.tv/quietcam')).toMatchObject({ city: 'Austin', flagged: false, status: 'pending' });
+  });
+
+  test('should reject invalid message policies', async () => {
+    const badAction = await client.post('/config/message-policy', { default: { onDelete: 'explode' } });
+    expect(badAction.status).toBe(400);
+    expect(badAction.data.error).toBe('onDelete must be one of retract, flag, ignore');
+
+    const badField = await client.post('/config/message-policy', { channels: { x: { onPin: 'retract' } } });
+    expect(badField.status).toBe(400);
+
+    const { data } = await client.get('/config/message-policy');
+    expect(data).toEqual({
+      default: { onEdit: 'update', onDelete: 'flag' },
+      channels: { [news.id]: { onDelete: 'retract' } }
+    });
+  });
+});
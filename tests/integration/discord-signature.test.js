@@ -0,0 +1,105 @@
+/**
+ * Discord Signature Verification Test
+ * Tests Ed25519-signed webhooks, PING and replay protection on the monitor
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const {
+  createDiscordSigner,
+  verifyDiscordRequest,
+  publicKeyFromHex,
+  SignatureError
+} = require('../helpers/discord-signature');
+const { generateDiscordMessage, generateDiscordInteraction, TEST_URLS } = require('../helpers/test-data');
+const { RESPONSE_TYPES } = require('../helpers/discord-interactions');
+
+describe('Discord Signature Verification', () => {
+  const fixtures = createFixtures();
+  let monitor;
+  const signer = createDiscordSigner();
+  let client;
+
+  const sendSigned = (payload, options, from = signer) => {
+    const { body, headers } = from.sign(payload, options);
+    return client.post('/webhook/discord', body, { headers });
+  };
+
+  beforeAll(async () => {
+    monitor = await fixtures.monitor({
+      dualWriteMode: false,
+      discord: { publicKey: signer.publicKey }
+    });
+    client = fixtures.client(monitor);
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    await client.post('/reset');
+  });
+
+  test('should answer a signed PING with PONG', async () => {
+    const response = await sendSigned({ id: '1', type: 1, application_id: 'test-application-id' });
+
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual({ type: RESPONSE_TYPES.PONG });
+  });
+
+  test('should process signed messages and interactions', async () => {
+    const message = await sendSigned({ type: 'MESSAGE_CREATE', data: generateDiscordMessage(`Live ${TEST_URLS.twitch[0]}`) });
+    expect(message.status).toBe(200);
+    expect(message.data.results[0]).toMatchObject({ url: TEST_URLS.twitch[0], success: true });
+
+    // The interactions endpoint receives the interaction itself
+    const command = await sendSigned(generateDiscordInteraction('status', { stream: TEST_URLS.twitch[0] }));
+    expect(command.data.type).toBe(RESPONSE_TYPES.CHANNEL_MESSAGE_WITH_SOURCE);
+    expect(command.data.data.content).toContain('pending');
+  });
+
+  test('should reject unsigned and tampered requests', async () => {
+    const payload = { type: 'MESSAGE_CREATE', data: generateDiscordMessage(`Live ${TEST_URLS.kick[0]}`) };
+
+    const unsigned = await client.post('/webhook/discord', payload);
+    expect(unsigned.status).toBe(401);
+    expect(unsigned.data.code).toBe('missing_headers');
+
+    const { body, headers } = signer.sign(payload);
+    const tampered = await client.post('/webhook/discord', body.replace('kick.com', 'twitch.tv'), { headers });
+    expect(tampered.status).toBe(401);
+    expect(tampered.data.code).toBe('invalid_signature');
+
+    const impostor = await sendSigned(payload, {}, createDiscordSigner());
+    expect(impostor.data.code).toBe('invalid_signature');
+
+    expect((await client.get('/streams')).data).toHaveLength(0);
+  });
+
+  test('should reject stale and future timestamps', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const ping = { id: '1', type: 1 };
+
+    const stale = await sendSigned(ping, { timestamp: now - 10 * 60 });
+    expect(stale.status).toBe(401);
+    expect(stale.data).toEqual({ error: 'Stale request timestamp', code: 'stale_timestamp' });
+
+    expect((await sendSigned(ping, { timestamp: now + 10 * 60 })).data.code).toBe('stale_timestamp');
+    expect((await sendSigned(ping, { timestamp: now - 60 })).status).toBe(200);
+  });
+
+  test('should verify against the hex public key directly', () => {
+    const { body, headers } = signer.sign({ type: 1 }, { timestamp: 1700000000 });
+    const request = {
+      signature: headers['X-Signature-Ed25519'],
+      timestamp: headers['X-Signature-Timestamp'],
+      body
+    };
+
+    expect(() => verifyDiscordRequest(signer.publicKey, request, { now: 1700000000 * 1000 })).not.toThrow();
+    expect(() => verifyDiscordRequest(signer.publicKey, request, { now: 1700000000 * 1000 + 301 * 1000 }))
+      .toThrow(SignatureError);
+    expect(() => publicKeyFromHex('abcd')).toThrow('Public key must be 32 bytes of hex');
+  });
+});
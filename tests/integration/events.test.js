@@ -0,0 +1,130 @@
+/**
+ * Monitor Events Test
+ * Tests the monitor's pipeline events in process and over the /events SSE stream
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { FakeClock } = require('../helpers/clock');
+const { freePort, localUrl } = require('../helpers/ports');
+const { subscribeEvents, waitForEvent, matches } = require('../helpers/events');
+const { generateDiscordMessage, TEST_URLS } = require('../helpers/test-data');
+
+describe('Monitor Events', () => {
+  const fixtures = createFixtures();
+  let streamSource;
+  let monitor;
+  const post = (target, content) => axios.post(`${target.url}/webhook/discord`, {
+    type: 'MESSAGE_CREATE',
+    data: generateDiscordMessage(content)
+  });
+
+  beforeAll(async () => {
+    streamSource = await fixtures.streamSource();
+    monitor = await fixtures.monitor({
+      streamSourceUrl: streamSource.apiUrl,
+      streamSourceApiKey: 'dev_monitor_key'
+    });
+  });
+
+  beforeEach(async () => {
+    streamSource.reset();
+    await axios.post(`${monitor.url}/reset`);
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  test('should publish each pipeline step in order', async () => {
+    const since = monitor.events.lastId;
+    await post(monitor, `Two streams ${TEST_URLS.twitch[0]} and ${TEST_URLS.kick[0]}`);
+
+    const events = monitor.events.since(since);
+    expect(events.map(event => event.type)).toEqual([
+      'url.extracted', 'stream.stored', 'sync.succeeded',
+      'url.extracted', 'stream.stored', 'sync.succeeded'
+    ]);
+    expect(events.map(event => event.id)).toEqual(events.map((event, i) => since + i + 1));
+    expect(events[0].data).toMatchObject({ url: TEST_URLS.twitch[0], platform: 'twitch', source: 'Discord' });
+    expect(events[1].data.stream).toMatchObject({ url: TEST_URLS.twitch[0], status: 'pending' });
+    expect(events[2].data).toEqual({
+      operation: 'create',
+      link: TEST_URLS.twitch[0],
+      streamsource_id: streamSource.streams[0].id
+    });
+  });
+
+  test('should stream events over SSE, filtered by type', async () => {
+    const received = [];
+    let bothStored;
+    const both = new Promise(resolve => { bothStored = resolve; });
+    const subscription = await subscribeEvents(`${monitor.url}/events?types=stream.stored`, event => {
+      received.push(event);
+      if (received.length === 2) bothStored();
+    });
+
+    try {
+      // since covers anything published before the waiter's own connection is up
+      const stored = waitForEvent(`${monitor.url}/events`, 'stream.stored', {
+        since: monitor.events.lastId,
+        match: { stream: { platform: 'kick' } }
+      });
+      await post(monitor, `First ${TEST_URLS.twitch[1]}`);
+      await post(monitor, `Second ${TEST_URLS.kick[1]}`);
+
+      expect((await stored).data.stream.url).toBe(TEST_URLS.kick[1]);
+      await both;
+      expect(received.map(event => event.type)).toEqual(['stream.stored', 'stream.stored']);
+      expect(received.map(event => event.data.stream.url)).toEqual([TEST_URLS.twitch[1], TEST_URLS.kick[1]]);
+    } finally {
+      subscription.close();
+    }
+  });
+
+  test('should replay events after Last-Event-ID', async () => {
+    const since = monitor.events.lastId;
+    await post(monitor, `Missed ${TEST_URLS.youtube[0]}`);
+
+    // The event happened before the client connected, so only replay can deliver it
+    const replayed = await waitForEvent(`${monitor.url}/events`, 'sync.succeeded', { since, timeout: 1000 });
+    expect(replayed.data.link).toBe(TEST_URLS.youtube[0]);
+    expect(replayed.id).toBeGreaterThan(since);
+  });
+
+  test('should reject unknown event types', async () => {
+    const response = await axios.get(`${monitor.url}/events?types=stream.stored,stream.exploded`)
+      .catch(e => e.response);
+
+    expect(response.status).toBe(400);
+    expect(response.data.error).toBe('Unknown event type stream.exploded');
+    expect(response.data.types).toContain('sync.failed');
+  });
+
+  test('should report failed syncs and their retries', async () => {
+    const clock = new FakeClock();
+    const port = await freePort();
+    const offline = await fixtures.monitor({
+      clock,
+      streamSourceUrl: `${localUrl(port)}/api/v1`,
+      streamSourceApiKey: 'dev_monitor_key'
+    });
+
+    await post(offline, `Queued ${TEST_URLS.tiktok[0]}`);
+    const failed = await waitForEvent(offline.events, 'sync.failed', { since: 0, timeout: 100 });
+    expect(failed.data).toMatchObject({ operation: 'create', link: TEST_URLS.tiktok[0], streamsource_id: null });
+    expect(failed.at).toBe(clock.toISOString());
+
+    const retried = await fixtures.streamSource({}, port);
+    const succeeded = waitForEvent(offline.events, 'sync.succeeded', { match: { link: TEST_URLS.tiktok[0] } });
+    await clock.advance(1000);
+    expect((await succeeded).data.streamsource_id).toBe(retried.streams[0].id);
+  });
+
+  test('should time out when no matching event arrives', async () => {
+    await expect(waitForEvent(monitor.events, 'sync.failed', { timeout: 50 }))
+      .rejects.toThrow('Timed out after 50ms waiting for sync.failed');
+    expect(matches({ stream: { url: 'a', platform: 'kick' } }, { stream: { platform: 'kick' } })).toBe(true);
+    expect(matches({ stream: null }, { stream: { platform: 'kick' } })).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Fixtures Test
+ * Tests services binding ephemeral ports and the per-worker fixture factory
+ */
+
+const fs = require('fs');
+const http = require('http');
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { listen, freePort, localUrl } = require('../helpers/ports');
+
+describe('Fixtures', () => {
+  const fixtures = createFixtures();
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  test('should start every service on its own OS-chosen port and report its URL', async () => {
+    const streamSource = await fixtures.streamSource();
+    const monitor = await fixtures.monitor({ dualWriteMode: false, twitchIrcPort: 0 });
+    const services = [streamSource, monitor, await fixtures.platforms(), await fixtures.metadata()];
+
+    const ports = services.map(service => service.port);
+    expect(ports.every(port => port > 0)).toBe(true);
+    expect(new Set(ports).size).toBe(ports.length);
+    expect(services.map(service => service.url)).toEqual(ports.map(localUrl));
+
+    expect(streamSource.apiUrl).toBe(`${streamSource.url}/api/v1`);
+    expect(streamSource.cableUrl).toBe(`ws://localhost:${streamSource.port}/cable`);
+    expect(monitor.twitchIrcPort).toBeGreaterThan(0);
+    expect((await fixtures.client(streamSource).get('/health')).data.status).toBe('ok');
+  });
+
+  test('should bring a stopped service back on the port its clients know', async () => {
+    const first = await fixtures.streamSource();
+    const { port } = first;
+    await fixtures.stop(first);
+    expect(first.server.listening).toBe(false);
+
+    const second = await fixtures.streamSource({}, port);
+    expect(second.url).toBe(first.url);
+    expect((await axios.get(`${second.url}/health`)).status).toBe(200);
+  });
+
+  test('should reject a port that is already taken', async () => {
+    const taken = await fixtures.platforms();
+    const server = http.createServer();
+
+    await expect(listen(server, taken.port)).rejects.toMatchObject({ code: 'EADDRINUSE' });
+    expect(server.listening).toBe(false);
+  });
+
+  test('should hand out free ports and per-worker temp directories', async () => {
+    const port = await freePort();
+    await expect(axios.get(localUrl(port), { timeout: 1000 })).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+
+    const scratch = createFixtures();
+    const dir = scratch.tmpDir('scratch');
+    expect(dir).toContain(`scratch-w${scratch.workerId}-`);
+    expect(fs.existsSync(dir)).toBe(true);
+
+    await scratch.stopAll();
+    expect(fs.existsSync(dir)).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Local Stack Test
+ * Tests the Docker-free orchestrator booting and wiring every service in-process
+ */
+
+const axios = require('axios');
+const { LocalStack } = require('../helpers/local-stack');
+const { freePort } = require('../helpers/ports');
+const { stackMode } = require('../helpers/services');
+const { generateDiscordMessage } = require('../helpers/test-data');
+
+describe('Local Stack', () => {
+  let stack;
+
+  beforeAll(async () => {
+    stack = new LocalStack();
+    await stack.start();
+  });
+
+  afterAll(async () => {
+    await stack?.stop();
+  });
+
+  afterEach(async () => {
+    await stack.reset();
+  });
+
+  test('should boot every service on its own free port', async () => {
+    const ports = Object.values(stack.ports);
+    expect(new Set(ports).size).toBe(3);
+
+    expect((await axios.get(`${stack.urls.streamSource}/health`)).data.status).toBe('ok');
+    expect((await axios.get(`${stack.urls.monitor}/health`)).data).toMatchObject({
+      status: 'healthy',
+      streamSource: { tokenPresent: true, authMode: 'api_key' }
+    });
+    expect(stack.env()).toEqual({
+      STREAMSOURCE_URL: stack.urls.api,
+      STREAMSOURCE_API_URL: stack.urls.api,
+      MONITOR_URL: stack.urls.monitor,
+      PLATFORM_API_URL: stack.urls.platforms
+    });
+  });
+
+  test('should carry a Discord post through StreamSource to a live check', async () => {
+    await axios.post(`${stack.urls.monitor}/webhook/discord`, {
+      type: 'MESSAGE_CREATE',
+      data: generateDiscordMessage('Live in Denver, CO https://twitch.tv/stackcam')
+    });
+    stack.platforms.setLive('twitch', 'stackcam', { viewerCount: 42, title: 'Stack test' });
+
+    const summary = await stack.updater.runOnce();
+    expect(summary).toMatchObject({ checked: 1, live: 1, updated: 1 });
+
+    const { data } = await axios.get(`${stack.urls.api}/streams`, {
+      headers: { Authorization: `Bearer ${stack.tokens.streamwall}` }
+    });
+    expect(data.streams).toEqual([
+      expect.objectContaining({ link: 'https://twitch.tv/stackcam', city: 'Denver', status: 'live', viewer_count: 42 })
+    ]);
+  });
+
+  test('should clear every service on reset', async () => {
+    await axios.post(`${stack.urls.monitor}/webhook/discord`, {
+      type: 'MESSAGE_CREATE',
+      data: generateDiscordMessage('https://kick.com/resetme')
+    });
+    stack.platforms.setLive('kick', 'resetme');
+
+    await stack.reset();
+
+    expect((await axios.get(`${stack.urls.monitor}/streams`)).data).toEqual([]);
+    expect(stack.streamSource.streams).toEqual([]);
+    expect(stack.platforms.channels.size).toBe(0);
+  });
+
+  test('should pass per-service options through and honour fixed ports', async () => {
+    const monitorPort = await freePort();
+    const custom = new LocalStack({ ports: { monitor: monitorPort }, monitor: { dualWriteMode: false } });
+    await custom.start();
+
+    try {
+      expect(custom.urls.monitor).toBe(`http://localhost:${monitorPort}`);
+      expect((await axios.get(`${custom.urls.monitor}/sync-status`)).data.dualWriteMode).toBe(false);
+      expect(custom.urls.api).not.toBe(stack.urls.api);
+    } finally {
+      await custom.stop();
+    }
+
+    expect(custom.urls).toBeNull();
+    expect(custom.monitor.server.listening).toBe(false);
+    expect(custom.streamSource.server.listening).toBe(false);
+  });
+
+  test('should choose the stack mode from TEST_STACK_MODE', () => {
+    expect(stackMode({})).toBe('local');
+    expect(stackMode({ TEST_STACK_MODE: 'Docker' })).toBe('docker');
+    expect(() => stackMode({ TEST_STACK_MODE: 'k8s' })).toThrow('Unknown TEST_STACK_MODE k8s; use local or docker');
+  });
+});
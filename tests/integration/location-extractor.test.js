@@ -0,0 +1,126 @@
+/**
+ * Location Extractor Test
+ * Tests gazetteer-backed location parsing and coordinates reaching StreamSource
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { extractLocation, createLocationExtractor, CONFIDENCE } = require('../helpers/location-extractor');
+const { generateDiscordMessage, TEST_URLS } = require('../helpers/test-data');
+
+describe('Location Extraction', () => {
+  describe('extractLocation', () => {
+    test.each([
+      ['Live from Seattle, WA: https://twitch.tv/x', { city: 'Seattle', state: 'WA', country: 'US' }],
+      ['Check out Live from Denver, CO', { city: 'Denver', state: 'CO', country: 'US' }],
+      ['Toronto, ON march', { city: 'Toronto', state: 'ON', country: 'CA' }],
+      ['Quebec City, QC', { city: 'Quebec City', state: 'QC', country: 'CA' }],
+      ['Paris, FR', { city: 'Paris', state: null, country: 'FR' }],
+      ['Streaming from Athens, Greece', { city: 'Athens', state: null, country: 'GR' }],
+      ['Athens, GA', { city: 'Athens', state: 'GA', country: 'US' }],
+      ['St. Louis, MO', { city: 'Saint Louis', state: 'MO', country: 'US' }]
+    ])('should resolve %s', (text, expected) => {
+      expect(extractLocation(text)).toMatchObject({ ...expected, confidence: expect.any(Number) });
+    });
+
+    test('should return coordinates and rank qualified matches highest', () => {
+      const seattle = extractLocation('Seattle, WA');
+      expect(seattle).toEqual({
+        city: 'Seattle',
+        state: 'WA',
+        country: 'US',
+        lat: 47.61,
+        lng: -122.33,
+        confidence: CONFIDENCE.cityWithRegion
+      });
+
+      expect(extractLocation('Big march in Portland').confidence).toBe(CONFIDENCE.ambiguousCity);
+      expect(extractLocation('Portland, ME')).toMatchObject({ state: 'ME', lat: 43.66 });
+    });
+
+    test('should fall back to region coordinates for unknown cities', () => {
+      expect(extractLocation('Smallville, KS stream')).toMatchObject({
+        city: 'Smallville',
+        state: 'KS',
+        lat: 38.53,
+        confidence: CONFIDENCE.unknownCityWithRegion
+      });
+      expect(extractLocation('Live in Texas now')).toMatchObject({ city: null, state: 'TX', confidence: CONFIDENCE.region });
+    });
+
+    test('should trust a qualifier over a known city elsewhere', () => {
+      expect(extractLocation('Paris, TX')).toMatchObject({
+        city: 'Paris',
+        state: 'TX',
+        country: 'US',
+        confidence: CONFIDENCE.unknownCityWithRegion
+      });
+      expect(extractLocation('Paris, France')).toMatchObject({ country: 'FR', confidence: CONFIDENCE.cityWithCountry });
+    });
+
+    test('should not read chat phrases as unknown cities', () => {
+      expect(extractLocation('Check out This Stream, NY')).toBeNull();
+      expect(extractLocation('Come On, IN here')).toBeNull();
+      expect(extractLocation('Join Us On The Ground Floor, NY')).toBeNull();
+      expect(extractLocation('Rancho Cucamonga, CA')).toMatchObject({ city: 'Rancho Cucamonga', state: 'CA' });
+    });
+
+    test('should ignore URLs and text without places', () => {
+      expect(extractLocation('https://twitch.tv/denver is up')).toBeNull();
+      expect(extractLocation('check this stream out')).toBeNull();
+      expect(extractLocation('')).toBeNull();
+    });
+
+    test('should accept a custom gazetteer', () => {
+      const extract = createLocationExtractor({
+        countries: [{ code: 'NZ', name: 'New Zealand', lat: -40.9, lng: 174.89 }],
+        regions: [],
+        cities: [{ name: 'Wellington', country: 'NZ', lat: -41.29, lng: 174.78 }]
+      });
+
+      expect(extract('Wellington, New Zealand')).toMatchObject({ city: 'Wellington', country: 'NZ', lat: -41.29 });
+      expect(extract('Seattle, WA')).toBeNull();
+    });
+  });
+
+  describe('Monitor → StreamSource', () => {
+    const fixtures = createFixtures();
+    let monitor;
+    let streamSource;
+    let apiUrl;
+
+    beforeAll(async () => {
+      streamSource = await fixtures.streamSource();
+      apiUrl = streamSource.apiUrl;
+
+      monitor = await fixtures.monitor({
+        streamSourceUrl: apiUrl,
+        streamSourceApiKey: 'dev_monitor_key'
+      });
+    });
+
+    afterAll(async () => {
+      await fixtures.stopAll();
+    });
+
+    afterEach(async () => {
+      await axios.post(`${monitor.url}/reset`).catch(() => {});
+      await axios.post(`${apiUrl}/reset`).catch(() => {});
+    });
+
+    test('should sync country and coordinates with the stream', async () => {
+      await axios.post(`${monitor.url}/webhook/discord`, {
+        type: 'MESSAGE_CREATE',
+        data: generateDiscordMessage(`Live from Toronto, ON: ${TEST_URLS.kick[0]}`)
+      });
+
+      const [local] = (await axios.get(`${monitor.url}/streams`)).data;
+      expect(local).toMatchObject({ city: 'Toronto', state: 'ON', country: 'CA', location_confidence: CONFIDENCE.cityWithRegion });
+
+      const { data } = await axios.get(`${apiUrl}/streams`, {
+        headers: { Authorization: 'Bearer dev_streamwall_key' }
+      });
+      expect(data.streams[0]).toMatchObject({ city: 'Toronto', state: 'ON', country: 'CA', lat: 43.65, lng: -79.38 });
+    });
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Metadata Enrichment Test
+ * Tests page metadata lookups filling in streams between extraction and sync
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { MetadataEnricher } = require('../helpers/metadata-enricher');
+const { parsePage } = require('../helpers/metadata-fetchers');
+const { FakeClock } = require('../helpers/clock');
+const { generateDiscordMessage } = require('../helpers/test-data');
+
+describe('Metadata Enrichment', () => {
+  const fixtures = createFixtures();
+  let monitor;
+  let streamSource;
+  let pages;
+  let fixtureUrl;
+  let apiUrl;
+  let client;
+
+  const post = async content => (await client.post('/webhook/discord', {
+    type: 'MESSAGE_CREATE',
+    data: generateDiscordMessage(content, 'reporter#0042')
+  })).data;
+  const monitorStream = async url => (await client.get('/streams')).data.find(s => s.url === url);
+  const sourceStreams = async () => (await axios.get(`${apiUrl}/streams`, {
+    headers: { Authorization: 'Bearer dev_streamwall_key' }
+  })).data.streams;
+
+  beforeAll(async () => {
+    streamSource = await fixtures.streamSource();
+    apiUrl = streamSource.apiUrl;
+
+    pages = await fixtures.metadata();
+    fixtureUrl = pages.url;
+
+    monitor = await fixtures.monitor({
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: 'dev_monitor_key',
+      enrichment: { fixtureUrl }
+    });
+    client = fixtures.client(monitor);
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    pages.reset();
+    await client.post('/reset');
+    await axios.post(`${apiUrl}/reset`).catch(() => {});
+  });
+
+  test('should fill in Twitch title, display name, thumbnail and live flag', async () => {
+    pages.setPage('twitch', '/marchcam', {
+      title: 'MarchCam - Twitch',
+      description: 'Downtown march, day 3',
+      image: 'https://static-cdn.example/marchcam.jpg',
+      live: true
+    });
+
+    await post('Live in Seattle, WA https://twitch.tv/marchcam');
+
+    expect(await monitorStream('https://twitch.tv/marchcam')).toMatchObject({
+      title: 'Downtown march, day 3',
+      streamer_name: 'MarchCam',
+      thumbnail_url: 'https://static-cdn.example/marchcam.jpg',
+      is_live: true
+    });
+
+    const [synced] = await sourceStreams();
+    expect(synced).toMatchObject({
+      link: 'https://twitch.tv/marchcam',
+      title: 'Downtown march, day 3',
+      streamer_name: 'MarchCam',
+      thumbnail_url: 'https://static-cdn.example/marchcam.jpg',
+      posted_by: 'reporter',
+      city: 'Seattle'
+    });
+  });
+
+  test('should use oEmbed and the watch page for YouTube', async () => {
+    pages.setPage('youtube', '/watch?v=abcDEF12345', {
+      title: 'City Hall rally (replay)',
+      author: 'Local News 7',
+      image: 'https://i.ytimg.example/abcDEF12345/hqdefault.jpg',
+      live: false
+    });
+
+    await post('https://www.youtube.com/watch?v=abcDEF12345');
+
+    expect(await monitorStream('https://www.youtube.com/watch?v=abcDEF12345')).toMatchObject({
+      title: 'City Hall rally (replay)',
+      streamer_name: 'Local News 7',
+      thumbnail_url: 'https://i.ytimg.example/abcDEF12345/hqdefault.jpg',
+      is_live: false
+    });
+  });
+
+  test('should fall back to OpenGraph for other platforms', async () => {
+    pages.setPage('kick', '/streetreporter', { title: 'Street Reporter & Co', author: 'Street Reporter' });
+
+    await post('https://kick.com/streetreporter');
+
+    expect(await monitorStream('https://kick.com/streetreporter')).toMatchObject({
+      title: 'Street Reporter & Co',
+      streamer_name: 'Street Reporter',
+      thumbnail_url: null,
+      is_live: null
+    });
+  });
+
+  test('should still sync streams whose page cannot be read', async () => {
+    pages.setFailure('twitch', '/brokenpage', 500);
+
+    const { results } = await post('https://twitch.tv/brokenpage');
+    expect(results[0]).toMatchObject({ success: true, syncedToApi: true });
+    expect(await monitorStream('https://twitch.tv/brokenpage')).toMatchObject({ title: null, streamer_name: null });
+
+    const { data } = await client.get('/sync-status');
+    expect(data.enrichment).toMatchObject({ misses: 1, errors: 1, fixtureUrl });
+  });
+
+  test('should cache lookups per canonical URL until the TTL passes', async () => {
+    let now = 1000;
+    const enricher = new MetadataEnricher({ fixtureUrl, ttlMs: 60000, errorTtlMs: 5000, now: () => now });
+    pages.setPage('twitch', '/cached', { title: 'Cached - Twitch', description: 'First title' });
+
+    expect((await enricher.enrich('https://www.twitch.tv/cached')).title).toBe('First title');
+    expect((await enricher.enrich('twitch.tv/cached?ref=share')).title).toBe('First title');
+    expect(pages.requestCount).toBe(1);
+
+    pages.setPage('twitch', '/cached', { title: 'Cached - Twitch', description: 'Second title' });
+    now += 60001;
+    expect((await enricher.enrich('https://twitch.tv/cached')).title).toBe('Second title');
+    expect(enricher.status()).toMatchObject({ hits: 1, misses: 2, cached: 1 });
+  });
+
+  test('should cache failures briefly and share concurrent lookups', async () => {
+    let now = 1000;
+    const enricher = new MetadataEnricher({ fixtureUrl, errorTtlMs: 5000, now: () => now });
+
+    expect(await enricher.enrich('https://kick.com/missing')).toBeNull();
+    expect(await enricher.enrich('https://kick.com/missing')).toBeNull();
+    expect(pages.requestCount).toBe(1);
+
+    pages.setPage('kick', '/missing', { title: 'Back now' });
+    now += 5001;
+    const [first, second] = await Promise.all([
+      enricher.enrich('https://kick.com/missing'),
+      enricher.enrich('https://kick.com/missing')
+    ]);
+    expect(first).toEqual({ title: 'Back now', streamerName: 'missing', thumbnailUrl: null, live: null });
+    expect(second).toBe(first);
+    expect(pages.requestCount).toBe(2);
+  });
+
+  test('should keep at most maxEntries, dropping expired then least recently used', async () => {
+    const clock = new FakeClock();
+    const looked = [];
+    const enricher = new MetadataEnricher({
+      clock,
+      ttlMs: 60000,
+      maxEntries: 2,
+      fetchers: {
+        kick: {
+          name: 'kick',
+          async fetch({ channel }) {
+            looked.push(channel);
+            return { title: channel };
+          }
+        }
+      }
+    });
+
+    await enricher.enrich('https://kick.com/a');
+    await enricher.enrich('https://kick.com/b');
+    await enricher.enrich('https://kick.com/a');
+    await enricher.enrich('https://kick.com/c');
+    expect(enricher.status().cached).toBe(2);
+
+    // b was the least recently used, so it went
+    await enricher.enrich('https://kick.com/a');
+    await enricher.enrich('https://kick.com/b');
+    expect(looked).toEqual(['a', 'b', 'c', 'b']);
+
+    // Expired entries make room before any live one is dropped
+    await clock.advance(60000);
+    await enricher.enrich('https://kick.com/d');
+    expect(enricher.status().cached).toBe(1);
+  });
+
+  test('should give up waiting after timeoutMs and cache the late answer', async () => {
+    const clock = new FakeClock();
+    /** @type {(result: object) => void} */
+    let answer;
+    const enricher = new MetadataEnricher({
+      clock,
+      timeoutMs: 2000,
+      fetchers: {
+        kick: { name: 'kick', fetch: () => new Promise(resolve => { answer = resolve; }) }
+      }
+    });
+
+    const waiting = enricher.enrich('https://kick.com/slowpage');
+    await clock.advance(2000);
+    expect(await waiting).toBeNull();
+    expect(enricher.status()).toMatchObject({ misses: 1, timeouts: 1, cached: 0 });
+
+    answer({ title: 'Finally' });
+    await new Promise(resolve => setImmediate(resolve));
+    expect((await enricher.enrich('https://kick.com/slowpage')).title).toBe('Finally');
+    expect(enricher.status()).toMatchObject({ hits: 1, timeouts: 1 });
+    expect(clock.pendingTimers).toBe(0);
+  });
+
+  test('should accept per-platform fetcher overrides', async () => {
+    const enricher = new MetadataEnricher({
+      fixtureUrl,
+      fetchers: {
+        tiktok: {
+          name: 'tiktok',
+          async fetch({ channel }) {
+            return { title: `@${channel} on TikTok`, live: true };
+          }
+        }
+      }
+    });
+
+    expect(await enricher.enrich('https://www.tiktok.com/@protestcam/live')).toEqual({
+      title: '@protestcam on TikTok',
+      streamerName: null,
+      thumbnailUrl: null,
+      live: true
+    });
+    expect(pages.requestCount).toBe(0);
+  });
+
+  test('should parse OpenGraph tags and the JSON-LD live flag', () => {
+    const html = `
+      <meta content="A &quot;quoted&quot; title" property="og:title">
+      <meta name="author" content="Someone">
+      <script type="application/ld+json">{"publication":[{"@type":"BroadcastEvent","isLiveBroadcast":"True"}]}</script>`;
+
+    expect(parsePage(html).meta).toEqual({ 'og:title': 'A "quoted" title', author: 'Someone' });
+    expect(parsePage(html).live).toBe(true);
+    expect(parsePage(html.replace('"True"', 'false')).live).toBe(false);
+    expect(parsePage('<meta property="og:title" content="x">').live).toBeNull();
+  });
+});
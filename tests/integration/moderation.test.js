@@ -0,0 +1,133 @@
+/**
+ * Moderation Queue Test
+ * Tests holding discovered streams for review before they reach StreamSource
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { generateDiscordMessage, TEST_URLS } = require('../helpers/test-data');
+
+describe('Moderation Queue', () => {
+  const fixtures = createFixtures();
+  let monitor;
+  let streamSource;
+  let apiUrl;
+  let client;
+
+  const post = (content, author) => client.post('/webhook/discord', {
+    type: 'MESSAGE_CREATE',
+    data: generateDiscordMessage(content, author)
+  });
+  const streamSourceLinks = async () => {
+    const { data } = await axios.get(`${apiUrl}/streams`, {
+      headers: { Authorization: 'Bearer dev_streamwall_key' }
+    });
+    return data.streams.map(s => s.link);
+  };
+
+  beforeAll(async () => {
+    streamSource = await fixtures.streamSource();
+    apiUrl = streamSource.apiUrl;
+
+    monitor = await fixtures.monitor({
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: 'dev_monitor_key',
+      moderation: { enabled: true, trustedPosters: ['trusted_mod'] }
+    });
+    client = fixtures.client(monitor);
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    await client.post('/config/moderation', { enabled: true, trustedPosters: ['trusted_mod'] });
+    await client.post('/reset');
+    await axios.post(`${apiUrl}/reset`).catch(() => {});
+  });
+
+  test('should hold untrusted posts in the queue instead of syncing', async () => {
+    const response = await post(`Watch ${TEST_URLS.twitch[0]}`, 'stranger#0001');
+    expect(response.data.results[0]).toEqual({ url: TEST_URLS.twitch[0], success: true, moderation: 'pending' });
+
+    const queue = await client.get('/moderation/queue');
+    expect(queue.data.depth).toBe(1);
+    expect(queue.data.streams[0]).toMatchObject({
+      url: TEST_URLS.twitch[0],
+      status: 'pending',
+      moderation: { status: 'pending', moderator: null }
+    });
+    expect(await streamSourceLinks()).toEqual([]);
+  });
+
+  test('should let trusted posters bypass review', async () => {
+    const response = await post(`Watch ${TEST_URLS.kick[0]}`, 'trusted_mod#4242');
+    expect(response.data.results[0]).toMatchObject({ success: true, syncedToApi: true });
+
+    expect((await client.get('/moderation/queue')).data.depth).toBe(0);
+    expect(await streamSourceLinks()).toEqual([TEST_URLS.kick[0]]);
+  });
+
+  test('should sync a stream once a moderator approves it', async () => {
+    await post(`Watch ${TEST_URLS.youtube[0]}`, 'stranger#0001');
+    const [queued] = (await client.get('/moderation/queue')).data.streams;
+
+    const approved = await client.post(`/moderation/${queued.id}/approve`, { moderator: 'alice', reason: 'verified' });
+    expect(approved.status).toBe(200);
+    expect(approved.data).toMatchObject({
+      syncedToApi: true,
+      stream: { moderation: { status: 'approved', moderator: 'alice', reason: 'verified', reviewed_at: expect.any(String) } }
+    });
+    expect(await streamSourceLinks()).toEqual([TEST_URLS.youtube[0]]);
+
+    const again = await client.post(`/moderation/${queued.id}/reject`, { moderator: 'bob' });
+    expect(again.status).toBe(409);
+  });
+
+  test('should remember rejected URLs so reposts never re-queue', async () => {
+    await post(`Watch ${TEST_URLS.tiktok[0]}`, 'troll#6666');
+    const [queued] = (await client.get('/moderation/queue')).data.streams;
+
+    expect((await client.post(`/moderation/${queued.id}/reject`, { reason: 'spam' })).status).toBe(400);
+
+    const rejected = await client.post(`/moderation/${queued.id}/reject`, { moderator: 'alice', reason: 'spam' });
+    expect(rejected.data.stream).toMatchObject({
+      status: 'rejected',
+      moderation: { status: 'rejected', moderator: 'alice', reason: 'spam' }
+    });
+
+    // Same stream, different spelling, different poster
+    const repost = await post('again https://tiktok.com/@TestUser/live?utm_source=x', 'other#1111');
+    expect(repost.data.results[0]).toMatchObject({ success: false, reason: 'rejected' });
+    expect((await client.get('/moderation/queue')).data.depth).toBe(0);
+    expect(await streamSourceLinks()).toEqual([]);
+  });
+
+  test('should refuse to reject a queued stream that has already gone live', async () => {
+    await post(`Watch ${TEST_URLS.kick[1]}`, 'stranger#0001');
+    const [queued] = (await client.get('/moderation/queue')).data.streams;
+    await client.patch(`/streams/${queued.id}`, { status: 'live' });
+
+    const rejected = await client.post(`/moderation/${queued.id}/reject`, { moderator: 'alice' });
+    expect(rejected.status).toBe(409);
+    expect(rejected.data).toEqual({ error: 'Invalid status transition', from: 'live', to: 'rejected' });
+    expect((await client.get('/moderation/queue')).data.streams[0].moderation.status).toBe('pending');
+  });
+
+  test('should toggle moderation and the allowlist at runtime', async () => {
+    await client.post('/config/moderation', { enabled: false });
+    const direct = await post(`Watch ${TEST_URLS.twitch[1]}`, 'stranger#0001');
+    expect(direct.data.results[0].syncedToApi).toBe(true);
+
+    const config = await client.post('/config/moderation', { enabled: true, trustedPosters: ['stranger'] });
+    expect(config.data.moderation).toMatchObject({ enabled: true, trustedPosters: ['stranger'] });
+    const trusted = await post(`Watch ${TEST_URLS.facebook[0]}`, 'stranger#0001');
+    expect(trusted.data.results[0].syncedToApi).toBe(true);
+  });
+
+  test('should 404 for streams that are not queued', async () => {
+    const response = await client.post('/moderation/nope/approve', { moderator: 'alice' });
+    expect(response.status).toBe(404);
+  });
+});
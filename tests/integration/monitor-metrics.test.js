@@ -0,0 +1,187 @@
+/**
+ * Monitor Metrics and Health Test
+ * Tests the Prometheus /metrics endpoint and /health reporting real StreamSource state
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { freePort, localUrl } = require('../helpers/ports');
+const { Registry, parseMetrics } = require('../helpers/metrics');
+const { DEFAULT_RATE_LIMITS } = require('../helpers/rate-limiter');
+const { generateDiscordMessage, generateTwitchMessage } = require('../helpers/test-data');
+
+describe('Monitor Metrics and Health', () => {
+  const fixtures = createFixtures();
+  let monitor;
+  let streamSource;
+  let apiUrl;
+  let client;
+
+  const postDiscord = (content, author) => client.post('/webhook/discord', {
+    type: 'MESSAGE_CREATE',
+    data: generateDiscordMessage(content, author)
+  });
+  const scrape = async (target = client) => parseMetrics((await target.get('/metrics')).data);
+
+  beforeAll(async () => {
+    streamSource = await fixtures.streamSource();
+    apiUrl = streamSource.apiUrl;
+
+    monitor = await fixtures.monitor({
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: 'dev_monitor_key',
+      rules: { rules: [{ id: 'no-spam', action: 'block', keyword: 'spam' }] }
+    });
+    client = fixtures.client(monitor);
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    await client.post('/config/rate-limit', { author: DEFAULT_RATE_LIMITS.author });
+    await client.post('/reset');
+    await axios.post(`${apiUrl}/reset`).catch(() => {});
+  });
+
+  test('should count messages, URLs per platform, duplicates and rule blocks', async () => {
+    await postDiscord('https://twitch.tv/one and https://kick.com/two');
+    await postDiscord('again https://www.twitch.tv/one');
+    await postDiscord('spam spam https://kick.com/spammy');
+    await client.post('/webhook/twitch', { channel: '#relay', data: generateTwitchMessage('https://youtube.com/watch?v=abcDEF12345') });
+
+    const response = await client.get('/metrics');
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.data).toContain('# TYPE monitor_urls_extracted_total counter');
+
+    expect(parseMetrics(response.data)).toMatchObject({
+      'monitor_messages_received_total{source="discord"}': 3,
+      'monitor_messages_received_total{source="twitch"}': 1,
+      'monitor_urls_extracted_total{platform="twitch"}': 2,
+      'monitor_urls_extracted_total{platform="kick"}': 2,
+      'monitor_urls_extracted_total{platform="youtube"}': 1,
+      'monitor_duplicates_total{platform="twitch"}': 1,
+      'monitor_rule_blocks_total{rule="no-spam"}': 1,
+      'monitor_streams{status="pending"}': 3
+    });
+  });
+
+  test('should count rate-limited URLs by scope', async () => {
+    await client.post('/config/rate-limit', { author: { capacity: 1, refillPerMinute: 0 } });
+    await postDiscord('https://kick.com/first https://kick.com/second', 'flooder#0001');
+
+    expect((await scrape())['monitor_rate_limited_total{scope="author"}']).toBe(1);
+  });
+
+  test('should count syncs and time StreamSource requests', async () => {
+    await postDiscord('https://twitch.tv/synced');
+    await postDiscord('https://kick.com/synced');
+
+    const samples = await scrape();
+    expect(samples['monitor_streamsource_syncs_total{operation="create",result="success"}']).toBe(2);
+    expect(samples['monitor_streamsource_request_duration_seconds_count{method="POST"}']).toBe(2);
+    expect(samples['monitor_streamsource_request_duration_seconds_bucket{method="POST",le="+Inf"}']).toBe(2);
+    expect(samples['monitor_streamsource_request_duration_seconds_sum{method="POST"}']).toBeGreaterThan(0);
+    expect(samples['monitor_streamsource_token_present']).toBe(1);
+    expect(samples['monitor_last_successful_sync_timestamp_seconds']).toBeCloseTo(Date.now() / 1000, -1);
+  });
+
+  test('should report a healthy monitor with its last successful sync', async () => {
+    expect((await client.get('/health')).data.streamSource.lastSuccessfulSyncAt).toBeNull();
+
+    await postDiscord('https://twitch.tv/healthcheck');
+    const { status, data } = await client.get('/health');
+
+    expect(status).toBe(200);
+    expect(data).toMatchObject({
+      status: 'healthy',
+      problems: [],
+      streamSource: { dualWriteMode: true, tokenPresent: true, authMode: 'api_key', queueDepth: 0, lastFailure: null },
+      services: { twitch: { listener: 'disabled' } },
+      streams: 1
+    });
+    expect(Date.parse(data.streamSource.lastSuccessfulSyncAt)).toBeGreaterThan(Date.now() - 5000);
+  });
+
+  test('should report degraded health while syncs fail or credentials are missing', async () => {
+    const down = await fixtures.monitor({
+      streamSourceUrl: `${localUrl(await freePort())}/api/v1`,
+      streamSourceApiKey: 'dev_monitor_key',
+      syncQueue: { baseDelayMs: 60000 }
+    });
+    const downClient = fixtures.client(down);
+
+    try {
+      await downClient.post('/webhook/discord', { type: 'MESSAGE_CREATE', data: generateDiscordMessage('https://kick.com/unsynced') });
+
+      const { status, data } = await downClient.get('/health');
+      expect(status).toBe(200);
+      expect(data).toMatchObject({
+        status: 'degraded',
+        problems: ['1 stream(s) waiting to sync'],
+        streamSource: { queueDepth: 1, lastSuccessfulSyncAt: null, lastFailure: { operation: 'create' } }
+      });
+
+      const samples = await scrape(downClient);
+      expect(samples['monitor_streamsource_syncs_total{operation="create",result="failure"}']).toBe(1);
+      expect(samples['monitor_sync_queue_depth']).toBe(1);
+
+      // Dropping the credentials is a problem of its own
+      down.streamSourceApiKey = null;
+      expect((await downClient.get('/health')).data.problems).toEqual([
+        'No StreamSource credentials',
+        '1 stream(s) waiting to sync'
+      ]);
+      expect((await scrape(downClient))['monitor_streamsource_token_present']).toBe(0);
+
+      // Without dual-write nothing needs StreamSource
+      await downClient.post('/config/dual-write', { enabled: false });
+      expect((await downClient.get('/health')).data.status).toBe('healthy');
+    } finally {
+      await fixtures.stop(down);
+    }
+  });
+
+  test('should zero counters on reset', async () => {
+    await postDiscord('https://twitch.tv/before-reset');
+    await client.post('/reset');
+
+    const samples = await scrape();
+    expect(samples['monitor_messages_received_total{source="discord"}']).toBeUndefined();
+    expect(samples['monitor_sync_queue_depth']).toBe(0);
+  });
+
+  test('should render counters, gauges and histograms in exposition format', () => {
+    const registry = new Registry();
+    const counter = registry.counter({ name: 'jobs_total', help: 'Jobs run', labelNames: ['queue'] });
+    const histogram = registry.histogram({ name: 'job_seconds', help: 'Job time', buckets: [1, 0.1] });
+    registry.gauge({ name: 'workers', help: 'Busy workers', collect: gauge => gauge.set({}, 3) });
+
+    counter.inc({ queue: 'say "hi"\n' });
+    counter.inc({ queue: 'say "hi"\n' }, 2);
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+
+    expect(registry.render()).toBe([
+      '# HELP jobs_total Jobs run',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="say \\"hi\\"\\n"} 3',
+      '# HELP job_seconds Job time',
+      '# TYPE job_seconds histogram',
+      'job_seconds_bucket{le="0.1"} 1',
+      'job_seconds_bucket{le="1"} 2',
+      'job_seconds_bucket{le="+Inf"} 2',
+      'job_seconds_sum 0.55',
+      'job_seconds_count 2',
+      '# HELP workers Busy workers',
+      '# TYPE workers gauge',
+      'workers 3',
+      ''
+    ].join('\n'));
+
+    expect(() => counter.inc({})).toThrow('jobs_total takes labels queue');
+    expect(() => counter.inc({ queue: 'a' }, -1)).toThrow('Counters only go up');
+    expect(() => registry.counter({ name: 'jobs_total', help: 'again' })).toThrow('already registered');
+  });
+});
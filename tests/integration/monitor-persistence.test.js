@@ -0,0 +1,166 @@
+/**
+ * Monitor Persistence Test
+ * Tests monitor state surviving restarts and the dedup window forgetting old URLs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createFixtures } = require('../helpers/fixtures');
+const { MemoryStore, FileStore, createStore, DedupWindow } = require('../helpers/monitor-store');
+const { FakeClock } = require('../helpers/clock');
+const { generateDiscordMessage } = require('../helpers/test-data');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Monitor Persistence', () => {
+  const fixtures = createFixtures();
+  let tmpDir;
+  let monitor;
+
+  // A restarted monitor gets a fresh port so no kept-alive socket points at the old one
+  const startMonitor = async (options) => {
+    monitor = await fixtures.monitor({ dualWriteMode: false, ...options });
+    return fixtures.client(monitor);
+  };
+  const restart = async (options) => {
+    await fixtures.stop(monitor);
+    return startMonitor(options);
+  };
+  const post = async (client, content, author) => (await client.post('/webhook/discord', {
+    type: 'MESSAGE_CREATE',
+    data: generateDiscordMessage(content, author)
+  })).data.results[0];
+
+  beforeAll(() => {
+    tmpDir = fixtures.tmpDir('monitor-state');
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    if (monitor) await fixtures.stop(monitor);
+    monitor = null;
+  });
+
+  test('should reload streams, dedup and history from a state file', async () => {
+    const storage = { filePath: path.join(tmpDir, 'file-restart.json') };
+    let client = await startMonitor({ storage });
+
+    await post(client, 'Live in Denver, CO https://twitch.tv/parkcam');
+    const [before] = (await client.get('/streams')).data;
+    await client.patch(`/streams/${before.id}`, { status: 'live' });
+    expect(fs.existsSync(storage.filePath)).toBe(true);
+
+    client = await restart({ storage });
+
+    const [after] = (await client.get('/streams')).data;
+    expect(after).toMatchObject({ id: before.id, city: 'Denver', status: 'live' });
+    expect((await client.get(`/streams/${before.id}/history`)).data.history.map(h => h.to)).toEqual(['pending', 'live']);
+
+    const repost = await post(client, 'https://twitch.tv/parkcam');
+    expect(repost).toMatchObject({ reason: 'duplicate', stream_id: before.id, sighting_count: 2 });
+  });
+
+  test('should keep rejected URLs across a restart with a shared memory store', async () => {
+    const store = new MemoryStore();
+    let client = await startMonitor({ store, moderation: { enabled: true } });
+
+    await post(client, 'https://kick.com/spammer', 'stranger#0001');
+    const [queued] = (await client.get('/moderation/queue')).data.streams;
+    await client.post(`/moderation/${queued.id}/reject`, { moderator: 'mod' });
+
+    client = await restart({ store, moderation: { enabled: true } });
+
+    expect((await post(client, 'https://kick.com/spammer', 'stranger#0002')).reason).toBe('rejected');
+    expect((await client.get('/moderation/queue')).data.depth).toBe(0);
+  });
+
+  test('should forget URLs once the dedup window has passed', async () => {
+    const clock = new FakeClock();
+    const client = await startMonitor({ clock, dedupWindowMs: HOUR });
+
+    await post(client, 'https://twitch.tv/rerun');
+    await clock.advance(HOUR - 1);
+    expect((await post(client, 'https://twitch.tv/rerun')).reason).toBe('duplicate');
+
+    await clock.advance(HOUR);
+    expect((await client.get('/sync-status')).data).toMatchObject({ processedCount: 0, dedupWindowMs: HOUR });
+
+    expect((await post(client, 'https://twitch.tv/rerun')).success).toBe(true);
+    expect((await client.get('/streams')).data).toHaveLength(2);
+  });
+
+  test('should drop expired URLs when loading saved state', async () => {
+    const storage = { filePath: path.join(tmpDir, 'expired.json') };
+    const clock = new FakeClock();
+    let client = await startMonitor({ storage, clock, dedupWindowMs: HOUR });
+    await post(client, 'https://kick.com/oldnews');
+    await post(client, 'https://kick.com/oldnews');
+
+    await clock.advance(HOUR);
+    client = await restart({ storage, clock, dedupWindowMs: HOUR });
+
+    const { data } = await client.get('/sync-status');
+    expect(data.processedCount).toBe(0);
+    expect((await client.get('/streams')).data[0].sighting_count).toBe(2);
+  });
+
+  test('should prune closed streams from saved state once their URL expires', async () => {
+    const clock = new FakeClock();
+    const storage = { filePath: path.join(tmpDir, 'pruned.json') };
+    const options = { storage, clock, dedupWindowMs: HOUR, moderation: { enabled: true } };
+    let client = await startMonitor(options);
+    await post(client, 'https://kick.com/archivedcam');
+    await post(client, 'https://kick.com/rejectedcam');
+    await post(client, 'https://kick.com/waitingcam');
+    const [archived, rejected] = (await client.get('/streams')).data;
+    await client.patch(`/streams/${archived.id}`, { status: 'archived' });
+    await client.post(`/moderation/${rejected.id}/reject`, { moderator: 'mod' });
+
+    // Still inside the window, so nothing closed is dropped yet
+    await post(client, 'https://kick.com/othercam');
+    expect(JSON.parse(fs.readFileSync(storage.filePath, 'utf8')).streams).toHaveLength(4);
+
+    await clock.advance(HOUR);
+    await post(client, 'https://kick.com/latecam');
+    const saved = JSON.parse(fs.readFileSync(storage.filePath, 'utf8'));
+    expect(saved.streams.map(s => s.url)).toEqual([
+      'https://kick.com/waitingcam', 'https://kick.com/othercam', 'https://kick.com/latecam'
+    ]);
+    expect(Object.keys(saved.histories)).not.toContain(archived.id);
+
+    // A rejected URL stays blocked after its stream is gone
+    client = await restart(options);
+    expect((await post(client, 'https://kick.com/rejectedcam')).reason).toBe('rejected');
+  });
+
+  test('should start empty from a missing or corrupt state file', async () => {
+    const filePath = path.join(tmpDir, 'corrupt.json');
+    fs.writeFileSync(filePath, '{"version": 1, "streams": [');
+
+    expect(new FileStore(filePath).load()).toBeNull();
+    expect(new FileStore(path.join(tmpDir, 'missing.json')).load()).toBeNull();
+
+    const client = await startMonitor({ storage: { filePath } });
+    expect((await client.get('/streams')).data).toEqual([]);
+  });
+
+  test('should choose a backend and refresh URLs on repeat sightings', () => {
+    expect(createStore()).toBeInstanceOf(MemoryStore);
+    expect(createStore({ filePath: path.join(tmpDir, 'x.json') })).toBeInstanceOf(FileStore);
+    expect(() => createStore({ backend: 'sqlite' })).toThrow('Unknown store backend sqlite');
+
+    let now = 0;
+    const seen = new DedupWindow(1000, () => now);
+    seen.add('a');
+    now = 900;
+    seen.add('a');
+    now = 1500;
+    expect(seen.has('a')).toBe(true);
+    now = 1900;
+    expect(seen.has('a')).toBe(false);
+    expect(new DedupWindow(null, () => now).expired(0)).toBe(false);
+  });
+});
@@ -3,138 +3,52 @@
  * Tests the core business workflow: Discord → Monitor → StreamSource API
  */
 
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
-const MockLivestreamMonitor = require('../helpers/mock-livestream-monitor');
-const { generateDiscordMessage, TEST_URLS, delay } = require('../helpers/test-data');
-
-// Simple mock StreamSource API for testing business logic
-class MockStreamSourceAPI {
-  constructor(port = 3200) {
-    this.port = port;
-    this.app = require('express')();
-    this.server = null;
-    this.streams = [];
-    
-    this.setupRoutes();
-  }
-  
-  setupRoutes() {
-    this.app.use(require('express').json());
-    
-    // Health check
-    this.app.get('/health', (req, res) => {
-      res.json({ status: 'ok' });
-    });
-    
-    // Create stream (business logic endpoint)
-    this.app.post('/api/v1/streams', (req, res) => {
-      // Verify auth token
-      if (!req.headers.authorization || !req.headers.authorization.includes('Bearer')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-      
-      // Business logic: validate stream data
-      const { link, platform, city, state, source } = req.body;
-      if (!link || !platform) {
-        return res.status(400).json({ error: 'Missing required fields: link, platform' });
-      }
-      
-      // Business logic: check for duplicates
-      const existing = this.streams.find(s => s.link === link);
-      if (existing) {
-        return res.status(409).json({ error: 'Stream already exists', stream: existing });
-      }
-      
-      // Business logic: create stream record
-      const stream = {
-        id: this.streams.length + 1,
-        link,
-        platform,
-        city: city || null,
-        state: state || null,
-        source: source || 'unknown',
-        status: 'offline',
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-      
-      this.streams.push(stream);
-      res.status(201).json(stream);
-    });
-    
-    // Get streams
-    this.app.get('/api/v1/streams', (req, res) => {
-      if (!req.headers.authorization || !req.headers.authorization.includes('Bearer')) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
-      
-      res.json({ streams: this.streams, meta: { total_count: this.streams.length } });
-    });
-    
-    // Reset for testing
-    this.app.post('/api/v1/reset', (req, res) => {
-      this.streams = [];
-      res.json({ success: true });
-    });
-  }
-  
-  async start() {
-    return new Promise((resolve) => {
-      this.server = this.app.listen(this.port, () => {
-        console.log(`Mock StreamSource API listening on port ${this.port}`);
-        resolve();
-      });
-    });
-  }
-  
-  async stop() {
-    return new Promise((resolve) => {
-      if (this.server) {
-        this.server.close(() => {
-          console.log('Mock StreamSource API stopped');
-          resolve();
-        });
-      } else {
-        resolve();
-      }
-    });
-  }
-}
+const { createFixtures } = require('../helpers/fixtures');
+const { FakeClock } = require('../helpers/clock');
+const { SyncOutbox } = require('../helpers/sync-outbox');
+const { generateDiscordMessage, TEST_URLS } = require('../helpers/test-data');
 
 describe('Monitor to StreamSource Integration', () => {
+  const fixtures = createFixtures();
   let mockMonitor;
   let mockStreamSource;
-  const monitorPort = 3102;
-  const streamSourcePort = 3200;
-  const authToken = 'test-api-key-123';
+  let monitorUrl;
+  let apiUrl;
+  // The monitor posts with its own key (create, update its own); tests read back with Streamwall's key
+  const monitorKey = 'dev_monitor_key';
+  const authToken = 'dev_streamwall_key';
 
   beforeAll(async () => {
     // Start mock StreamSource API
-    mockStreamSource = new MockStreamSourceAPI(streamSourcePort);
-    await mockStreamSource.start();
+    mockStreamSource = await fixtures.streamSource();
+    apiUrl = mockStreamSource.apiUrl;
     
     // Start mock monitor with StreamSource integration enabled
-    mockMonitor = new MockLivestreamMonitor(monitorPort, {
+    mockMonitor = await fixtures.monitor({
       dualWriteMode: true,
-      streamSourceUrl: `http://localhost:${streamSourcePort}/api/v1`
-    });
-    await mockMonitor.start();
-    
-    // Configure monitor with auth token
-    await axios.post(`http://localhost:${monitorPort}/auth/streamsource`, {
-      token: authToken
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: monitorKey
     });
+    monitorUrl = mockMonitor.url;
   });
 
   afterAll(async () => {
-    await mockMonitor?.stop();
-    await mockStreamSource?.stop();
+    await fixtures.stopAll();
   });
 
+  // StreamSource going down and coming back on the port the monitor knows
+  const stopStreamSource = () => fixtures.stop(mockStreamSource);
+  const restartStreamSource = async () => {
+    mockStreamSource = await fixtures.streamSource({}, mockStreamSource.port);
+  };
+
   afterEach(async () => {
     // Reset both services
-    await axios.post(`http://localhost:${monitorPort}/reset`).catch(() => {});
-    await axios.post(`http://localhost:${streamSourcePort}/api/v1/reset`).catch(() => {});
+    await axios.post(`${monitorUrl}/reset`).catch(() => {});
+    await axios.post(`${apiUrl}/reset`).catch(() => {});
   });
 
   test('should sync Discord stream to StreamSource API', async () => {
@@ -143,7 +57,7 @@ describe('Monitor to StreamSource Integration', () => {
     const message = generateDiscordMessage(`Live stream: ${testUrl}`);
 
     // Act: Send Discord webhook to monitor
-    const response = await axios.post(`http://localhost:${monitorPort}/webhook/discord`, {
+    const response = await axios.post(`${monitorUrl}/webhook/discord`, {
       type: 'MESSAGE_CREATE',
       data: message
     });
@@ -153,11 +67,8 @@ describe('Monitor to StreamSource Integration', () => {
     expect(response.data.success).toBe(true);
     expect(response.data.results[0].syncedToApi).toBe(true);
 
-    // Wait for async processing
-    await delay(1000);
-
     // Assert: Stream exists in StreamSource
-    const streamsResponse = await axios.get(`http://localhost:${streamSourcePort}/api/v1/streams`, {
+    const streamsResponse = await axios.get(`${apiUrl}/streams`, {
       headers: { Authorization: `Bearer ${authToken}` }
     });
     
@@ -173,15 +84,13 @@ describe('Monitor to StreamSource Integration', () => {
     const message = generateDiscordMessage(`Live from Denver, CO: ${testUrl}`);
 
     // Act: Send Discord webhook
-    await axios.post(`http://localhost:${monitorPort}/webhook/discord`, {
+    await axios.post(`${monitorUrl}/webhook/discord`, {
       type: 'MESSAGE_CREATE',
       data: message
     });
 
-    await delay(1000);
-
     // Assert: Location data synced correctly
-    const streamsResponse = await axios.get(`http://localhost:${streamSourcePort}/api/v1/streams`, {
+    const streamsResponse = await axios.get(`${apiUrl}/streams`, {
       headers: { Authorization: `Bearer ${authToken}` }
     });
     
@@ -198,26 +107,22 @@ describe('Monitor to StreamSource Integration', () => {
     const message2 = generateDiscordMessage(`Duplicate: ${testUrl}`);
 
     // Act: Send same URL twice
-    await axios.post(`http://localhost:${monitorPort}/webhook/discord`, {
+    await axios.post(`${monitorUrl}/webhook/discord`, {
       type: 'MESSAGE_CREATE',
       data: message1
     });
     
-    await delay(500);
-    
-    const response2 = await axios.post(`http://localhost:${monitorPort}/webhook/discord`, {
+    const response2 = await axios.post(`${monitorUrl}/webhook/discord`, {
       type: 'MESSAGE_CREATE',
       data: message2
     });
 
-    await delay(1000);
-
     // Assert: Monitor should detect duplicate but may still try to sync
     expect(response2.data.results[0].success).toBe(false);
     expect(response2.data.results[0].reason).toBe('duplicate');
 
     // Assert: Only one stream in StreamSource (API rejects duplicates)
-    const streamsResponse = await axios.get(`http://localhost:${streamSourcePort}/api/v1/streams`, {
+    const streamsResponse = await axios.get(`${apiUrl}/streams`, {
       headers: { Authorization: `Bearer ${authToken}` }
     });
     
@@ -226,13 +131,13 @@ describe('Monitor to StreamSource Integration', () => {
 
   test('should handle StreamSource API failures gracefully', async () => {
     // Arrange: Stop StreamSource to simulate failure
-    await mockStreamSource.stop();
+    await stopStreamSource();
     
     const testUrl = TEST_URLS.tiktok[0];
     const message = generateDiscordMessage(`Stream: ${testUrl}`);
 
     // Act: Try to sync when API is down
-    const response = await axios.post(`http://localhost:${monitorPort}/webhook/discord`, {
+    const response = await axios.post(`${monitorUrl}/webhook/discord`, {
       type: 'MESSAGE_CREATE',
       data: message
     });
@@ -241,20 +146,298 @@ describe('Monitor to StreamSource Integration', () => {
     expect(response.status).toBe(200);
     expect(response.data.success).toBe(true);
     expect(response.data.results[0].syncedToApi).toBe(false);
+    expect(response.data.results[0].queued).toBe(true);
 
     // Assert: Stream exists locally in monitor
-    const localStreams = await axios.get(`http://localhost:${monitorPort}/streams`);
+    const localStreams = await axios.get(`${monitorUrl}/streams`);
     expect(localStreams.data).toHaveLength(1);
     expect(localStreams.data[0].url).toBe(testUrl);
 
     // Restart StreamSource for cleanup
-    mockStreamSource = new MockStreamSourceAPI(streamSourcePort);
-    await mockStreamSource.start();
+    await restartStreamSource();
+  });
+
+  test('should deliver queued streams once StreamSource recovers', async () => {
+    // Arrange: StreamSource is down while the stream is posted
+    await stopStreamSource();
+    const testUrl = TEST_URLS.facebook[0];
+    await axios.post(`${monitorUrl}/webhook/discord`, {
+      type: 'MESSAGE_CREATE',
+      data: generateDiscordMessage(`Live from Reno, NV: ${testUrl}`)
+    });
+
+    const queue = await axios.get(`${monitorUrl}/sync-queue`);
+    expect(queue.data.depth).toBe(1);
+    expect(queue.data.entries[0]).toMatchObject({
+      attempts: 1,
+      payload: expect.objectContaining({ link: testUrl, city: 'Reno', state: 'NV' })
+    });
+    expect(queue.data.entries[0].lastError).toBeTruthy();
+
+    // Act: StreamSource comes back and the queue is flushed
+    await restartStreamSource();
+    const flush = await axios.post(`${monitorUrl}/sync-queue/flush`);
+
+    // Assert: Stream landed and the queue drained
+    expect(flush.data).toMatchObject({ success: true, delivered: 1, failed: 0, remaining: 0 });
+
+    const streamsResponse = await axios.get(`${apiUrl}/streams`, {
+      headers: { Authorization: `Bearer ${authToken}` }
+    });
+    expect(streamsResponse.data.streams.map(s => s.link)).toEqual([testUrl]);
+
+    const status = await axios.get(`${monitorUrl}/sync-status`);
+    expect(status.data.queueDepth).toBe(0);
+    expect(status.data.syncedCount).toBe(1);
+  });
+
+  test('should retry queued streams automatically with backoff', async () => {
+    // Retries run on the monitor's clock, so the default 1s/2s backoff takes no real time
+    const clock = new FakeClock();
+    const retryMonitor = await fixtures.monitor({
+      clock,
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: monitorKey
+    });
+    const attempts = () => retryMonitor.syncOutbox.list()[0]?.attempts;
+
+    try {
+      await stopStreamSource();
+      await axios.post(`${retryMonitor.url}/webhook/discord`, {
+        type: 'MESSAGE_CREATE',
+        data: generateDiscordMessage(`Stream: ${TEST_URLS.kick[1]}`)
+      });
+      expect(retryMonitor.syncOutbox.list()[0].nextAttemptAt).toBe(clock.now() + 1000);
+
+      // The first retry fails while the API is still down and backs off further
+      await clock.advance(999);
+      expect(attempts()).toBe(1);
+      await clock.advance(1);
+      expect(attempts()).toBe(2);
+      expect(retryMonitor.syncOutbox.list()[0].nextAttemptAt).toBe(clock.now() + 2000);
+
+      await restartStreamSource();
+
+      await clock.advance(2000);
+      expect(retryMonitor.syncOutbox.size).toBe(0);
+      expect(mockStreamSource.streams).toHaveLength(1);
+      expect(mockStreamSource.streams[0].platform).toBe('kick');
+    } finally {
+      await fixtures.stop(retryMonitor);
+    }
   });
 
-  // Note: Authentication testing removed as it tests mock implementation details
-  // rather than core business logic. Real auth testing should be done at the 
-  // individual service level.
+  test('should dead-letter syncs StreamSource refuses instead of retrying them', async () => {
+    // The Streamwall key may only read, so every create is a 403
+    const readOnlyMonitor = await fixtures.monitor({
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: 'dev_streamwall_key'
+    });
+
+    try {
+      const response = await axios.post(`${readOnlyMonitor.url}/webhook/discord`, {
+        type: 'MESSAGE_CREATE',
+        data: generateDiscordMessage(`Stream: ${TEST_URLS.kick[0]}`)
+      });
+      expect(response.data.results[0].syncedToApi).toBe(false);
+      expect(response.data.results[0].queued).toBeUndefined();
+
+      const queue = await axios.get(`${readOnlyMonitor.url}/sync-queue`);
+      expect(queue.data.depth).toBe(0);
+      expect(queue.data.deadLetters).toEqual([
+        expect.objectContaining({ attempts: 1, lastError: 'HTTP 403', deadLetteredAt: expect.any(String) })
+      ]);
+    } finally {
+      await fixtures.stop(readOnlyMonitor);
+    }
+  });
+
+  test('should dead-letter a sync once it runs out of attempts', async () => {
+    const clock = new FakeClock();
+    const retryMonitor = await fixtures.monitor({
+      clock,
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: monitorKey,
+      syncQueue: { maxAttempts: 3 }
+    });
+
+    try {
+      await stopStreamSource();
+      await axios.post(`${retryMonitor.url}/webhook/discord`, {
+        type: 'MESSAGE_CREATE',
+        data: generateDiscordMessage(`Stream: ${TEST_URLS.youtube[1]}`)
+      });
+
+      await clock.advance(1000);
+      expect(retryMonitor.syncOutbox.list()[0].attempts).toBe(2);
+      await clock.advance(2000);
+      expect(retryMonitor.syncOutbox.size).toBe(0);
+      expect(retryMonitor.syncOutbox.listDeadLetters()).toEqual([expect.objectContaining({ attempts: 3 })]);
+
+      // Nothing is left to retry once StreamSource is back
+      await restartStreamSource();
+      await clock.advance(60000);
+      expect(mockStreamSource.streams).toHaveLength(0);
+    } finally {
+      await fixtures.stop(retryMonitor);
+    }
+  });
+
+  test('should run one flush at a time however many callers wait', async () => {
+    let inFlight = 0;
+    let mostInFlight = 0;
+    const outbox = new SyncOutbox(async () => {
+      inFlight++;
+      mostInFlight = Math.max(mostInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      throw new Error('still down');
+    });
+    outbox.enqueue('a', {}, new Error('down'));
+
+    const summaries = await Promise.all([1, 2, 3].map(() => outbox.flush({ force: true })));
+    expect(mostInFlight).toBe(1);
+    expect(summaries.map(summary => summary.failed)).toEqual([1, 1, 1]);
+    expect(outbox.list()[0].attempts).toBe(4);
+  });
+
+  test('should keep a payload replaced while its send is in flight', async () => {
+    const sent = [];
+    let finishSend = () => {};
+    const firstSend = new Promise(resolve => { finishSend = () => resolve(); });
+    const outbox = new SyncOutbox(async entry => {
+      sent.push(entry.payload);
+      if (sent.length === 1) await firstSend;
+    });
+    outbox.enqueue('a', { title: 'old' }, new Error('down'));
+
+    const flushing = outbox.flush({ force: true });
+    await new Promise(resolve => setImmediate(resolve));
+    outbox.enqueue('a', { title: 'new' }, new Error('down again'));
+    finishSend();
+
+    expect(await flushing).toMatchObject({ delivered: 1, remaining: 1 });
+    expect(outbox.list()).toEqual([expect.objectContaining({ payload: { title: 'new' }, version: 2 })]);
+
+    await outbox.flush({ force: true });
+    expect(sent).toEqual([{ title: 'old' }, { title: 'new' }]);
+    expect(outbox.size).toBe(0);
+  });
+
+  test('should keep dead letters in the queue file', () => {
+    const filePath = path.join(fixtures.tmpDir('dead-letters'), 'outbox.jsonl');
+    const refused = Object.assign(new Error('Forbidden'), { response: { status: 403 } });
+    const outbox = new SyncOutbox(async () => {}, { filePath });
+    outbox.enqueue('a', { title: 'refused' }, refused);
+    outbox.enqueue('b', { title: 'waiting' }, new Error('down'));
+
+    const reloaded = new SyncOutbox(async () => {}, { filePath });
+    expect(reloaded.list()).toEqual([expect.objectContaining({ id: 'b' })]);
+    expect(reloaded.listDeadLetters()).toEqual([
+      expect.objectContaining({ id: 'a', lastError: 'HTTP 403', deadLetteredAt: expect.any(String) })
+    ]);
+
+    reloaded.clear();
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('');
+  });
+
+  test('should keep the sync queue across monitor restarts', async () => {
+    const queueFile = path.join(fixtures.tmpDir('sync-queue'), 'outbox.jsonl');
+    const options = {
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: monitorKey,
+      syncQueue: { filePath: queueFile }
+    };
+
+    // Arrange: queue a stream while StreamSource is down, then stop the monitor
+    await stopStreamSource();
+    const firstRun = await fixtures.monitor(options);
+    await axios.post(`${firstRun.url}/webhook/discord`, {
+      type: 'MESSAGE_CREATE',
+      data: generateDiscordMessage(`Stream: ${TEST_URLS.youtube[2]}`)
+    });
+    await fixtures.stop(firstRun);
+
+    expect(fs.readFileSync(queueFile, 'utf8').trim().split('\n')).toHaveLength(1);
+
+    // Act: a fresh monitor process picks up the queue file (on a fresh port,
+    // so no pooled keep-alive socket is reused)
+    await restartStreamSource();
+    const secondRun = await fixtures.monitor(options);
+    try {
+      const queue = await axios.get(`${secondRun.url}/sync-queue`);
+      expect(queue.data.depth).toBe(1);
+
+      const flush = await axios.post(`${secondRun.url}/sync-queue/flush`);
+      expect(flush.data.delivered).toBe(1);
+    } finally {
+      await fixtures.stop(secondRun);
+    }
+
+    // Assert: delivered and removed from disk
+    expect(mockStreamSource.streams).toHaveLength(1);
+    expect(fs.readFileSync(queueFile, 'utf8')).toBe('');
+  });
+
+  describe('StreamSource authentication', () => {
+    let authStreamSource;
+    let authMonitor;
+    let clock;
+
+    const postStream = url => axios.post(`${authMonitor.url}/webhook/discord`, {
+      type: 'MESSAGE_CREATE',
+      data: generateDiscordMessage(`Stream: ${url}`)
+    });
+
+    beforeEach(async () => {
+      // One clock for both, so tokens expire when the test says
+      clock = new FakeClock();
+      authStreamSource = await fixtures.streamSource({ clock });
+      authMonitor = await fixtures.monitor({
+        clock,
+        streamSourceUrl: authStreamSource.apiUrl,
+        streamSourceCredentials: { email: 'admin@example.com', password: 'password123' },
+        tokenRefreshMarginMs: 0
+      });
+    });
+
+    afterEach(async () => {
+      await fixtures.stop(authMonitor);
+      await fixtures.stop(authStreamSource);
+    });
+
+    test('should log in by itself and reuse the session', async () => {
+      const first = await postStream(TEST_URLS.twitch[0]);
+      const second = await postStream(TEST_URLS.twitch[1]);
+
+      expect(first.data.results[0].syncedToApi).toBe(true);
+      expect(second.data.results[0].syncedToApi).toBe(true);
+      expect(authStreamSource.loginCount).toBe(1);
+
+      const status = await axios.get(`${authMonitor.url}/sync-status`);
+      expect(status.data).toMatchObject({ hasToken: true, authMode: 'credentials' });
+    });
+
+    test('should log in again once the JWT expires', async () => {
+      authStreamSource.tokenTtlSeconds = 1;
+      await postStream(TEST_URLS.twitch[0]);
+      await clock.advance(1100);
+      const response = await postStream(TEST_URLS.twitch[1]);
+
+      expect(response.data.results[0].syncedToApi).toBe(true);
+      expect(authStreamSource.loginCount).toBe(2);
+    });
+
+    test('should log in again when StreamSource rejects the session', async () => {
+      await postStream(TEST_URLS.twitch[0]);
+      authStreamSource.jwtSecret = 'rotated_jwt_secret_also_30_chars_minimum';
+
+      const response = await postStream(TEST_URLS.twitch[1]);
+
+      expect(response.data.results[0].syncedToApi).toBe(true);
+      expect(authStreamSource.loginCount).toBe(2);
+    });
+  });
 
   test('should sync different platforms correctly', async () => {
     // Arrange: Multiple platforms (using only reliable ones)
@@ -266,17 +449,14 @@ describe('Monitor to StreamSource Integration', () => {
     // Act: Send streams from different platforms
     for (const { url } of platforms) {
       const message = generateDiscordMessage(`Stream: ${url}`);
-      await axios.post(`http://localhost:${monitorPort}/webhook/discord`, {
+      await axios.post(`${monitorUrl}/webhook/discord`, {
         type: 'MESSAGE_CREATE',
         data: message
       });
-      await delay(500); // Space out requests
     }
 
-    await delay(1500);
-
     // Assert: Platforms synced correctly
-    const streamsResponse = await axios.get(`http://localhost:${streamSourcePort}/api/v1/streams`, {
+    const streamsResponse = await axios.get(`${apiUrl}/streams`, {
       headers: { Authorization: `Bearer ${authToken}` }
     });
     
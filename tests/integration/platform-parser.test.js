@@ -0,0 +1,171 @@
+/**
+ * Platform Parser Test
+ * Tests URL extraction, platform adapters and canonical dedup in the monitor
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const {
+  parseStreamUrl,
+  extractStreamUrls,
+  registerPlatform,
+  listPlatforms
+} = require('../helpers/platform-parser');
+const { generateDiscordMessage, TEST_URLS } = require('../helpers/test-data');
+
+describe('Platform Parser', () => {
+  describe('parseStreamUrl', () => {
+    test.each([
+      ['https://www.twitch.tv/TestStreamer', { platform: 'twitch', channel: 'teststreamer', kind: 'live', canonicalUrl: 'https://www.twitch.tv/teststreamer' }],
+      ['twitch.tv/shorturl', { platform: 'twitch', channel: 'shorturl', kind: 'live' }],
+      ['https://www.twitch.tv/videos/123456', { platform: 'twitch', videoId: '123456', kind: 'video' }],
+      ['https://youtu.be/dQw4w9WgXcQ', { platform: 'youtube', videoId: 'dQw4w9WgXcQ', canonicalUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' }],
+      ['https://youtube.com/live/abcd1234', { platform: 'youtube', videoId: 'abcd1234', kind: 'live' }],
+      ['https://www.youtube.com/@SomeNews/live', { platform: 'youtube', channel: 'somenews', kind: 'live' }],
+      ['https://m.youtube.com/channel/UCxYz_AbC123/live?feature=share', { platform: 'youtube', channel: 'UCxYz_AbC123', kind: 'live', canonicalUrl: 'https://www.youtube.com/channel/UCxYz_AbC123/live' }],
+      ['https://youtube.com/c/CityCouncilTV', { platform: 'youtube', channel: 'CityCouncilTV', kind: 'channel', canonicalUrl: 'https://www.youtube.com/c/CityCouncilTV' }],
+      ['https://www.youtube.com/user/OldNewsDesk/live', { platform: 'youtube', channel: 'OldNewsDesk', canonicalUrl: 'https://www.youtube.com/user/OldNewsDesk/live' }],
+      ['https://tiktok.com/@anotheruser/live', { platform: 'tiktok', channel: 'anotheruser', kind: 'live' }],
+      ['kick.com/anothertest', { platform: 'kick', channel: 'anothertest', canonicalUrl: 'https://kick.com/anothertest' }],
+      ['https://fb.watch/abcd1234/', { platform: 'facebook', videoId: 'abcd1234', canonicalUrl: 'https://fb.watch/abcd1234/' }],
+      ['https://www.facebook.com/testpage/live', { platform: 'facebook', channel: 'testpage', kind: 'live' }],
+      ['https://rumble.com/v4abc12-city-hall-live.html', { platform: 'rumble', videoId: 'v4abc12', kind: 'video' }],
+      ['https://twitter.com/i/spaces/1OdKrjXyz', { platform: 'x', videoId: '1OdKrjXyz', kind: 'space', canonicalUrl: 'https://x.com/i/spaces/1OdKrjXyz' }],
+      ['https://www.instagram.com/reporter/live/', { platform: 'instagram', channel: 'reporter', kind: 'live' }]
+    ])('should parse %s', (url, expected) => {
+      expect(parseStreamUrl(url)).toMatchObject(expected);
+    });
+
+    test('should return null for URLs that are not streams', () => {
+      expect(parseStreamUrl('https://example.com/live')).toBeNull();
+      expect(parseStreamUrl('https://www.twitch.tv/directory')).toBeNull();
+      expect(parseStreamUrl('https://x.com/someone')).toBeNull();
+      expect(parseStreamUrl('not-a-url')).toBeNull();
+    });
+
+    test('should give the same canonical URL to tracking-param variants', () => {
+      const first = parseStreamUrl('https://kick.com/teststreamer?t=1');
+      const second = parseStreamUrl('https://KICK.com/TestStreamer?t=2');
+      expect(first.canonicalUrl).toBe(second.canonicalUrl);
+    });
+
+    test('should keep Facebook profile ids and share links in the identity', () => {
+      const first = parseStreamUrl('https://www.facebook.com/profile.php?id=100001&ref=feed');
+      const second = parseStreamUrl('https://m.facebook.com/profile.php?id=100002');
+      expect(first).toMatchObject({ platform: 'facebook', channel: '100001', canonicalUrl: 'https://www.facebook.com/profile.php?id=100001' });
+      expect(second.canonicalUrl).not.toBe(first.canonicalUrl);
+      expect(parseStreamUrl('https://facebook.com/profile.php')).toBeNull();
+
+      expect(parseStreamUrl('https://www.facebook.com/share/v/1AbCdEfGh/?mibextid=x')).toMatchObject({
+        videoId: '1AbCdEfGh',
+        kind: 'video',
+        canonicalUrl: 'https://www.facebook.com/share/v/1AbCdEfGh/'
+      });
+    });
+
+    test.each([
+      'https://www.facebook.com/groups/localnews',
+      'https://www.facebook.com/events/123456',
+      'https://www.facebook.com/share/p/1XyZ/',
+      'https://www.facebook.com/login',
+      'https://www.facebook.com/help/123',
+      'https://www.facebook.com/marketplace/item/9',
+      'https://www.facebook.com/pages/create'
+    ])('should not take the Facebook page %s for a stream', url => {
+      expect(parseStreamUrl(url)).toBeNull();
+    });
+
+    test('should keep YouTube channel ids and legacy names apart from handles', () => {
+      const canonical = url => parseStreamUrl(url).canonicalUrl;
+      expect(canonical('https://youtube.com/channel/UCabc')).not.toBe(canonical('https://youtube.com/channel/UCABC'));
+      expect(canonical('https://youtube.com/c/newsdesk')).not.toBe(canonical('https://youtube.com/@newsdesk'));
+      expect(canonical('https://youtube.com/user/newsdesk')).not.toBe(canonical('https://youtube.com/c/newsdesk'));
+      expect(canonical('https://youtube.com/@NewsDesk')).toBe(canonical('https://www.youtube.com/@newsdesk?si=x'));
+    });
+  });
+
+  describe('extractStreamUrls', () => {
+    test('should find every TEST_URLS entry in free text', () => {
+      const all = Object.values(TEST_URLS).flat();
+      const found = extractStreamUrls(`Links: ${all.join(' and ')}.`);
+      expect(found.map(f => f.url)).toEqual(all);
+    });
+
+    test('should strip trailing punctuation and ignore non-stream links', () => {
+      const found = extractStreamUrls('See (https://twitch.tv/abc), https://example.com and mail@kick.com!');
+      expect(found).toHaveLength(1);
+      expect(found[0].url).toBe('https://twitch.tv/abc');
+    });
+  });
+
+  describe('registerPlatform', () => {
+    test('should accept custom adapters', () => {
+      registerPlatform({
+        name: 'owncast',
+        hosts: ['watch.owncast.test'],
+        parse: () => ({ channel: 'main', videoId: null, kind: 'live' }),
+        canonical: () => 'https://watch.owncast.test/'
+      });
+
+      expect(listPlatforms()).toContain('owncast');
+      expect(parseStreamUrl('https://watch.owncast.test/anything')).toMatchObject({
+        platform: 'owncast',
+        canonicalUrl: 'https://watch.owncast.test/'
+      });
+    });
+
+    test('should reject incomplete adapters', () => {
+      expect(() => registerPlatform({ name: 'broken' })).toThrow();
+    });
+  });
+
+  describe('Monitor dedup on canonical identity', () => {
+    const fixtures = createFixtures();
+    let monitor;
+    let webhookUrl;
+
+    beforeAll(async () => {
+      monitor = await fixtures.monitor();
+      webhookUrl = `${monitor.url}/webhook/discord`;
+    });
+
+    afterAll(async () => {
+      await fixtures.stopAll();
+    });
+
+    afterEach(async () => {
+      await axios.post(`${monitor.url}/reset`).catch(() => {});
+    });
+
+    test('should treat URL variants of one stream as duplicates', async () => {
+      const response = await axios.post(webhookUrl, {
+        type: 'MESSAGE_CREATE',
+        data: generateDiscordMessage(
+          'https://kick.com/teststreamer?t=1 https://www.kick.com/teststreamer?t=2 https://youtu.be/dQw4w9WgXcQ https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+        )
+      });
+
+      expect(response.data.results.map(r => r.success)).toEqual([true, false, true, false]);
+
+      const streams = await axios.get(`${monitor.url}/streams`);
+      expect(streams.data).toHaveLength(2);
+      expect(streams.data[0]).toMatchObject({
+        url: 'https://kick.com/teststreamer?t=1',
+        canonical_url: 'https://kick.com/teststreamer',
+        platform: 'kick',
+        platform_channel: 'teststreamer',
+        kind: 'live'
+      });
+    });
+
+    test('should pick up scheme-less and short-link URLs', async () => {
+      await axios.post(webhookUrl, {
+        type: 'MESSAGE_CREATE',
+        data: generateDiscordMessage(`${TEST_URLS.twitch[2]} ${TEST_URLS.facebook[1]}`)
+      });
+
+      const streams = await axios.get(`${monitor.url}/streams`);
+      expect(streams.data.map(s => s.platform)).toEqual(['twitch', 'facebook']);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Real-time Updates Test
+ * Tests Discord → Monitor → StreamSource → ActionCable broadcast to Streamwall
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const CableClient = require('../helpers/cable-client');
+const { freePort } = require('../helpers/ports');
+const { generateDiscordMessage, TEST_URLS } = require('../helpers/test-data');
+
+describe('Real-time Updates', () => {
+  const fixtures = createFixtures();
+  let monitor;
+  let streamSource;
+  let client;
+  let cableUrl;
+  let apiUrl;
+
+  beforeAll(async () => {
+    streamSource = await fixtures.streamSource();
+    apiUrl = streamSource.apiUrl;
+    cableUrl = streamSource.cableUrl;
+
+    monitor = await fixtures.monitor({
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: 'dev_monitor_key'
+    });
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  beforeEach(async () => {
+    client = new CableClient(cableUrl, { token: 'dev_streamwall_key' });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client?.close();
+    await axios.post(`${monitor.url}/reset`).catch(() => {});
+    await axios.post(`${apiUrl}/reset`).catch(() => {});
+  });
+
+  test('should deliver a Discord post to a subscribed display client', async () => {
+    await client.subscribe('StreamChannel');
+    const testUrl = TEST_URLS.twitch[0];
+
+    await axios.post(`${monitor.url}/webhook/discord`, {
+      type: 'MESSAGE_CREATE',
+      data: generateDiscordMessage(`Live from Seattle, WA: ${testUrl}`)
+    });
+
+    const message = await client.waitForMessage(m => m.event === 'created');
+    expect(message.stream).toMatchObject({
+      link: testUrl,
+      platform: 'twitch',
+      city: 'Seattle',
+      state: 'WA'
+    });
+  });
+
+  test('should broadcast status changes and archives', async () => {
+    await client.subscribe('StreamChannel');
+    const { data: stream } = await axios.post(`${apiUrl}/streams`, {
+      link: TEST_URLS.kick[0],
+      platform: 'kick'
+    }, { headers: { Authorization: 'Bearer dev_monitor_key' } });
+
+    await axios.patch(`${apiUrl}/streams/${stream.id}`, { status: 'live', viewer_count: 42 }, {
+      headers: { Authorization: 'Bearer dev_updater_key' }
+    });
+    const updated = await client.waitForMessage(m => m.event === 'updated');
+    expect(updated.stream).toMatchObject({ id: stream.id, status: 'live', viewer_count: 42 });
+
+    const login = await axios.post(`${apiUrl}/users/login`, { email: 'admin@example.com', password: 'password123' });
+    await axios.post(`${apiUrl}/streams/${stream.id}/archive`, null, {
+      headers: { Authorization: `Bearer ${login.data.token}` }
+    });
+    const archived = await client.waitForMessage(m => m.event === 'archived');
+    expect(archived.stream.is_archived).toBe(true);
+
+    expect(client.messages.map(m => m.event)).toEqual(['created', 'updated', 'archived']);
+  });
+
+  test('should only send broadcasts to subscribed clients', async () => {
+    const idle = new CableClient(cableUrl, { token: 'dev_streamwall_key' });
+    await idle.connect();
+
+    try {
+      await client.subscribe('StreamsChannel');
+      await axios.post(`${monitor.url}/webhook/discord`, {
+        type: 'MESSAGE_CREATE',
+        data: generateDiscordMessage(`Stream: ${TEST_URLS.youtube[0]}`)
+      });
+
+      await client.waitForMessage(m => m.event === 'created');
+      expect(idle.messages).toHaveLength(0);
+    } finally {
+      idle.close();
+    }
+  });
+
+  test('should reject unknown channels', async () => {
+    await expect(client.subscribe('AdminChannel')).rejects.toThrow('rejected');
+  });
+
+  test('should refuse connections without a read-capable token', async () => {
+    await expect(new CableClient(cableUrl).connect()).rejects.toThrow('unauthorized');
+
+    const writer = new CableClient(cableUrl, { token: 'dev_monitor_key' });
+    await expect(writer.connect()).rejects.toThrow('unauthorized');
+  });
+
+  test('should fail a connect to an unreachable server straight away', async () => {
+    const unreachable = new CableClient(`ws://localhost:${await freePort()}/cable`);
+    const started = Date.now();
+
+    await expect(unreachable.connect(5000)).rejects.toThrow(/Cable socket error: .*ECONNREFUSED/);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Rules Engine Test
+ * Tests block/allow rules for URLs, channels and posters in the monitor
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { RulesEngine } = require('../helpers/rules-engine');
+const { generateDiscordMessage, stableId, TEST_URLS } = require('../helpers/test-data');
+
+describe('Rules Engine', () => {
+  describe('RulesEngine', () => {
+    const context = {
+      url: 'https://kick.com/spammer',
+      canonicalUrl: 'https://kick.com/spammer',
+      platform: 'kick',
+      channel: 'spammer',
+      content: 'FREE GIVEAWAY https://kick.com/spammer',
+      authorId: '42',
+      channelId: 'c1',
+      guildId: 'g1'
+    };
+
+    test('should apply the first rule whose conditions all match', () => {
+      const engine = new RulesEngine({
+        rules: [
+          { id: 'trusted-guild-kick', action: 'allow', platform: 'kick', guildId: 'g2' },
+          { id: 'no-giveaways', action: 'block', keyword: ['giveaway', 'free money'] },
+          { id: 'kick-ok', action: 'allow', platform: 'kick' }
+        ]
+      });
+
+      expect(engine.evaluate(context)).toEqual({ allowed: false, action: 'block', rule: 'no-giveaways' });
+      expect(engine.evaluate({ ...context, guildId: 'g2' }).rule).toBe('trusted-guild-kick');
+      expect(engine.evaluate({ ...context, content: 'hi' }).rule).toBe('kick-ok');
+      expect(engine.evaluate({ ...context, platform: 'twitch', content: 'hi' })).toEqual({ allowed: true, action: 'allow', rule: null });
+    });
+
+    test('should support allowlists with a blocking default', () => {
+      const engine = new RulesEngine({
+        defaultAction: 'block',
+        rules: [{ id: 'known-streamers', action: 'allow', urlPattern: '^https://(www\\.)?twitch\\.tv/(good|better)$' }]
+      });
+
+      expect(engine.evaluate({ ...context, url: 'https://twitch.tv/good' }).allowed).toBe(true);
+      expect(engine.evaluate(context)).toEqual({ allowed: false, action: 'block', rule: null });
+    });
+
+    test('should reject invalid rules', () => {
+      const engine = new RulesEngine();
+      expect(() => engine.configure({ rules: [{ action: 'maybe', platform: 'kick' }] })).toThrow('action must be one of');
+      expect(() => engine.configure({ rules: [{ action: 'block' }] })).toThrow('needs at least one of');
+      expect(() => engine.configure({ rules: [{ action: 'block', urlPattern: '(' }] })).toThrow('invalid urlPattern');
+      expect(() => engine.configure({ rules: [{ action: 'block', author: 'x' }] })).toThrow('unknown field author');
+      expect(() => engine.configure({ rules: [{ id: 'a', action: 'block', platform: 'x' }, { id: 'a', action: 'allow', platform: 'y' }] }))
+        .toThrow('Duplicate rule id a');
+    });
+
+    test('should load YAML and JSON files', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+      try {
+        const yamlFile = path.join(dir, 'rules.yaml');
+        fs.writeFileSync(yamlFile, [
+          'defaultAction: allow',
+          'rules:',
+          '  - id: block-tiktok',
+          '    action: block',
+          '    platform: tiktok'
+        ].join('\n'));
+        const jsonFile = path.join(dir, 'rules.json');
+        fs.writeFileSync(jsonFile, JSON.stringify({ rules: [{ id: 'block-kick', action: 'block', platform: 'kick' }] }));
+
+        const engine = new RulesEngine();
+        expect(engine.load(yamlFile).rules.map(r => r.id)).toEqual(['block-tiktok']);
+        expect(engine.load(jsonFile).rules.map(r => r.id)).toEqual(['block-kick']);
+        expect(engine.evaluate(context).rule).toBe('block-kick');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Monitor', () => {
+    const fixtures = createFixtures();
+    let client;
+    const post = (content, author) => client.post('/webhook/discord', {
+      type: 'MESSAGE_CREATE',
+      data: generateDiscordMessage(content, author)
+    });
+
+    beforeAll(async () => {
+      client = fixtures.client(await fixtures.monitor({ dualWriteMode: false }));
+    });
+
+    afterAll(async () => {
+      await fixtures.stopAll();
+    });
+
+    afterEach(async () => {
+      await client.put('/config/rules', { defaultAction: 'allow', rules: [] });
+      await client.post('/reset');
+    });
+
+    test('should record the blocking rule on each dropped URL', async () => {
+      await client.put('/config/rules', {
+        rules: [
+          { id: 'no-tiktok', action: 'block', platform: 'tiktok' },
+          { id: 'banned-author', action: 'block', authorId: stableId('troll#6666') }
+        ]
+      });
+
+      const mixed = await post(`${TEST_URLS.tiktok[0]} and ${TEST_URLS.twitch[0]}`);
+      expect(mixed.data.results).toEqual([
+        { url: TEST_URLS.tiktok[0], success: false, reason: 'blocked_by_rule', rule: 'no-tiktok' },
+        { url: TEST_URLS.twitch[0], success: true }
+      ]);
+
+      const troll = await post(TEST_URLS.kick[0], 'troll#6666');
+      expect(troll.data.results[0]).toMatchObject({ reason: 'blocked_by_rule', rule: 'banned-author' });
+
+      const streams = (await client.get('/streams')).data;
+      expect(streams.map(s => s.url)).toEqual([TEST_URLS.twitch[0]]);
+      expect((await client.get('/sync-status')).data.blockedCount).toBe(2);
+    });
+
+    test('should let a relaxed rule accept a previously blocked URL', async () => {
+      await client.post('/config/rules', { id: 'no-kick-channel', action: 'block', channel: 'TestStreamer', platform: 'kick' });
+      expect((await post(TEST_URLS.kick[0])).data.results[0].success).toBe(false);
+
+      expect((await client.delete('/config/rules/no-kick-channel')).status).toBe(200);
+      expect((await post(TEST_URLS.kick[0])).data.results[0].success).toBe(true);
+    });
+
+    test('should name the allow rule and the default when allowlisting', async () => {
+      await client.put('/config/rules', {
+        defaultAction: 'block',
+        rules: [{ id: 'ops-channel', action: 'allow', channelId: 'test-channel-id' }]
+      });
+      expect((await post(TEST_URLS.youtube[0])).data.results[0]).toEqual({ url: TEST_URLS.youtube[0], success: true, rule: 'ops-channel' });
+
+      await client.put('/config/rules', { defaultAction: 'block', rules: [] });
+      expect((await post(TEST_URLS.youtube[1])).data.results[0]).toMatchObject({ reason: 'blocked_by_rule', rule: 'default' });
+    });
+
+    test('should validate runtime edits', async () => {
+      expect((await client.put('/config/rules', { rules: [{ action: 'block' }] })).status).toBe(400);
+      expect((await client.post('/config/rules', { id: 'x', action: 'block', keyword: 'spam' })).status).toBe(201);
+      expect((await client.post('/config/rules', { id: 'x', action: 'block', keyword: 'spam' })).status).toBe(409);
+      expect((await client.delete('/config/rules/missing')).status).toBe(404);
+      expect((await client.post('/config/rules/reload')).status).toBe(400);
+
+      const { data } = await client.get('/config/rules');
+      expect(data).toEqual({ defaultAction: 'allow', rules: [{ id: 'x', action: 'block', keyword: 'spam' }], file: null });
+    });
+  });
+});
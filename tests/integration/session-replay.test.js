@@ -0,0 +1,204 @@
+/**
+ * Session Record and Replay Test
+ * Tests capturing webhook and StreamSource/platform traffic into versioned
+ * session fixtures and feeding a recorded event night back through the monitor
+ */
+
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { FakeClock, sequentialIds } = require('../helpers/clock');
+const { freePort, localUrl } = require('../helpers/ports');
+const { waitForEvent } = require('../helpers/events');
+const { formatPrivmsg } = require('../helpers/tmi-listener');
+const { createDiscordSigner } = require('../helpers/discord-signature');
+const { generateDiscordMessage, generateTwitchMessage } = require('../helpers/test-data');
+const {
+  SessionRecorder,
+  SessionReplayer,
+  SESSION_FORMAT,
+  SESSION_VERSION,
+  loadSession,
+  exchanges
+} = require('../helpers/session-recorder');
+
+// Recorded with the monitor key, as docker-compose and LocalStack wire it
+const EVENT_NIGHT = path.join(__dirname, '../fixtures/sessions/event-night.json');
+const MONITOR_KEY = 'dev_monitor_key';
+// A login, so the recording has credentials to redact
+const ADMIN = { email: 'admin@example.com', password: 'password123' };
+
+describe('Session Record and Replay', () => {
+  const fixtures = createFixtures();
+  let recorder;
+
+  afterEach(async () => {
+    recorder?.detach?.();
+    await fixtures.stopAll();
+  });
+
+  describe('recording', () => {
+    test('should capture webhooks and exchanges with StreamSource and the platforms', async () => {
+      recorder = new SessionRecorder({ meta: { description: 'stack smoke test' } });
+      const stack = await fixtures.stack({ monitor: { recorder } });
+      recorder.target('platforms', stack.urls.platforms).attach();
+
+      await axios.post(`${stack.urls.monitor}/webhook/discord`, {
+        type: 'MESSAGE_CREATE',
+        data: generateDiscordMessage('Live in Denver, CO https://twitch.tv/recordme')
+      });
+      stack.platforms.setLive('twitch', 'recordme', { viewerCount: 7 });
+      await stack.updater.runOnce();
+      recorder.detach();
+
+      const session = recorder.session();
+      expect(session).toMatchObject({ format: SESSION_FORMAT, version: SESSION_VERSION, meta: { description: 'stack smoke test' } });
+      expect(session.targets).toEqual(['platforms', 'streamsource']);
+
+      const inbound = session.entries.filter(entry => entry.kind === 'inbound');
+      expect(inbound).toHaveLength(1);
+      expect(inbound[0]).toMatchObject({
+        route: '/webhook/discord',
+        body: { type: 'MESSAGE_CREATE', data: { content: 'Live in Denver, CO https://twitch.tv/recordme' } }
+      });
+
+      // The test's own calls to the monitor aren't a target, so only the stack's traffic is kept
+      const traffic = exchanges(session);
+      expect(traffic[0]).toEqual({
+        target: 'streamsource', method: 'POST', path: '/streams', status: 201, link: 'https://twitch.tv/recordme'
+      });
+      expect(traffic.map(exchange => exchange.target)).toContain('platforms');
+      expect(traffic).toContainEqual(expect.objectContaining({ target: 'streamsource', method: 'PATCH', path: '/streams/:id', status: 200 }));
+    });
+
+    test('should record TMI lines in webhook shape, network failures and redacted secrets', async () => {
+      const port = await freePort();
+      recorder = new SessionRecorder();
+      const monitor = await fixtures.monitor({
+        recorder,
+        twitchIrcPort: 0,
+        streamSourceUrl: `${localUrl(port)}/api/v1`,
+        streamSourceCredentials: ADMIN
+      });
+      recorder.attach();
+
+      const failed = waitForEvent(monitor.events, 'sync.failed');
+      const socket = net.connect(monitor.twitchIrcPort, 'localhost');
+      await new Promise(resolve => socket.once('connect', resolve));
+      socket.write(`${formatPrivmsg('#relay', generateTwitchMessage('up now https://kick.com/ircrecorded', 'ircuser'))}\r\n`);
+      await failed;
+      socket.destroy();
+      recorder.detach();
+
+      const [inbound, login] = recorder.session().entries;
+      expect(inbound).toMatchObject({
+        kind: 'inbound',
+        route: '/webhook/twitch',
+        body: { channel: '#relay', data: { username: 'ircuser', content: 'up now https://kick.com/ircrecorded' } }
+      });
+      expect(login).toMatchObject({
+        kind: 'outbound',
+        target: 'streamsource',
+        method: 'POST',
+        path: '/users/login',
+        status: null,
+        error: 'ECONNREFUSED',
+        request: { email: ADMIN.email, password: '[redacted]' }
+      });
+
+      // Replaying the saved file posts the TMI line through the webhook route
+      const file = recorder.save(path.join(fixtures.tmpDir('session'), 'tmi.json'));
+      const offline = await fixtures.monitor({ dualWriteMode: false });
+      const { results } = await new SessionReplayer(file).replay(offline.url, { speed: Infinity });
+      expect(results).toEqual([expect.objectContaining({ route: '/webhook/twitch', status: 200 })]);
+      expect((await axios.get(`${offline.url}/streams`)).data[0]).toMatchObject({ channel: 'relay', posted_by: 'ircuser' });
+    });
+  });
+
+  describe('replay', () => {
+    test('should reproduce a recorded event night against a fresh stack', async () => {
+      const recorded = loadSession(EVENT_NIGHT);
+      const streamSource = await fixtures.streamSource();
+      const clock = new FakeClock(recorded.recorded_at);
+      recorder = new SessionRecorder({ clock });
+      const monitor = await fixtures.monitor({
+        clock,
+        recorder,
+        idGenerator: sequentialIds('stream-'),
+        streamSourceUrl: streamSource.apiUrl,
+        streamSourceApiKey: MONITOR_KEY
+      });
+      recorder.attach();
+
+      const { sent, results } = await new SessionReplayer(recorded).replay(monitor.url, { speed: Infinity });
+      recorder.detach();
+
+      expect(sent).toBe(7);
+      expect(results.every(result => result.status === 200)).toBe(true);
+      expect(exchanges(recorder.session())).toEqual(exchanges(recorded));
+
+      const { data: streams } = await axios.get(`${monitor.url}/streams`);
+      expect(streams.map(s => [s.id, s.platform, s.sighting_count])).toEqual([
+        ['stream-1', 'twitch', 2],
+        ['stream-2', 'youtube', 1],
+        ['stream-3', 'kick', 2],
+        ['stream-4', 'tiktok', 1],
+        ['stream-5', 'youtube', 1]
+      ]);
+      expect(streams[0]).toMatchObject({ city: 'Denver', state: 'CO' });
+    });
+
+    test('should pace webhooks by the recorded gaps divided by speed', () => {
+      const replayer = new SessionReplayer(EVENT_NIGHT);
+
+      expect(replayer.schedule(60).map(step => step.delayMs)).toEqual([0, 4000, 3000, 11000, 2000, 25000, 40000]);
+      expect(replayer.schedule().map(step => step.delayMs)).toEqual([0, 240000, 180000, 660000, 120000, 1500000, 2400000]);
+      expect(replayer.schedule(Infinity).every(step => step.delayMs === 0)).toBe(true);
+      expect(() => replayer.schedule(0)).toThrow('Replay speed must be positive');
+    });
+
+    test('should wait out the gaps on the given clock', async () => {
+      const clock = new FakeClock();
+      const start = clock.now();
+      const monitor = await fixtures.monitor({ dualWriteMode: false });
+      const sentAt = [];
+      let finished = false;
+      const replaying = new SessionReplayer(EVENT_NIGHT, { clock })
+        .replay(monitor.url, { speed: 60, onEntry: () => sentAt.push(clock.now() - start) })
+        .finally(() => { finished = true; });
+
+      // Jump to each wait as soon as the replayer starts it; posts in flight take real time
+      while (!finished) {
+        if (clock.pendingTimers) {
+          await clock.advance(clock.nextDue(Infinity).at - clock.now());
+        } else {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      }
+      expect((await replaying).sent).toBe(7);
+      expect(sentAt).toEqual([0, 4000, 7000, 18000, 20000, 45000, 85000]);
+    });
+
+    test('should re-sign Discord bodies for a monitor that verifies them', async () => {
+      const signer = createDiscordSigner();
+      const monitor = await fixtures.monitor({ dualWriteMode: false, discord: { publicKey: signer.publicKey } });
+      const discordStatuses = ({ results }) => results.filter(r => r.route === '/webhook/discord').map(r => r.status);
+
+      expect(discordStatuses(await new SessionReplayer(EVENT_NIGHT).replay(monitor.url, { speed: Infinity })))
+        .toEqual([401, 401, 401, 401, 401, 401]);
+      expect(discordStatuses(await new SessionReplayer(EVENT_NIGHT, { signer }).replay(monitor.url, { speed: Infinity })))
+        .toEqual([200, 200, 200, 200, 200, 200]);
+    });
+
+    test('should reject sessions of another format or version', () => {
+      const recorded = loadSession(EVENT_NIGHT);
+
+      expect(() => loadSession({ ...recorded, format: 'har' })).toThrow(expect.objectContaining({ code: 'invalid_format' }));
+      expect(() => loadSession({ ...recorded, version: 2 }))
+        .toThrow('Session version 2 is not supported (expected 1)');
+      expect(() => new SessionReplayer(path.join(__dirname, 'missing.json')))
+        .toThrow(expect.objectContaining({ name: 'SessionError', code: 'unreadable' }));
+    });
+  });
+});
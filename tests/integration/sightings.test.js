@@ -0,0 +1,171 @@
+/**
+ * Duplicate Sightings Test
+ * Tests reposts being merged into the existing stream and PATCHed to StreamSource
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { generateDiscordMessage, generateTwitchMessage } = require('../helpers/test-data');
+
+describe('Duplicate Sightings', () => {
+  const fixtures = createFixtures();
+  let monitor;
+  let streamSource;
+  let adminToken;
+  let apiUrl;
+  let client;
+
+  const postDiscord = async (content, author, channel) => {
+    const message = generateDiscordMessage(content, author);
+    if (channel) message.channel = { id: `${channel}-id`, name: channel };
+    return (await client.post('/webhook/discord', { type: 'MESSAGE_CREATE', data: message })).data.results[0];
+  };
+  const monitorStream = async () => (await client.get('/streams')).data[0];
+  const sourceStream = async id => (await axios.get(`${apiUrl}/streams/${id}`, {
+    headers: { Authorization: 'Bearer dev_streamwall_key' }
+  })).data;
+
+  beforeAll(async () => {
+    streamSource = await fixtures.streamSource();
+    apiUrl = streamSource.apiUrl;
+
+    const credentials = { email: 'admin@example.com', password: 'password123' };
+    adminToken = (await axios.post(`${apiUrl}/users/login`, credentials)).data.token;
+
+    // The monitor key may update the streams it created, so sightings reach StreamSource
+    monitor = await fixtures.monitor({
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: 'dev_monitor_key'
+    });
+    client = fixtures.client(monitor);
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    await client.post('/config/moderation', { enabled: false });
+    await client.post('/reset');
+    await axios.post(`${apiUrl}/reset`).catch(() => {});
+  });
+
+  test('should record a repost as a sighting on the existing stream', async () => {
+    await postDiscord('Live from Austin, TX https://twitch.tv/bridgecam', 'first#0001', 'tx-news');
+    const repost = await postDiscord('Also up https://www.twitch.tv/bridgecam?ref=share', 'second#0002', 'general');
+
+    const stream = await monitorStream();
+    expect(repost).toEqual({
+      url: 'https://www.twitch.tv/bridgecam?ref=share',
+      success: false,
+      reason: 'duplicate',
+      stream_id: stream.id,
+      sighting_count: 2,
+      revived: false,
+      syncedToApi: true
+    });
+
+    expect(stream.sighting_count).toBe(2);
+    expect(stream.last_seen_at).toBe(stream.sightings[1].seen_at);
+    expect(stream.sightings).toEqual([
+      expect.objectContaining({ posted_by: 'first', channel: 'tx-news', location: expect.objectContaining({ city: 'Austin', state: 'TX' }) }),
+      expect.objectContaining({ posted_by: 'second', channel: 'general', source: 'Discord', location: null })
+    ]);
+
+    const synced = await sourceStream(stream.streamsource_id);
+    expect(synced).toMatchObject({ sighting_count: 2, last_seen_at: stream.last_seen_at });
+    expect(synced.sightings.map(s => s.posted_by)).toEqual(['first', 'second']);
+  });
+
+  test('should merge sightings across Discord and Twitch', async () => {
+    await postDiscord('https://kick.com/crosspost');
+    await client.post('/webhook/twitch', { channel: 'relay', data: generateTwitchMessage('https://kick.com/crosspost', 'chatter') });
+
+    const stream = await monitorStream();
+    expect(stream.sightings.map(s => [s.source, s.posted_by])).toEqual([['Discord', 'test_user'], ['Twitch', 'chatter']]);
+  });
+
+  test('should adopt a more confident location from a later sighting', async () => {
+    await postDiscord('Watching https://twitch.tv/rivercam in Portland');
+    expect(await monitorStream()).toMatchObject({ city: 'Portland', location_confidence: 0.4 });
+
+    await postDiscord('https://twitch.tv/rivercam is Portland, OR');
+    const stream = await monitorStream();
+    expect(stream).toMatchObject({ city: 'Portland', state: 'OR', location_confidence: 0.95 });
+    expect(await sourceStream(stream.streamsource_id)).toMatchObject({ state: 'OR', lat: stream.lat });
+
+    // A vaguer place later on doesn't override it
+    await postDiscord('https://twitch.tv/rivercam somewhere in Texas');
+    expect(await monitorStream()).toMatchObject({ state: 'OR', sighting_count: 3 });
+  });
+
+  test('should revive a stale stream when it is seen again', async () => {
+    await postDiscord('https://twitch.tv/nightcam');
+    const stream = await monitorStream();
+
+    for (const status of ['offline', 'stale']) {
+      await client.patch(`/streams/${stream.id}`, { status });
+      await axios.patch(`${apiUrl}/streams/${stream.streamsource_id}`, { status }, {
+        headers: { Authorization: `Bearer ${adminToken}` }
+      });
+    }
+
+    const repost = await postDiscord('nightcam is back https://twitch.tv/nightcam');
+    expect(repost).toMatchObject({ revived: true, syncedToApi: true });
+
+    const history = (await client.get(`/streams/${stream.id}/history`)).data.history;
+    expect(history[history.length - 1]).toMatchObject({ from: 'stale', to: 'live', reason: 'sighting' });
+    expect((await sourceStream(stream.streamsource_id)).status).toBe('live');
+  });
+
+  test('should keep sightings for queued streams without syncing them', async () => {
+    await client.post('/config/moderation', { enabled: true });
+    await postDiscord('https://twitch.tv/queuedcam', 'stranger#0001');
+
+    const repost = await postDiscord('https://twitch.tv/queuedcam', 'stranger#0002');
+    expect(repost).toMatchObject({ sighting_count: 2, syncedToApi: false });
+    expect((await monitorStream()).moderation.status).toBe('pending');
+  });
+
+  test('should cap the stored sightings but keep counting', async () => {
+    // Spread over channels so no one channel's rate limit refuses the reposts
+    for (let i = 0; i < 52; i++) {
+      await postDiscord('https://kick.com/popular', `poster${i}#0001`, `room${i}`);
+    }
+
+    const stream = await monitorStream();
+    expect(stream.sighting_count).toBe(52);
+    expect(stream.sightings).toHaveLength(50);
+    expect(stream.sightings[0].posted_by).toBe('poster2');
+  });
+
+  test('should not count reposts that a rule blocks', async () => {
+    await postDiscord('https://twitch.tv/raided', 'first#0001', 'news');
+    await client.post('/config/rules', { id: 'no-raid', action: 'block', channelId: 'raid-id' });
+
+    try {
+      const blocked = await postDiscord('https://twitch.tv/raided', 'raider#0001', 'raid');
+      expect(blocked).toMatchObject({ success: false, reason: 'blocked_by_rule', rule: 'no-raid' });
+    } finally {
+      await client.delete('/config/rules/no-raid');
+    }
+
+    const stream = await monitorStream();
+    expect(stream.sighting_count).toBe(1);
+    expect((await sourceStream(stream.streamsource_id)).sighting_count).toBe(1);
+  });
+
+  test('should not count reposts past the rate limit', async () => {
+    await postDiscord('https://twitch.tv/flooded', 'first#0001', 'news');
+
+    // The author bucket holds 10, so the eleventh repost is refused
+    const reposts = [];
+    for (let i = 0; i < 11; i++) {
+      reposts.push(await postDiscord('https://twitch.tv/flooded', 'flooder#0001', `room${i}`));
+    }
+
+    expect(reposts.slice(0, 10).every(r => r.reason === 'duplicate')).toBe(true);
+    expect(reposts[10]).toMatchObject({ success: false, reason: 'rate_limited', scope: 'author' });
+    expect((await monitorStream()).sighting_count).toBe(11);
+  });
+});
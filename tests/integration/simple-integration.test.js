@@ -4,34 +4,31 @@
  */
 
 const axios = require('axios');
-const MockLivestreamMonitor = require('../helpers/mock-livestream-monitor');
+const { createFixtures } = require('../helpers/fixtures');
 
 describe('Simple Integration Tests', () => {
-  let mockMonitor;
-  const testPort = 3101; // Use different port to avoid conflicts
+  const fixtures = createFixtures();
+  let baseUrl;
   
   beforeAll(async () => {
-    mockMonitor = new MockLivestreamMonitor(testPort);
-    await mockMonitor.start();
+    baseUrl = (await fixtures.monitor({ dualWriteMode: false })).url;
   });
   
   afterAll(async () => {
-    if (mockMonitor) {
-      await mockMonitor.stop();
-    }
+    await fixtures.stopAll();
   });
   
   afterEach(async () => {
     // Reset between tests
     try {
-      await axios.post(`http://localhost:${testPort}/reset`);
+      await axios.post(`${baseUrl}/reset`);
     } catch (error) {
       // Ignore reset errors
     }
   });
 
   test('should start mock service successfully', async () => {
-    const response = await axios.get(`http://localhost:${testPort}/health`);
+    const response = await axios.get(`${baseUrl}/health`);
     expect(response.status).toBe(200);
     expect(response.data.status).toBe('healthy');
   });
@@ -47,7 +44,7 @@ describe('Simple Integration Tests', () => {
       }
     };
 
-    const response = await axios.post(`http://localhost:${testPort}/webhook/discord`, testMessage);
+    const response = await axios.post(`${baseUrl}/webhook/discord`, testMessage);
     expect(response.status).toBe(200);
     expect(response.data.success).toBe(true);
     expect(response.data.results).toHaveLength(1);
@@ -72,10 +69,10 @@ describe('Simple Integration Tests', () => {
         }
       };
 
-      await axios.post(`http://localhost:${testPort}/webhook/discord`, testMessage);
+      await axios.post(`${baseUrl}/webhook/discord`, testMessage);
     }
 
-    const streams = await axios.get(`http://localhost:${testPort}/streams`);
+    const streams = await axios.get(`${baseUrl}/streams`);
     expect(streams.data).toHaveLength(platforms.length);
     
     for (const { url, platform } of platforms) {
@@ -94,9 +91,9 @@ describe('Simple Integration Tests', () => {
       }
     };
 
-    await axios.post(`http://localhost:${testPort}/webhook/discord`, testMessage);
+    await axios.post(`${baseUrl}/webhook/discord`, testMessage);
     
-    const streams = await axios.get(`http://localhost:${testPort}/streams`);
+    const streams = await axios.get(`${baseUrl}/streams`);
     expect(streams.data).toHaveLength(1);
     expect(streams.data[0].city).toBe('Seattle');
     expect(streams.data[0].state).toBe('WA');
@@ -114,10 +111,10 @@ describe('Simple Integration Tests', () => {
           author: { username: `user${i}` }
         }
       };
-      await axios.post(`http://localhost:${testPort}/webhook/discord`, testMessage);
+      await axios.post(`${baseUrl}/webhook/discord`, testMessage);
     }
 
-    const streams = await axios.get(`http://localhost:${testPort}/streams`);
+    const streams = await axios.get(`${baseUrl}/streams`);
     expect(streams.data).toHaveLength(1); // Only one stream should be stored
   });
 
@@ -127,7 +124,7 @@ describe('Simple Integration Tests', () => {
       data: null
     };
 
-    const response = await axios.post(`http://localhost:${testPort}/webhook/discord`, invalidData)
+    const response = await axios.post(`${baseUrl}/webhook/discord`, invalidData)
       .catch(e => e.response);
 
     expect(response.status).toBe(400);
@@ -135,7 +132,7 @@ describe('Simple Integration Tests', () => {
   });
 
   test('should provide sync status endpoint', async () => {
-    const response = await axios.get(`http://localhost:${testPort}/sync-status`);
+    const response = await axios.get(`${baseUrl}/sync-status`);
     expect(response.status).toBe(200);
     expect(response.data).toHaveProperty('dualWriteMode');
     expect(response.data).toHaveProperty('processedCount');
@@ -4,26 +4,30 @@
  */
 
 const axios = require('axios');
-const MockLivestreamMonitor = require('../helpers/mock-livestream-monitor');
+const { createFixtures } = require('../helpers/fixtures');
+const { RateLimiter } = require('../helpers/rate-limiter');
 const {
   waitForService
 } = require('../helpers/services');
 const {
   generateDiscordMessage,
-  TEST_URLS,
-  delay
+  TEST_URLS
 } = require('../helpers/test-data');
 
 describe('Stream Discovery Pipeline', () => {
+  const fixtures = createFixtures();
   let mockMonitor;
-  const testPort = 3001;
-  const healthUrl = `http://localhost:${testPort}/health`;
-  const webhookUrl = `http://localhost:${testPort}/webhook/discord`;
+  let baseUrl;
+  let healthUrl;
+  let webhookUrl;
 
   beforeAll(async () => {
     console.log('Starting mock livestream-link-monitor...');
-    mockMonitor = new MockLivestreamMonitor(testPort);
-    await mockMonitor.start();
+    // No StreamSource in this suite, so run standalone rather than as a degraded dual-writer
+    mockMonitor = await fixtures.monitor({ dualWriteMode: false });
+    baseUrl = mockMonitor.url;
+    healthUrl = `${baseUrl}/health`;
+    webhookUrl = `${baseUrl}/webhook/discord`;
     
     // Wait for service to be healthy
     await waitForService(healthUrl);
@@ -32,15 +36,13 @@ describe('Stream Discovery Pipeline', () => {
 
   afterAll(async () => {
     // Stop mock service
-    if (mockMonitor) {
-      await mockMonitor.stop();
-    }
+    await fixtures.stopAll();
   });
   
   afterEach(async () => {
     // Reset mock service between tests
     if (mockMonitor) {
-      await axios.post(`http://localhost:${testPort}/reset`);
+      await axios.post(`${baseUrl}/reset`);
     }
   });
 
@@ -59,11 +61,8 @@ describe('Stream Discovery Pipeline', () => {
       // Assert
       expect(response.status).toBe(200);
 
-      // Wait for processing
-      await delay(2000);
-
       // Check if stream was processed by the mock service
-      const streams = await axios.get(`http://localhost:${testPort}/streams`);
+      const streams = await axios.get(`${baseUrl}/streams`);
       expect(streams.data).toHaveLength(1);
       expect(streams.data[0].url).toBe(testUrl);
       expect(streams.data[0].platform).toBe('twitch');
@@ -84,9 +83,7 @@ describe('Stream Discovery Pipeline', () => {
       // Assert
       expect(response.status).toBe(200);
 
-      await delay(2000);
-
-      const streams = await axios.get(`http://localhost:${testPort}/streams`);
+      const streams = await axios.get(`${baseUrl}/streams`);
       expect(streams.data).toHaveLength(1);
       expect(streams.data[0].city).toBe('Chicago');
       expect(streams.data[0].state).toBe('IL');
@@ -104,34 +101,46 @@ describe('Stream Discovery Pipeline', () => {
         data: message1
       });
 
-      await delay(2000);
-
       // Send duplicate
       const response2 = await axios.post(webhookUrl, {
         type: 'MESSAGE_CREATE',
         data: message2
       });
 
-      await delay(2000);
-
       // Assert - second response should indicate duplicate
       expect(response2.data.results[0].success).toBe(false);
       expect(response2.data.results[0].reason).toBe('duplicate');
       
       // Should still only have one stream
-      const streams = await axios.get(`http://localhost:${testPort}/streams`);
+      const streams = await axios.get(`${baseUrl}/streams`);
       expect(streams.data).toHaveLength(1);
     });
+  });
+
+  describe('Rate Limiting', () => {
+    let rateLimitUrl;
+    let defaults;
+
+    beforeAll(async () => {
+      rateLimitUrl = `${baseUrl}/config/rate-limit`;
+      defaults = (await axios.get(rateLimitUrl)).data;
+    });
+
+    afterEach(async () => {
+      const { activeBuckets, ...config } = defaults;
+      await axios.post(rateLimitUrl, config);
+    });
 
     test('should respect rate limits per user', async () => {
       // Arrange
+      await axios.post(rateLimitUrl, { author: { capacity: 3, refillPerMinute: 0 } });
       const user = 'ratelimit_test#9999';
       const messages = [];
       
-      // Create multiple messages from same user
+      // Create multiple messages from same user, each with a distinct stream
       for (let i = 0; i < 5; i++) {
         messages.push(generateDiscordMessage(
-          `Stream ${i}: ${TEST_URLS.kick[0]}?t=${i}`,
+          `Stream ${i}: https://kick.com/ratelimit${i}`,
           user
         ));
       }
@@ -146,13 +155,75 @@ describe('Stream Discovery Pipeline', () => {
         )
       );
 
-      await delay(3000);
+      // Assert - only the author's bucket worth of URLs got through
+      const results = responses.flatMap(r => r.data.results);
+      expect(results.filter(r => r.success)).toHaveLength(3);
+      expect(results.filter(r => r.reason === 'rate_limited')).toEqual([
+        expect.objectContaining({ scope: 'author' }),
+        expect.objectContaining({ scope: 'author' })
+      ]);
 
-      // Assert - mock doesn't implement rate limiting yet, but we can check 
-      // that all URLs were processed
-      const streams = await axios.get(`http://localhost:${testPort}/streams`);
-      expect(streams.data.length).toBeGreaterThan(0);
-      expect(streams.data.length).toBeLessThanOrEqual(messages.length);
+      const streams = await axios.get(`${baseUrl}/streams`);
+      expect(streams.data).toHaveLength(3);
+
+      const status = await axios.get(`${baseUrl}/sync-status`);
+      expect(status.data.rateLimitedCount).toBe(2);
+      expect(status.data.rateLimit.author.capacity).toBe(3);
+    });
+
+    test('should limit a whole channel regardless of author', async () => {
+      await axios.post(rateLimitUrl, { channel: { capacity: 2, refillPerMinute: 0 } });
+
+      for (let i = 0; i < 3; i++) {
+        await axios.post(webhookUrl, {
+          type: 'MESSAGE_CREATE',
+          data: generateDiscordMessage(`https://twitch.tv/raid${i}`, `raider${i}#000${i}`)
+        });
+      }
+
+      const streams = await axios.get(`${baseUrl}/streams`);
+      expect(streams.data).toHaveLength(2);
+    });
+
+    test('should reply 429 to whole-request floods', async () => {
+      await axios.post(rateLimitUrl, { message: { capacity: 2, refillPerMinute: 1 } });
+      const send = () => axios.post(webhookUrl, {
+        type: 'MESSAGE_CREATE',
+        data: generateDiscordMessage('no links here', 'flooder#1111')
+      }).catch(e => e.response);
+
+      expect((await send()).status).toBe(200);
+      expect((await send()).status).toBe(200);
+
+      const flooded = await send();
+      expect(flooded.status).toBe(429);
+      expect(flooded.data.scope).toBe('message');
+      expect(flooded.headers['retry-after']).toBe('60');
+    });
+
+    test('should evict buckets once they have refilled', () => {
+      let now = 0;
+      const limiter = new RateLimiter({ author: { capacity: 2, refillPerMinute: 2 } }, () => now);
+      limiter.consume({ author: 'once' });
+      limiter.consume({ author: 'twice' });
+      limiter.consume({ author: 'twice' });
+      expect(limiter.status().activeBuckets).toBe(2);
+
+      // One token back every 30s: 'once' is full again, 'twice' still a token short
+      now = 30000;
+      expect(limiter.status().activeBuckets).toBe(1);
+
+      // Consuming prunes too, at most once a minute
+      now = 90000;
+      expect(limiter.consume({ author: 'newcomer' })).toEqual({ allowed: true });
+      expect(Array.from(limiter.buckets.keys())).toEqual(['author:newcomer']);
+    });
+
+    test('should reject invalid limit configuration', async () => {
+      const response = await axios.post(rateLimitUrl, { author: { capacity: 0 } })
+        .catch(e => e.response);
+
+      expect(response.status).toBe(400);
     });
   });
 
@@ -170,10 +241,8 @@ describe('Stream Discovery Pipeline', () => {
         data: message
       });
 
-      await delay(2000);
-
       // Assert
-      const streams = await axios.get(`http://localhost:${testPort}/streams`);
+      const streams = await axios.get(`${baseUrl}/streams`);
       expect(streams.data.length).toBeGreaterThan(0);
       const latestStream = streams.data[streams.data.length - 1];
       expect(latestStream.url).toBe(testUrl);
@@ -212,11 +281,10 @@ describe('Stream Discovery Pipeline', () => {
           type: 'MESSAGE_CREATE',
           data: message
         });
-        await delay(1000);
       }
 
       // Assert - should have processed the valid URL
-      const streams = await axios.get(`http://localhost:${testPort}/streams`);
+      const streams = await axios.get(`${baseUrl}/streams`);
       const tiktokStreams = streams.data.filter(s => s.url === TEST_URLS.tiktok[0]);
       expect(tiktokStreams.length).toBeGreaterThan(0);
     });
@@ -245,7 +313,6 @@ describe('Stream Discovery Pipeline', () => {
         } catch (error) {
           // Service might be temporarily unavailable
         }
-        await delay(1000);
       }
 
       // Assert - should be healthy most of the time
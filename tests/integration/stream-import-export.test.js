@@ -0,0 +1,237 @@
+/**
+ * Stream Import/Export Test
+ * Tests livesheet rows moving in and out of the monitor and StreamSource as CSV, JSON and NDJSON
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { parseCsv, parseRows, formatRows, SHEET_COLUMNS } = require('../helpers/stream-sheet');
+const { generateDiscordMessage } = require('../helpers/test-data');
+
+const run = promisify(execFile);
+const CLI = path.join(__dirname, '../../bin/streamwall-streams');
+
+describe('Stream Import/Export', () => {
+  const fixtures = createFixtures();
+  let monitor;
+  let streamSource;
+  let apiUrl;
+  let client;
+  let api;
+  const auth = key => ({ headers: { Authorization: `Bearer ${key}` } });
+
+  const SHEET = [
+    'Source,Platform,Link,Status,City,State,Added Date,Posted By',
+    'Discord,Twitch,https://twitch.tv/plazacam,Live,Denver,CO,2024-06-01T18:30:00Z,reporter',
+    '"Field, team",,https://www.youtube.com/watch?v=abcDEF12345,offline,"Portland",OR,,"night ""owl"""',
+    ''
+  ].join('\r\n');
+
+  beforeAll(async () => {
+    streamSource = await fixtures.streamSource();
+    apiUrl = streamSource.apiUrl;
+    api = axios.create({ baseURL: apiUrl, validateStatus: () => true });
+
+    monitor = await fixtures.monitor({
+      streamSourceUrl: apiUrl,
+      streamSourceApiKey: 'dev_monitor_key'
+    });
+    client = fixtures.client(monitor);
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    await client.post('/config/dual-write', { enabled: true });
+    await client.post('/reset');
+    await api.post('/reset');
+  });
+
+  test('should import sheet rows into the monitor and sync them', async () => {
+    const { status, data } = await client.post('/streams/import', SHEET, { headers: { 'Content-Type': 'text/csv' } });
+
+    expect(status).toBe(200);
+    expect(data).toMatchObject({ total: 2, imported: 2, failed: 0 });
+    expect(data.results[0]).toMatchObject({ row: 1, link: 'https://twitch.tv/plazacam', success: true, syncedToApi: true });
+
+    const streams = (await client.get('/streams')).data;
+    expect(streams[0]).toMatchObject({
+      source: 'Discord',
+      platform: 'twitch',
+      status: 'live',
+      city: 'Denver',
+      state: 'CO',
+      lat: expect.any(Number),
+      added_date: '2024-06-01T18:30:00.000Z',
+      posted_by: 'reporter'
+    });
+    expect(streams[1]).toMatchObject({ source: 'Field, team', platform: 'youtube', status: 'offline', posted_by: 'night "owl"' });
+    expect((await client.get(`/streams/${streams[0].id}/history`)).data.history[0]).toMatchObject({ to: 'live', reason: 'import' });
+
+    const synced = (await api.get('/streams', auth('dev_streamwall_key'))).data.streams;
+    expect(synced.map(s => s.link)).toEqual(['https://twitch.tv/plazacam', 'https://www.youtube.com/watch?v=abcDEF12345']);
+  });
+
+  test('should round-trip the sheet through every export format', async () => {
+    await client.post('/config/dual-write', { enabled: false });
+    await client.post('/streams/import?format=csv', SHEET, { headers: { 'Content-Type': 'text/plain' } });
+
+    const csv = await client.get('/streams/export?format=csv');
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+    const [headers, ...cells] = parseCsv(csv.data);
+    expect(headers).toEqual(SHEET_COLUMNS.map(c => c.header));
+    expect(cells[0]).toEqual(['Discord', 'twitch', 'https://twitch.tv/plazacam', 'live', 'Denver', 'CO', '2024-06-01T18:30:00.000Z', 'reporter']);
+    expect(cells[1][0]).toBe('Field, team');
+
+    const json = (await client.get('/streams/export?format=json')).data;
+    const ndjson = await client.get('/streams/export?format=ndjson', { responseType: 'text' });
+    expect(ndjson.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    expect(ndjson.data.trim().split('\n').map(line => JSON.parse(line))).toEqual(json);
+    expect(parseRows(csv.data, 'csv').map(r => r.fields)).toEqual(json.map(row => {
+      const fields = {};
+      for (const [field, value] of Object.entries(row)) fields[field] = value ?? '';
+      return fields;
+    }));
+
+    // Exporting and re-importing into an empty monitor gives the same rows back
+    await client.post('/reset');
+    const reimport = await client.post('/streams/import?format=ndjson', ndjson.data, { headers: { 'Content-Type': 'application/x-ndjson' } });
+    expect(reimport.data.imported).toBe(2);
+    expect((await client.get('/streams/export?format=json')).data).toEqual(json);
+  });
+
+  test('should re-import an export holding every status', async () => {
+    const rows = ['pending', 'live', 'offline', 'stale', 'archived', 'rejected'].map((status, i) => ({
+      link: `https://kick.com/mixed${i}`,
+      status
+    }));
+    expect((await client.post('/streams/import', rows)).data).toMatchObject({ imported: 6, failed: 0 });
+
+    const ndjson = (await client.get('/streams/export?format=ndjson', { responseType: 'text' })).data;
+    expect(ndjson.trim().split('\n').map(line => JSON.parse(line).status)).toEqual(rows.map(r => r.status));
+
+    await client.post('/reset');
+    await api.post('/reset');
+    const { data } = await client.post('/streams/import?format=ndjson', ndjson, { headers: { 'Content-Type': 'application/x-ndjson' } });
+    expect(data).toMatchObject({ imported: 6, failed: 0 });
+    expect(data.results.every(r => r.syncedToApi)).toBe(true);
+    expect((await client.get('/streams/export?format=ndjson', { responseType: 'text' })).data).toBe(ndjson);
+
+    const stale = (await client.get('/streams')).data[3];
+    expect((await client.get(`/streams/${stale.id}/history`)).data.history.map(e => [e.to, e.reason])).toEqual([['offline', 'import'], ['stale', 'import']]);
+    const rejected = await client.post('/streams/import', [{ link: 'https://kick.com/mixed5?ref=again' }]);
+    expect(rejected.data.results[0].errors[0].message).toMatch(/rejected by a moderator/);
+
+    // StreamSource takes the same statuses and keeps archived ones out of the default export
+    const synced = (await api.get('/streams/export?format=json&include_archived=true', auth('dev_streamwall_key'))).data;
+    expect(synced.map(row => row.status)).toEqual(rows.map(r => r.status));
+    const current = (await api.get('/streams/export?format=json', auth('dev_streamwall_key'))).data;
+    expect(current.map(row => row.status)).not.toContain('archived');
+  });
+
+  test('should report errors per row and keep the valid ones', async () => {
+    const rows = [
+      { link: 'https://kick.com/goodrow', status: 'pending', city: 'Austin', state: 'TX' },
+      { Link: '', City: 'Nowhere' },
+      { link: 'https://example.com/not-a-stream' },
+      { link: 'https://twitch.tv/mixedup', platform: 'YouTube', status: 'sleeping', added_date: 'yesterday-ish' },
+      { link: 'https://www.kick.com/goodrow?ref=dup' }
+    ];
+
+    const { data } = await client.post('/streams/import', rows);
+
+    expect(data).toMatchObject({ total: 5, imported: 1, failed: 4 });
+    expect(data.results.map(r => r.success)).toEqual([true, false, false, false, false]);
+    expect(data.results[1].errors).toEqual([{ column: 'Link', message: 'Link is required' }]);
+    expect(data.results[2].errors[0].message).toMatch(/not a supported stream URL/);
+    expect(data.results[3]).toMatchObject({ row: 4, link: 'https://twitch.tv/mixedup' });
+    expect(data.results[3].errors.map(e => e.column)).toEqual(['Platform', 'Status', 'Added Date']);
+    expect(data.results[4].errors[0].message).toMatch(/already tracked/);
+    expect((await client.get('/streams')).data).toHaveLength(1);
+  });
+
+  test('should reject bodies that cannot be read at all', async () => {
+    const badJson = await client.post('/streams/import', '{"streams": [', { headers: { 'Content-Type': 'application/json' } });
+    expect(badJson.status).toBe(400);
+    expect(badJson.data.code).toBe('invalid_body');
+
+    const noLink = await client.post('/streams/import?format=csv', 'Source,City\nDiscord,Denver\n');
+    expect(noLink.data).toEqual({ error: 'CSV header must include a Link column', code: 'missing_column' });
+
+    expect((await client.get('/streams/export?format=xlsx')).data.code).toBe('unsupported_format');
+
+    const ndjson = await client.post('/streams/import?format=ndjson', '{"link":"https://kick.com/lineone"}\nnot json\n');
+    expect(ndjson.data).toMatchObject({ imported: 1, failed: 1 });
+    expect(ndjson.data.results[1]).toMatchObject({ row: 2, errors: [{ column: null, message: 'Line is not valid JSON' }] });
+  });
+
+  test('should import into and export from StreamSource with scopes', async () => {
+    expect((await api.post('/streams/import', SHEET, { headers: { 'Content-Type': 'text/csv', ...auth('dev_streamwall_key').headers } })).status).toBe(403);
+
+    const { data } = await api.post('/streams/import', SHEET, { headers: { 'Content-Type': 'text/csv', ...auth('dev_monitor_key').headers } });
+    expect(data).toMatchObject({ imported: 2, failed: 0 });
+
+    const again = await api.post('/streams/import?format=csv', SHEET, auth('dev_monitor_key'));
+    expect(again.data.failed).toBe(2);
+    expect(again.data.results[0].errors[0].message).toBe(`Link https://twitch.tv/plazacam already exists as stream ${data.results[0].stream_id}`);
+
+    const stream = (await api.get(`/streams/${data.results[0].stream_id}`, auth('dev_streamwall_key'))).data;
+    expect(stream).toMatchObject({ source: 'Discord', status: 'live', city: 'Denver', created_at: '2024-06-01T18:30:00.000Z' });
+
+    const exported = (await api.get('/streams/export?format=json', auth('dev_streamwall_key'))).data;
+    expect(exported[1]).toEqual({
+      source: 'Field, team',
+      platform: 'youtube',
+      link: 'https://www.youtube.com/watch?v=abcDEF12345',
+      status: 'offline',
+      city: 'Portland',
+      state: 'OR',
+      added_date: expect.any(String),
+      posted_by: 'night "owl"'
+    });
+  });
+
+  test('should export and import through the CLI', async () => {
+    const env = { ...process.env, STREAMSOURCE_URL: apiUrl, MONITOR_URL: monitor.url };
+    await client.post('/config/dual-write', { enabled: false });
+    await client.post('/webhook/discord', {
+      type: 'MESSAGE_CREATE',
+      data: generateDiscordMessage('Live in Seattle, WA https://twitch.tv/ferrycam', 'poster#0001')
+    });
+
+    const file = path.join(os.tmpdir(), `streams-${process.pid}.csv`);
+    await run(CLI, ['export', '--target', 'monitor', '--output', file], { env });
+
+    const { stdout } = await run(CLI, ['import', file], { env });
+    expect(JSON.parse(stdout)).toMatchObject({ imported: 1, failed: 0 });
+    expect((await api.get('/streams', auth('dev_streamwall_key'))).data.streams[0]).toMatchObject({
+      link: 'https://twitch.tv/ferrycam',
+      source: 'Discord',
+      city: 'Seattle',
+      posted_by: 'poster'
+    });
+
+    // Importing the same rows again fails them all, and so does the CLI
+    await expect(run(CLI, ['import', file], { env })).rejects.toMatchObject({ code: 1 });
+
+    // A refused import still prints StreamSource's answer, and exits with curl's status
+    const readOnly = { ...env, STREAMSOURCE_API_KEY: 'dev_streamwall_key' };
+    const refused = await run(CLI, ['import', file], { env: readOnly }).catch(error => error);
+    expect(refused.code).toBe(22);
+    expect(JSON.parse(refused.stdout)).toHaveProperty('error');
+    fs.rmSync(file, { force: true });
+  });
+
+  test('should quote only the cells that need it', () => {
+    const csv = formatRows([{ link: 'https://kick.com/a', source: 'A "B", C', posted_by: 'line\nbreak' }], 'csv');
+    expect(csv.split('\r\n')[1]).toBe('"A ""B"", C",,https://kick.com/a,,,,,"line\nbreak"');
+    expect(parseCsv(csv)[1]).toEqual(['A "B", C', '', 'https://kick.com/a', '', '', '', '', 'line\nbreak']);
+  });
+});
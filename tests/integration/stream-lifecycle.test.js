@@ -0,0 +1,186 @@
+/**
+ * Stream Lifecycle Test
+ * Tests pending → live → offline → stale → archived (and rejected) on both services
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { StreamLifecycle, InvalidTransitionError } = require('../helpers/stream-lifecycle');
+const { generateDiscordMessage, TEST_URLS } = require('../helpers/test-data');
+
+describe('Stream Lifecycle', () => {
+  describe('StreamLifecycle', () => {
+    let now;
+    let lifecycle;
+
+    beforeEach(() => {
+      now = Date.parse('2024-05-01T12:00:00Z');
+      lifecycle = new StreamLifecycle({ staleAfterMs: 60000, archiveAfterMs: 180000, now: () => now });
+    });
+
+    test('should record each transition with a timestamp', () => {
+      const stream = lifecycle.begin({ id: 1 });
+      now += 1000;
+      lifecycle.transition(stream, 'Live', 'checker');
+      now += 1000;
+      lifecycle.transition(stream, 'offline');
+
+      expect(stream.status).toBe('offline');
+      expect(lifecycle.history(1)).toEqual([
+        { from: null, to: 'pending', at: '2024-05-01T12:00:00.000Z', reason: 'created' },
+        { from: 'pending', to: 'live', at: '2024-05-01T12:00:01.000Z', reason: 'checker' },
+        { from: 'live', to: 'offline', at: '2024-05-01T12:00:02.000Z', reason: null }
+      ]);
+    });
+
+    test('should refuse transitions the lifecycle does not allow', () => {
+      const stream = lifecycle.begin({ id: 1 });
+      lifecycle.transition(stream, 'rejected');
+
+      expect(() => lifecycle.transition(stream, 'live')).toThrow(InvalidTransitionError);
+      expect(() => lifecycle.transition(stream, 'sleeping')).toThrow('Unknown status sleeping');
+      expect(() => lifecycle.begin({ id: 2 }, 'archived')).toThrow(InvalidTransitionError);
+      expect(lifecycle.transition(stream, 'rejected')).toBe(false);
+    });
+
+    test('should walk an arriving stream through the transitions to its status', () => {
+      expect(lifecycle.beginAs({ id: 1 }, 'Stale', 'import').status).toBe('stale');
+      expect(lifecycle.history(1).map(e => [e.from, e.to, e.reason])).toEqual([[null, 'offline', 'import'], ['offline', 'stale', 'import']]);
+      expect(lifecycle.history(lifecycle.beginAs({ id: 2 }, 'archived').id).map(e => e.to)).toEqual(['pending', 'archived']);
+      expect(lifecycle.history(lifecycle.beginAs({ id: 3 }, 'rejected').id).map(e => e.to)).toEqual(['pending', 'rejected']);
+      expect(lifecycle.history(lifecycle.beginAs({ id: 4 }, 'live').id)).toHaveLength(1);
+      expect(() => lifecycle.beginAs({ id: 5 }, 'sleeping')).toThrow('Unknown status sleeping');
+    });
+
+    test('should age offline streams to stale, then archived', () => {
+      const stream = lifecycle.begin({ id: 1 }, 'offline');
+
+      now += 60000;
+      expect(lifecycle.sweep([stream])).toEqual([{ stream, from: 'offline', to: 'stale' }]);
+
+      // The archive window counts from going offline, not from going stale
+      now += 120000;
+      lifecycle.sweep([stream]);
+      expect(stream.status).toBe('archived');
+      expect(lifecycle.history(1).map(e => e.reason)).toEqual(['created', 'auto', 'auto']);
+    });
+  });
+
+  describe('StreamSource', () => {
+    const fixtures = createFixtures();
+    let streamSource;
+    let now;
+    let baseUrl;
+    let api;
+    const create = link => axios.post(`${baseUrl}/streams`, { link }, {
+      headers: { Authorization: 'Bearer dev_monitor_key' }
+    }).then(response => response.data);
+
+    beforeAll(async () => {
+      now = Date.now();
+      streamSource = await fixtures.streamSource({
+        lifecycle: { staleAfterMs: 60000, archiveAfterMs: 120000, now: () => now }
+      });
+      baseUrl = streamSource.apiUrl;
+      api = axios.create({
+        baseURL: baseUrl,
+        headers: { Authorization: 'Bearer dev_updater_key' },
+        validateStatus: () => true
+      });
+    });
+
+    afterAll(async () => {
+      await fixtures.stopAll();
+    });
+
+    afterEach(async () => {
+      await axios.post(`${baseUrl}/reset`).catch(() => {});
+    });
+
+    test('should create streams as pending and expose their history', async () => {
+      const stream = await create(TEST_URLS.twitch[0]);
+      expect(stream.status).toBe('pending');
+
+      await api.patch(`/streams/${stream.id}`, { status: 'live' });
+      const { data } = await api.get(`/streams/${stream.id}/history`);
+      expect(data).toMatchObject({ stream_id: stream.id, status: 'live' });
+      expect(data.history.map(e => [e.from, e.to])).toEqual([[null, 'pending'], ['pending', 'live']]);
+      expect(data.history[1].reason).toBe('updater');
+    });
+
+    test('should answer 422 for disallowed or unknown statuses', async () => {
+      const stream = await create(TEST_URLS.kick[0]);
+      await api.patch(`/streams/${stream.id}`, { status: 'live' });
+
+      const backwards = await api.patch(`/streams/${stream.id}`, { status: 'pending', title: 'ignored' });
+      expect(backwards.status).toBe(422);
+      expect(backwards.data).toEqual({ error: 'Invalid status transition', from: 'live', to: 'pending' });
+      expect((await api.get(`/streams/${stream.id}`)).data.title).toBeNull();
+
+      const unknown = await api.patch(`/streams/${stream.id}`, { status: 'Sleeping' });
+      expect(unknown.data.error).toBe('Unknown status');
+    });
+
+    test('should auto-archive streams left offline past the window', async () => {
+      const gone = await create(TEST_URLS.twitch[1]);
+      const still = await create(TEST_URLS.youtube[0]);
+      await api.patch(`/streams/${gone.id}`, { status: 'offline' });
+      await api.patch(`/streams/${still.id}`, { status: 'live' });
+
+      const login = await axios.post(`${baseUrl}/users/login`, { email: 'admin@example.com', password: 'password123' });
+      const admin = { headers: { Authorization: `Bearer ${login.data.token}` } };
+
+      now += 60000;
+      expect((await axios.post(`${baseUrl}/lifecycle/sweep`, null, admin)).data).toEqual({ stale: [gone.id], archived: [] });
+      now += 60000;
+      expect((await axios.post(`${baseUrl}/lifecycle/sweep`, null, admin)).data).toEqual({ stale: [], archived: [gone.id] });
+
+      const archived = (await api.get(`/streams/${gone.id}`)).data;
+      expect(archived).toMatchObject({ status: 'archived', is_archived: true, archived_at: expect.any(String) });
+      expect((await api.get('/streams')).data.streams.map(s => s.id)).toEqual([still.id]);
+
+      // Archived is terminal
+      expect((await api.patch(`/streams/${gone.id}`, { status: 'live' })).status).toBe(422);
+    });
+  });
+
+  describe('Monitor', () => {
+    const fixtures = createFixtures();
+    let monitor;
+    let monitorUrl;
+
+    beforeAll(async () => {
+      monitor = await fixtures.monitor({ dualWriteMode: false });
+      monitorUrl = monitor.url;
+    });
+
+    afterAll(async () => {
+      await fixtures.stopAll();
+    });
+
+    afterEach(async () => {
+      await axios.post(`${monitorUrl}/reset`).catch(() => {});
+    });
+
+    test('should track discovered streams through the lifecycle', async () => {
+      await axios.post(`${monitorUrl}/webhook/discord`, {
+        type: 'MESSAGE_CREATE',
+        data: generateDiscordMessage(`Check out ${TEST_URLS.tiktok[0]}`)
+      });
+
+      const [stream] = (await axios.get(`${monitorUrl}/streams`)).data;
+      expect(stream.status).toBe('pending');
+
+      const rejected = await axios.patch(`${monitorUrl}/streams/${stream.id}`, { status: 'rejected', reason: 'spam' });
+      expect(rejected.data.status).toBe('rejected');
+
+      const revived = await axios.patch(`${monitorUrl}/streams/${stream.id}`, { status: 'live' }, { validateStatus: () => true });
+      expect(revived.status).toBe(422);
+      expect(revived.data).toEqual({ error: 'Invalid status transition', from: 'rejected', to: 'live' });
+
+      const { data } = await axios.get(`${monitorUrl}/streams/${stream.id}/history`);
+      expect(data.history.map(e => e.to)).toEqual(['pending', 'rejected']);
+      expect(data.history[1].reason).toBe('spam');
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * StreamSource API Test
+ * Tests the shared StreamSource stand-in used by every integration test
+ */
+
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { signJwt } = require('../helpers/jwt');
+
+describe('StreamSource API', () => {
+  const fixtures = createFixtures();
+  let streamSource;
+  let baseUrl;
+  let api;
+  const as = token => axios.create({
+    baseURL: baseUrl,
+    headers: { Authorization: `Bearer ${token}` },
+    validateStatus: () => true
+  });
+
+  const createStream = (attrs = {}) => api.post('/streams', {
+    link: `https://twitch.tv/stream${Math.random().toString(36).slice(2, 8)}`,
+    platform: 'twitch',
+    source: 'tester',
+    ...attrs
+  });
+
+  beforeAll(async () => {
+    streamSource = await fixtures.streamSource();
+    baseUrl = streamSource.apiUrl;
+    api = axios.create({ baseURL: baseUrl, validateStatus: () => true });
+
+    const login = await api.post('/users/login', { email: 'admin@example.com', password: 'password123' });
+    api.defaults.headers.common.Authorization = `Bearer ${login.data.token}`;
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    await axios.post(`${baseUrl}/reset`).catch(() => {});
+  });
+
+  test('should report health without auth', async () => {
+    const response = await axios.get(`${streamSource.url}/health`);
+    expect(response.data.status).toBe('ok');
+  });
+
+  describe('Authentication', () => {
+    test('should require a Bearer token', async () => {
+      const response = await axios.get(`${baseUrl}/streams`, { validateStatus: () => true });
+      expect(response.status).toBe(401);
+    });
+
+    test('should issue HS256 JWTs for valid credentials only', async () => {
+      const login = await api.post('/users/login', { email: 'admin@example.com', password: 'password123' });
+      expect(login.status).toBe(200);
+      expect(login.data.user).toEqual({ id: 1, email: 'admin@example.com', role: 'admin' });
+      expect(JSON.parse(Buffer.from(login.data.token.split('.')[0], 'base64url').toString())).toEqual({ alg: 'HS256', typ: 'JWT' });
+
+      const bad = await api.post('/users/login', { email: 'admin@example.com', password: 'nope' });
+      expect(bad.status).toBe(401);
+    });
+
+    test('should reject tampered, foreign and expired tokens', async () => {
+      const secret = streamSource.jwtSecret;
+      const forged = signJwt({ sub: 1 }, 'some_other_secret_that_is_30_chars');
+      const expired = signJwt({ sub: 1 }, secret, { expiresIn: 60, now: Date.now() - 120000 });
+
+      expect((await as(forged).get('/streams')).status).toBe(401);
+      expect((await as('not.a.jwt').get('/streams')).status).toBe(401);
+
+      const response = await as(expired).get('/streams');
+      expect(response.status).toBe(401);
+      expect(response.data.error).toBe('Token expired');
+    });
+  });
+
+  describe('API key scopes', () => {
+    test('should let the monitor key create but not read', async () => {
+      const monitor = as('dev_monitor_key');
+      expect((await monitor.post('/streams', { link: 'https://twitch.tv/scoped', platform: 'twitch' })).status).toBe(201);
+
+      const read = await monitor.get('/streams');
+      expect(read.status).toBe(403);
+      expect(read.data.required).toBe('streams:read');
+    });
+
+    test('should let the monitor key update only the streams it created', async () => {
+      const monitor = as('dev_monitor_key');
+      const { data: own } = await monitor.post('/streams', { link: 'https://twitch.tv/monitored', platform: 'twitch' });
+      const { data: other } = await createStream();
+
+      expect((await monitor.patch(`/streams/${own.id}`, { sighting_count: 2 })).status).toBe(200);
+      expect((await monitor.put(`/streams/${own.id}/pin`)).status).toBe(200);
+      expect((await monitor.post(`/streams/${own.id}/archive`)).status).toBe(200);
+
+      const denied = await monitor.patch(`/streams/${other.id}`, { sighting_count: 2 });
+      expect(denied.status).toBe(403);
+      expect(denied.data.required).toBe('streams:update');
+      expect((await monitor.put(`/streams/${other.id}/pin`)).status).toBe(403);
+    });
+
+    test('should let the updater key change status fields only', async () => {
+      const { data: stream } = await createStream();
+      const updater = as('dev_updater_key');
+
+      expect((await updater.get('/streams')).status).toBe(200);
+      expect((await updater.patch(`/streams/${stream.id}`, { status: 'live', viewer_count: 12 })).status).toBe(200);
+      expect((await updater.patch(`/streams/${stream.id}`, { link: 'https://twitch.tv/hijack' })).status).toBe(403);
+      expect((await updater.post('/streams', { link: 'https://twitch.tv/new', platform: 'twitch' })).status).toBe(403);
+      expect((await updater.put(`/streams/${stream.id}/pin`)).status).toBe(403);
+    });
+
+    test('should keep the Streamwall key read-only', async () => {
+      const { data: stream } = await createStream();
+      const streamwall = as('dev_streamwall_key');
+
+      expect((await streamwall.get(`/streams/${stream.id}`)).status).toBe(200);
+      expect((await streamwall.patch(`/streams/${stream.id}`, { status: 'live' })).status).toBe(403);
+      expect((await streamwall.delete(`/streams/${stream.id}`)).status).toBe(403);
+    });
+  });
+
+  describe('CRUD', () => {
+    test('should create, read, update and delete a stream', async () => {
+      const created = await createStream({ link: 'https://twitch.tv/crud', city: 'Austin', state: 'TX' });
+      expect(created.status).toBe(201);
+      expect(created.data).toMatchObject({
+        id: 1,
+        link: 'https://twitch.tv/crud',
+        status: 'pending',
+        is_pinned: false,
+        is_archived: false
+      });
+
+      const fetched = await api.get(`/streams/${created.data.id}`);
+      expect(fetched.data.city).toBe('Austin');
+
+      const patched = await api.patch(`/streams/${created.data.id}`, { status: 'live', title: 'Rally', id: 99 });
+      expect(patched.data).toMatchObject({ id: 1, status: 'live', title: 'Rally' });
+
+      const deleted = await api.delete(`/streams/${created.data.id}`);
+      expect(deleted.status).toBe(204);
+      expect((await api.get(`/streams/${created.data.id}`)).status).toBe(404);
+    });
+
+    test('should accept Rails-style and seed-script bodies', async () => {
+      const response = await api.post('/streams', {
+        stream: {
+          url: 'https://kick.com/xqc',
+          title: 'VARIETY',
+          location: { city: 'Quebec City', state: 'QC' },
+          is_live: true
+        }
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.data).toMatchObject({
+        link: 'https://kick.com/xqc',
+        platform: 'kick',
+        city: 'Quebec City',
+        state: 'QC',
+        status: 'live'
+      });
+    });
+
+    test('should reject missing fields and duplicates', async () => {
+      expect((await api.post('/streams', { source: 'x' })).status).toBe(400);
+
+      await createStream({ link: 'https://twitch.tv/dupe' });
+      const duplicate = await createStream({ link: 'https://twitch.tv/dupe' });
+      expect(duplicate.status).toBe(409);
+      expect(duplicate.data.stream.id).toBe(1);
+
+      const other = await createStream({ link: 'https://twitch.tv/other' });
+      const conflicting = await api.patch(`/streams/${other.data.id}`, { link: 'https://twitch.tv/dupe' });
+      expect(conflicting.status).toBe(409);
+    });
+  });
+
+  describe('Listing', () => {
+    test('should paginate results', async () => {
+      for (let i = 0; i < 5; i++) {
+        await createStream();
+      }
+
+      const page = await api.get('/streams?per_page=2&page=3');
+      expect(page.data.streams).toHaveLength(1);
+      expect(page.data.meta).toEqual({ current_page: 3, per_page: 2, total_pages: 3, total_count: 5 });
+    });
+
+    test('should filter by status, platform, city and state', async () => {
+      await createStream({ platform: 'twitch', city: 'Denver', state: 'CO', status: 'live' });
+      await createStream({ link: 'https://youtube.com/live/abc', platform: 'youtube', city: 'Denver', state: 'CO' });
+      await createStream({ platform: 'twitch', city: 'Boston', state: 'MA' });
+
+      const count = async query => (await api.get(`/streams?${query}`)).data.meta.total_count;
+      expect(await count('status=live')).toBe(1);
+      expect(await count('platform=twitch')).toBe(2);
+      expect(await count('city=denver')).toBe(2);
+      expect(await count('state=CO&platform=youtube')).toBe(1);
+    });
+  });
+
+  describe('Pin and archive', () => {
+    test('should pin and unpin a stream', async () => {
+      const { data: stream } = await createStream();
+
+      expect((await api.put(`/streams/${stream.id}/pin`)).data.is_pinned).toBe(true);
+      expect((await api.get('/streams?is_pinned=true')).data.streams).toHaveLength(1);
+
+      expect((await api.delete(`/streams/${stream.id}/pin`)).data.is_pinned).toBe(false);
+      expect((await api.get('/streams?is_pinned=true')).data.streams).toHaveLength(0);
+    });
+
+    test('should hide archived streams unless asked for them', async () => {
+      const { data: stream } = await createStream();
+      await createStream();
+
+      const archived = await api.post(`/streams/${stream.id}/archive`);
+      expect(archived.data).toMatchObject({ is_archived: true, archived_at: expect.any(String) });
+
+      expect((await api.get('/streams')).data.meta.total_count).toBe(1);
+      expect((await api.get('/streams?include_archived=true')).data.meta.total_count).toBe(2);
+      expect((await api.get('/streams?is_archived=true')).data.streams[0].id).toBe(stream.id);
+    });
+
+    test('should 404 on unknown ids', async () => {
+      expect((await api.put('/streams/999/pin')).status).toBe(404);
+      expect((await api.post('/streams/999/archive')).status).toBe(404);
+    });
+  });
+});
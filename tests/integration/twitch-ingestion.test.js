@@ -0,0 +1,140 @@
+/**
+ * Twitch Ingestion Test
+ * Tests Twitch chat → Monitor via the HTTP route and the local TMI listener
+ */
+
+const net = require('net');
+const axios = require('axios');
+const { createFixtures } = require('../helpers/fixtures');
+const { TmiListener, parseTmiLine, formatPrivmsg } = require('../helpers/tmi-listener');
+const { waitForEvent } = require('../helpers/events');
+const {
+  generateDiscordMessage,
+  generateTwitchMessage,
+  TEST_URLS
+} = require('../helpers/test-data');
+
+describe('Twitch Ingestion', () => {
+  const fixtures = createFixtures();
+  let monitor;
+  let baseUrl;
+
+  beforeAll(async () => {
+    // Port 0 lets the TMI listener pick a free port too
+    monitor = await fixtures.monitor({ twitchIrcPort: 0 });
+    baseUrl = monitor.url;
+  });
+
+  afterAll(async () => {
+    await fixtures.stopAll();
+  });
+
+  afterEach(async () => {
+    await axios.post(`${baseUrl}/reset`).catch(() => {});
+  });
+
+  test('should process Twitch chat posted to the webhook route', async () => {
+    const testUrl = TEST_URLS.youtube[0];
+    const message = generateTwitchMessage(`Live from Portland, OR: ${testUrl}`, 'chatter');
+
+    const response = await axios.post(`${baseUrl}/webhook/twitch`, {
+      channel: '#test_channel',
+      data: message
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data.results).toEqual([expect.objectContaining({ url: testUrl, success: true })]);
+
+    const streams = await axios.get(`${baseUrl}/streams`);
+    expect(streams.data).toHaveLength(1);
+    expect(streams.data[0]).toMatchObject({
+      url: testUrl,
+      platform: 'youtube',
+      source: 'Twitch',
+      channel: 'test_channel',
+      posted_by: 'chatter',
+      city: 'Portland',
+      state: 'OR'
+    });
+  });
+
+  test('should share dedup state with the Discord handler', async () => {
+    const testUrl = TEST_URLS.kick[0];
+
+    await axios.post(`${baseUrl}/webhook/discord`, {
+      type: 'MESSAGE_CREATE',
+      data: generateDiscordMessage(`Stream: ${testUrl}`)
+    });
+    const response = await axios.post(`${baseUrl}/webhook/twitch`, {
+      channel: 'test_channel',
+      data: generateTwitchMessage(`Same one: ${testUrl}`)
+    });
+
+    expect(response.data.results[0]).toMatchObject({ url: testUrl, success: false, reason: 'duplicate', sighting_count: 2 });
+
+    const streams = await axios.get(`${baseUrl}/streams`);
+    expect(streams.data).toHaveLength(1);
+    expect(streams.data[0].source).toBe('Discord');
+  });
+
+  test('should reject malformed Twitch payloads', async () => {
+    const response = await axios.post(`${baseUrl}/webhook/twitch`, { data: { username: 'x' } })
+      .catch(e => e.response);
+
+    expect(response.status).toBe(400);
+    expect(response.data.error).toBe('Invalid webhook data');
+  });
+
+  test('should ingest PRIVMSG lines from the TMI listener', async () => {
+    const testUrl = TEST_URLS.twitch[0];
+    const message = generateTwitchMessage(`Watch ${testUrl} now`, 'ircuser');
+
+    const socket = net.connect(monitor.twitchIrcPort, 'localhost');
+    await new Promise(resolve => socket.once('connect', resolve));
+
+    const welcome = new Promise(resolve => socket.once('data', resolve));
+    socket.write('NICK justinfan123\r\n');
+    expect(String(await welcome)).toContain('001 justinfan123');
+
+    const stored = waitForEvent(monitor.events, 'stream.stored', { match: { stream: { url: testUrl } } });
+    socket.write(`${formatPrivmsg('#test_channel', message)}\r\n`);
+    await stored;
+    socket.destroy();
+
+    const streams = await axios.get(`${baseUrl}/streams`);
+    expect(streams.data[0]).toMatchObject({
+      url: testUrl,
+      platform: 'twitch',
+      source: 'Twitch',
+      channel: 'test_channel',
+      posted_by: 'ircuser'
+    });
+  });
+
+  test('should keep everything after the first = in a tag value', () => {
+    const { tags, params } = parseTmiLine('@client-nonce=YWJj==;reply-parent-msg-body=a\\sb=c;flag :u!u@u.tmi.twitch.tv PRIVMSG #chan :hi');
+    expect(tags).toEqual({ 'client-nonce': 'YWJj==', 'reply-parent-msg-body': 'a b=c', flag: '' });
+    expect(params).toEqual(['#chan', 'hi']);
+  });
+
+  test('should hand PRIVMSG lines on in order even when handling one is slow', async () => {
+    const seen = [];
+    const listener = new TmiListener(0, async (channel, message) => {
+      if (message.content === 'first') await new Promise(resolve => setTimeout(resolve, 50));
+      seen.push(message.content);
+    });
+    await listener.start();
+
+    const socket = net.connect(listener.port, 'localhost');
+    await new Promise(resolve => socket.once('connect', resolve));
+    socket.write(`${formatPrivmsg('#chan', { username: 'u', content: 'first' })}\r\n`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    socket.write(`${formatPrivmsg('#chan', { username: 'u', content: 'second' })}\r\nPING :tmi\r\n`);
+
+    const pong = await new Promise(resolve => socket.once('data', resolve));
+    expect(String(pong)).toBe('PONG :tmi\r\n');
+    expect(seen).toEqual(['first', 'second']);
+    socket.destroy();
+    await listener.stop();
+  });
+});
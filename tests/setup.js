@@ -2,10 +2,14 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { stackMode } = require('./helpers/services');
 
 module.exports = async () => {
   console.log('\n🚀 Setting up integration test environment...\n');
 
+  // Store original env before anything below changes it
+  global.__ORIGINAL_ENV = { ...process.env };
+
   // Load test environment variables
   const testEnvPath = path.join(__dirname, '..', '.env.test');
   if (fs.existsSync(testEnvPath)) {
@@ -24,16 +28,25 @@ module.exports = async () => {
   process.env.NODE_ENV = 'test';
   process.env.INTEGRATION_TEST = 'true';
 
-  // Check if Docker is running
+  // TEST_STACK_MODE=docker needs the compose stack; local (the default) runs everything
+  // in-process, each test starting what it needs through createFixtures()
+  let mode;
   try {
-    execSync('docker info', { stdio: 'ignore' });
+    mode = stackMode();
   } catch (error) {
-    console.error('❌ Docker is not running. Please start Docker and try again.');
+    console.error(`❌ ${error.message}`);
     process.exit(1);
   }
+  process.env.TEST_STACK_MODE = mode;
 
-  // Store original env
-  global.__ORIGINAL_ENV = { ...process.env };
+  if (mode === 'docker') {
+    try {
+      execSync('docker info', { stdio: 'ignore' });
+    } catch (error) {
+      console.error('❌ Docker is not running. Please start Docker or use TEST_STACK_MODE=local.');
+      process.exit(1);
+    }
+  }
 
   console.log('✅ Test environment ready\n');
 };
\ No newline at end of file